@@ -150,7 +150,7 @@ const initializeDatabase = async () => {
                 id INT PRIMARY KEY AUTO_INCREMENT,
                 chat_id INT NOT NULL,
                 sender_id INT NOT NULL,
-                message_type ENUM('text', 'image', 'pdf', 'voice', 'video') DEFAULT 'text',
+                message_type ENUM('text', 'image', 'pdf', 'voice', 'video', 'system') DEFAULT 'text',
                 content TEXT,
                 file_path VARCHAR(255),
                 duration INT,
@@ -175,8 +175,208 @@ const initializeDatabase = async () => {
         } catch (e) {
             console.error('Failed to ensure delivered_at column:', e.message || e);
         }
+
+        // Ensure edited_at column exists for messages table
+        try {
+            const [cols] = await pool.query(`SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND COLUMN_NAME = 'edited_at'`);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE messages ADD COLUMN edited_at TIMESTAMP NULL`);
+                console.log('ℹ️ Added missing column `edited_at` to `messages` table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure edited_at column:', e.message || e);
+        }
+
+        // Ensure deleted_at / deleted_by columns exist for messages table (delete for everyone)
+        try {
+            const [cols] = await pool.query(`SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND COLUMN_NAME = 'deleted_at'`);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE messages ADD COLUMN deleted_at TIMESTAMP NULL`);
+                await pool.query(`ALTER TABLE messages ADD COLUMN deleted_by INT NULL`);
+                console.log('ℹ️ Added deleted_at and deleted_by columns to messages table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure deleted_at column:', e.message || e);
+        }
+
+        // Ensure thread columns exist for messages table (replies and reply counters)
+        try {
+            const [cols] = await pool.query(`SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND COLUMN_NAME = 'parent_message_id'`);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE messages ADD COLUMN parent_message_id INT NULL, ADD INDEX idx_parent_message_id (parent_message_id)`);
+                await pool.query(`ALTER TABLE messages ADD COLUMN reply_count INT DEFAULT 0`);
+                await pool.query(`ALTER TABLE messages ADD COLUMN last_reply_at TIMESTAMP NULL`);
+                console.log('ℹ️ Added parent_message_id, reply_count and last_reply_at columns to messages table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure thread columns:', e.message || e);
+        }
+
+        // Ensure priority column exists for messages table (routine / important / urgent)
+        try {
+            const [cols] = await pool.query(`SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND COLUMN_NAME = 'priority'`);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE messages ADD COLUMN priority ENUM('routine', 'important', 'urgent') DEFAULT 'routine'`);
+                console.log('ℹ️ Added missing column `priority` to `messages` table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure messages priority column:', e.message || e);
+        }
+
+        // Ensure client_msg_id column exists for messages table (sender-generated idempotency key)
+        try {
+            const [cols] = await pool.query(`SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND COLUMN_NAME = 'client_msg_id'`);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE messages ADD COLUMN client_msg_id VARCHAR(64) NULL, ADD UNIQUE KEY unique_client_msg (sender_id, client_msg_id)`);
+                console.log('ℹ️ Added missing column `client_msg_id` to `messages` table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure client_msg_id column:', e.message || e);
+        }
+
+        // Ensure message_type allows 'system' (call entries and other server-generated messages)
+        try {
+            const [cols] = await pool.query(`SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND COLUMN_NAME = 'message_type'`);
+            if (cols[0] && !cols[0].COLUMN_TYPE.includes("'system'")) {
+                await pool.query(`ALTER TABLE messages MODIFY COLUMN message_type ENUM('text', 'image', 'pdf', 'voice', 'video', 'system') DEFAULT 'text'`);
+                console.log('ℹ️ Added `system` to `messages.message_type`');
+            }
+        } catch (e) {
+            console.error('Failed to ensure system message type:', e.message || e);
+        }
         console.log('✅ Messages table initialized');
 
+        // Create message_revisions table (previous versions of edited messages)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_revisions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                message_id INT NOT NULL,
+                editor_id INT NOT NULL,
+                content TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_message_id (message_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Message revisions table initialized');
+
+        // Create message_hidden table (delete for me)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_hidden (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_hidden (message_id, user_id),
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Create message_deletions table (audit log of delete for everyone)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_deletions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                message_id INT NOT NULL,
+                chat_id INT NOT NULL,
+                sender_id INT NOT NULL,
+                deleted_by INT NOT NULL,
+                reason ENUM('sender', 'moderator') DEFAULT 'sender',
+                content TEXT,
+                file_path VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_message_id (message_id),
+                INDEX idx_chat_id (chat_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Message deletion tables initialized');
+
+        // Create thread_followers table (users notified about replies to a message)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS thread_followers (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_follower (message_id, user_id),
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Thread followers table initialized');
+
+        // Create message_reactions table (emoji reactions and the reserved "acknowledged" reaction)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_reactions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                reaction VARCHAR(32) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_reaction (message_id, user_id, reaction),
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
+        `);
+        console.log('✅ Message reactions table initialized');
+
+        // Create message_ack_requests table (messages that must be acknowledged by a deadline)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_ack_requests (
+                message_id INT PRIMARY KEY,
+                chat_id INT NOT NULL,
+                group_id INT NULL,
+                sender_id INT NOT NULL,
+                deadline_at DATETIME NOT NULL,
+                fallback_user_id INT NULL,
+                completed_at DATETIME NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (fallback_user_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_deadline_at (deadline_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Create message_ack_recipients table (per-recipient acknowledgement and escalation state)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_ack_recipients (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                acknowledged_at DATETIME NULL,
+                reminded_at DATETIME NULL,
+                escalated_at DATETIME NULL,
+                FOREIGN KEY (message_id) REFERENCES message_ack_requests(message_id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_ack_recipient (message_id, user_id),
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Message acknowledgement tables initialized');
+
+        // Create message_receipts table (per-recipient delivery and read state)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_receipts (
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                delivered_at TIMESTAMP NULL,
+                seen_at TIMESTAMP NULL,
+                PRIMARY KEY (message_id, user_id),
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_seen (user_id, seen_at),
+                INDEX idx_seen_at (seen_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Message receipts table initialized');
+
         // Create groups table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS \`groups\` (
@@ -305,6 +505,54 @@ const initializeDatabase = async () => {
         `);
         console.log('✅ User devices table initialized');
 
+        // Create user_sessions table (one per login; refresh tokens are stored hashed and rotated on use)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                device_id INT NULL,
+                refresh_token_hash CHAR(64) NOT NULL,
+                previous_token_hash CHAR(64) NULL,
+                ip_address VARCHAR(45),
+                user_agent VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP NULL,
+                revoked_reason VARCHAR(50) NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (device_id) REFERENCES user_devices(id) ON DELETE SET NULL,
+                INDEX idx_user_sessions (user_id, revoked_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ User sessions table initialized');
+
+        // Create two_factor_backup_codes table (one-time codes for when the authenticator app is unavailable)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                code_hash CHAR(64) NOT NULL,
+                used_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_code (user_id, code_hash)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Two-factor backup codes table initialized');
+
+        // Create auth_throttles table (failed login/OTP attempts per client IP and per account, and lockouts)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS auth_throttles (
+                throttle_key VARCHAR(191) PRIMARY KEY,
+                failures INT NOT NULL DEFAULT 0,
+                last_failure_at TIMESTAMP NULL,
+                locked_until TIMESTAMP NULL,
+                INDEX idx_last_failure (last_failure_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Auth throttles table initialized');
+
         // Create files table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS files (
@@ -317,15 +565,157 @@ const initializeDatabase = async () => {
                 file_path VARCHAR(255) NOT NULL,
                 original_name VARCHAR(255),
                 file_size INT,
+                width INT NULL,
+                height INT NULL,
+                blurhash VARCHAR(100) NULL,
+                thumbnail_path VARCHAR(255) NULL,
+                preview_path VARCHAR(255) NULL,
+                scan_status ENUM('pending', 'clean', 'infected', 'failed') DEFAULT 'clean',
+                scan_signature VARCHAR(255) NULL,
+                scan_attempts INT NOT NULL DEFAULT 0,
+                scanned_at TIMESTAMP NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
                 INDEX idx_user_id (user_id),
                 INDEX idx_chat_id (chat_id),
-                INDEX idx_group_id (group_id)
+                INDEX idx_group_id (group_id),
+                INDEX idx_message_id (message_id),
+                INDEX idx_file_path (file_path),
+                INDEX idx_scan_status (scan_status)
             ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
         `);
         console.log('✅ Files table initialized');
 
+        // Ensure image details exist on files (dimensions, blurhash placeholder, resized copies)
+        try {
+            const imageColumns = {
+                width: 'INT NULL',
+                height: 'INT NULL',
+                blurhash: 'VARCHAR(100) NULL',
+                thumbnail_path: 'VARCHAR(255) NULL',
+                preview_path: 'VARCHAR(255) NULL'
+            };
+            for (const [column, definition] of Object.entries(imageColumns)) {
+                const [cols] = await pool.query(`
+                    SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS
+                    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'files' AND COLUMN_NAME = ?
+                `, [column]);
+                if (cols[0] && cols[0].cnt === 0) {
+                    await pool.query(`ALTER TABLE files ADD COLUMN ${column} ${definition} AFTER file_size`);
+                    console.log(`ℹ️ Added ${column} column to files table`);
+                }
+            }
+        } catch (e) {
+            console.error('Failed to ensure files image columns:', e.message || e);
+        }
+
+        // Ensure malware scan columns exist on files (files from before scanning count as clean)
+        try {
+            const scanColumns = {
+                scan_status: `ENUM('pending', 'clean', 'infected', 'failed') DEFAULT 'clean'`,
+                scan_signature: 'VARCHAR(255) NULL',
+                scan_attempts: 'INT NOT NULL DEFAULT 0',
+                scanned_at: 'TIMESTAMP NULL'
+            };
+            let previous = 'preview_path';
+            for (const [column, definition] of Object.entries(scanColumns)) {
+                const [cols] = await pool.query(`
+                    SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS
+                    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'files' AND COLUMN_NAME = ?
+                `, [column]);
+                if (cols[0] && cols[0].cnt === 0) {
+                    await pool.query(`ALTER TABLE files ADD COLUMN ${column} ${definition} AFTER ${previous}`);
+                    console.log(`ℹ️ Added ${column} column to files table`);
+                }
+                previous = column;
+            }
+
+            // 'failed' (gave up scanning) came after the first scan statuses
+            const [status] = await pool.query(`
+                SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'files' AND COLUMN_NAME = 'scan_status'
+            `);
+            if (status[0] && !status[0].COLUMN_TYPE.includes(`'failed'`)) {
+                await pool.query(`ALTER TABLE files MODIFY COLUMN scan_status ${scanColumns.scan_status}`);
+                console.log('ℹ️ Added failed scan status to files table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure files scan columns:', e.message || e);
+        }
+
+        // Ensure files can be looked up by message, path and scan status (access checks, message payloads, scan retries)
+        try {
+            const indexes = [['idx_message_id', 'message_id'], ['idx_file_path', 'file_path'], ['idx_scan_status', 'scan_status']];
+            for (const [indexName, column] of indexes) {
+                const [idx] = await pool.query(`
+                    SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.STATISTICS
+                    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'files' AND INDEX_NAME = ?
+                `, [indexName]);
+                if (idx[0] && idx[0].cnt === 0) {
+                    await pool.query(`ALTER TABLE files ADD INDEX ${indexName} (${column})`);
+                    console.log(`ℹ️ Added ${indexName} index on files`);
+                }
+            }
+        } catch (e) {
+            console.error('Failed to ensure files indexes:', e.message || e);
+        }
+
+        // Link uploads sent before files were tied to messages (once: only while no file is linked
+        // yet), matching the message's file_path and sender; a path sent twice goes to the first message
+        try {
+            const [linked] = await pool.query('SELECT 1 FROM files WHERE message_id IS NOT NULL LIMIT 1');
+            if (linked.length === 0) {
+                const [result] = await pool.query(`
+                    UPDATE files f
+                    JOIN (
+                        SELECT file_path, sender_id, MIN(id) as message_id
+                        FROM messages
+                        WHERE file_path IS NOT NULL
+                        GROUP BY file_path, sender_id
+                    ) m ON m.file_path = f.file_path AND m.sender_id = f.user_id
+                    SET f.message_id = m.message_id
+                    WHERE f.message_id IS NULL
+                `);
+                if (result.affectedRows > 0) {
+                    console.log(`ℹ️ Linked ${result.affectedRows} files to their messages`);
+                }
+            }
+        } catch (e) {
+            console.error('Failed to link files to messages:', e.message || e);
+        }
+
+        // Create resumable upload sessions tables (chunks are staged in storage until completion)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS upload_sessions (
+                id CHAR(36) PRIMARY KEY,
+                user_id INT NOT NULL,
+                chat_id INT NOT NULL,
+                file_name VARCHAR(255) NOT NULL,
+                mime_type VARCHAR(100) NOT NULL,
+                total_size BIGINT NOT NULL,
+                received_size BIGINT NOT NULL DEFAULT 0,
+                status ENUM('active', 'completing', 'completed', 'failed') DEFAULT 'active',
+                file_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_expires_at (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS upload_session_chunks (
+                session_id CHAR(36) NOT NULL,
+                chunk_offset BIGINT NOT NULL,
+                size INT NOT NULL,
+                storage_key VARCHAR(255) NOT NULL,
+                PRIMARY KEY (session_id, chunk_offset),
+                FOREIGN KEY (session_id) REFERENCES upload_sessions(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Upload sessions tables initialized');
+
         // Create notifications table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS notifications (
@@ -342,8 +732,50 @@ const initializeDatabase = async () => {
                 INDEX idx_is_read (is_read)
             ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
         `);
+
+        // Ensure priority column exists for notifications table (message priority, for filtering)
+        try {
+            const [cols] = await pool.query(`SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'notifications' AND COLUMN_NAME = 'priority'`);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE notifications ADD COLUMN priority ENUM('routine', 'important', 'urgent') DEFAULT 'routine'`);
+                console.log('ℹ️ Added missing column `priority` to `notifications` table');
+            }
+        } catch (e) {
+            console.error('Failed to ensure notifications priority column:', e.message || e);
+        }
         console.log('✅ Notifications table initialized');
 
+        // Create socket event log tables (real-time events kept for replay after a reconnect)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS socket_events (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                event VARCHAR(64) NOT NULL,
+                payload JSON NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created_at (created_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS socket_event_recipients (
+                event_id BIGINT NOT NULL,
+                user_id INT NOT NULL,
+                PRIMARY KEY (user_id, event_id),
+                FOREIGN KEY (event_id) REFERENCES socket_events(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        // Sequence counter (a single row, locked by each event until it commits), continuing from logged events
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS socket_event_seq (
+                id TINYINT PRIMARY KEY,
+                seq BIGINT NOT NULL
+            ) ENGINE=InnoDB
+        `);
+        await pool.query(
+            'INSERT IGNORE INTO socket_event_seq (id, seq) SELECT 1, COALESCE(MAX(id), 0) FROM socket_events'
+        );
+        console.log('✅ Socket event log tables initialized');
+
         // =====================================================
         // SaaS TABLES - Teams, Channels, Billing
         // =====================================================
@@ -517,6 +949,61 @@ const initializeDatabase = async () => {
             console.error('Failed to add current_team_id:', e.message);
         }
 
+        // Add last_seen_at to users table if not exists (when the user's last connection closed)
+        try {
+            const [cols] = await pool.query(`
+                SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS 
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'last_seen_at'
+            `);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE users ADD COLUMN last_seen_at TIMESTAMP NULL`);
+                console.log('ℹ️ Added last_seen_at column to users table');
+            }
+        } catch (e) {
+            console.error('Failed to add last_seen_at:', e.message);
+        }
+
+        // Add two_factor_last_step to users table if not exists (time step of the last accepted TOTP code, blocks replays)
+        try {
+            const [cols] = await pool.query(`
+                SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS 
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'two_factor_last_step'
+            `);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE users ADD COLUMN two_factor_last_step BIGINT NULL`);
+                console.log('ℹ️ Added two_factor_last_step column to users table');
+            }
+        } catch (e) {
+            console.error('Failed to add two_factor_last_step:', e.message);
+        }
+
+        // Turn off two-factor authentication that was switched on without enrolling (settings used to
+        // allow it) - such accounts get a code challenge no code can pass
+        try {
+            const [result] = await pool.query(
+                `UPDATE users SET two_factor_enabled = FALSE WHERE two_factor_enabled = TRUE AND two_factor_secret IS NULL`
+            );
+            if (result.affectedRows > 0) {
+                console.log(`ℹ️ Disabled two-factor authentication for ${result.affectedRows} users without a secret`);
+            }
+        } catch (e) {
+            console.error('Failed to disable two-factor without a secret:', e.message);
+        }
+
+        // Add require_two_factor to teams table if not exists (admins can make 2FA mandatory for members)
+        try {
+            const [cols] = await pool.query(`
+                SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS 
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'teams' AND COLUMN_NAME = 'require_two_factor'
+            `);
+            if (cols[0] && cols[0].cnt === 0) {
+                await pool.query(`ALTER TABLE teams ADD COLUMN require_two_factor BOOLEAN DEFAULT FALSE`);
+                console.log('ℹ️ Added require_two_factor column to teams table');
+            }
+        } catch (e) {
+            console.error('Failed to add require_two_factor:', e.message);
+        }
+
         // Add team_id and channel_id to messages table if not exists
         try {
             const [cols1] = await pool.query(`
@@ -540,6 +1027,99 @@ const initializeDatabase = async () => {
             console.error('Failed to add message columns:', e.message);
         }
 
+        // Backfill per-recipient receipts from the old per-message seen_at/delivered_at (once: only
+        // while message_receipts is still empty). A message seen or delivered before counted as
+        // such for every recipient of its private or group chat.
+        try {
+            const [existing] = await pool.query('SELECT 1 FROM message_receipts LIMIT 1');
+            if (existing.length === 0) {
+                const [result] = await pool.query(`
+                    INSERT IGNORE INTO message_receipts (message_id, user_id, delivered_at, seen_at)
+                    SELECT m.id, rcp.user_id, COALESCE(m.delivered_at, m.seen_at), m.seen_at
+                    FROM messages m
+                    JOIN chats c ON m.chat_id = c.id
+                    JOIN (
+                        SELECT cp.chat_id, cp.user_id FROM chat_participants cp
+                        UNION
+                        SELECT gc.id as chat_id, gm.user_id FROM chats gc
+                        JOIN group_members gm ON gm.group_id = gc.group_id
+                    ) rcp ON rcp.chat_id = c.id
+                    WHERE m.channel_id IS NULL
+                      AND (m.seen_at IS NOT NULL OR m.delivered_at IS NOT NULL)
+                      AND rcp.user_id != m.sender_id
+                `);
+                if (result.affectedRows > 0) {
+                    console.log(`ℹ️ Backfilled ${result.affectedRows} message receipts`);
+                }
+            }
+        } catch (e) {
+            console.error('Failed to backfill message receipts:', e.message || e);
+        }
+
+        // Create membership_removals table (left/removed group and channel members, for sync)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS membership_removals (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                scope ENUM('group', 'channel') NOT NULL,
+                scope_id INT NOT NULL,
+                user_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_scope (scope, scope_id),
+                INDEX idx_user_id (user_id),
+                INDEX idx_created_at (created_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Membership removals table initialized');
+
+        // Create calls tables (voice/video calls in private chats and groups)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS calls (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                chat_id INT NOT NULL,
+                group_id INT NULL,
+                initiator_id INT NOT NULL,
+                call_type ENUM('voice', 'video') NOT NULL DEFAULT 'voice',
+                status ENUM('ringing', 'active', 'completed', 'missed', 'declined', 'cancelled') NOT NULL DEFAULT 'ringing',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                answered_at TIMESTAMP NULL,
+                ended_at TIMESTAMP NULL,
+                duration_seconds INT NULL,
+                FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+                FOREIGN KEY (initiator_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_chat_id (chat_id),
+                INDEX idx_status (status)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS call_participants (
+                call_id INT NOT NULL,
+                user_id INT NOT NULL,
+                status ENUM('invited', 'joined', 'declined', 'missed', 'left') NOT NULL DEFAULT 'invited',
+                socket_id VARCHAR(64) NULL,
+                joined_at TIMESTAMP NULL,
+                left_at TIMESTAMP NULL,
+                PRIMARY KEY (call_id, user_id),
+                FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_socket_id (socket_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        console.log('✅ Calls tables initialized');
+
+        // Add FULLTEXT index on messages.content for message search
+        try {
+            const [idx] = await pool.query(`
+                SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.STATISTICS
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND INDEX_NAME = 'ft_messages_content'
+            `);
+            if (idx[0] && idx[0].cnt === 0) {
+                await pool.query(`ALTER TABLE messages ADD FULLTEXT INDEX ft_messages_content (content)`);
+                console.log('ℹ️ Added FULLTEXT index on messages.content');
+            }
+        } catch (e) {
+            console.error('Failed to add message search index:', e.message);
+        }
+
         console.log('✅ All tables initialized successfully');
         return true;
     } catch (error) {
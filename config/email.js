@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const path = require('path');
 
@@ -165,7 +166,7 @@ const sendOtpEmail = async (to, otp, purpose = 'Verification') => {
 const generateOtp = (length = 5) => {
     let otp = '';
     for (let i = 0; i < length; i++) {
-        otp += Math.floor(Math.random() * 10);
+        otp += crypto.randomInt(10);
     }
     return otp;
 };
@@ -211,9 +212,36 @@ const sendEmail = async ({ to, subject, html }) => {
     }
 };
 
+/**
+ * Send a security notice that an account was locked after repeated failed sign-ins
+ * @param {string} to - Account email
+ * @param {object} details - { lockedUntil: Date, ipAddress: string }
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendAccountLockedEmail = async (to, { lockedUntil, ipAddress }) => {
+    const unlockTime = new Date(lockedUntil).toUTCString();
+
+    return await sendEmail({
+        to,
+        subject: 'ClinixChat - Account Temporarily Locked',
+        html: `
+            <p style="margin: 0 0 20px 0; font-size: 15px; color: #666666; line-height: 1.6;">
+                We locked sign-ins to your account after several failed attempts${ipAddress ? ` from <strong>${ipAddress}</strong>` : ''}.
+            </p>
+            <p style="margin: 0 0 20px 0; font-size: 15px; color: #666666; line-height: 1.6;">
+                You can sign in again after <strong style="color: #BD6ED7;">${unlockTime}</strong>.
+            </p>
+            <p style="margin: 0; font-size: 15px; color: #666666; line-height: 1.6;">
+                If this wasn't you, someone may be trying to guess your password. We recommend resetting your password and turning on two-factor authentication.
+            </p>
+        `
+    });
+};
+
 module.exports = {
     initializeEmail,
     sendOtpEmail,
     sendEmail,
+    sendAccountLockedEmail,
     generateOtp,
 };
@@ -1,70 +1,102 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { Transform, pipeline } = require('stream');
 const { v4: uuidv4 } = require('uuid');
+const { storage, getRelativeUploadPath, toStoredPath, removeUpload } = require('./storage');
+const ImageService = require('../services/imageService');
 
-const UPLOAD_PATH = process.env.UPLOAD_PATH || './uploads';
+/**
+ * Multer storage engine that writes uploads through the configured storage driver.
+ * The uploaded file's `path` is its stored path (e.g. `/chats/chat_1/images/<uuid>.jpg`).
+ * Images (recognised by content, whatever their claimed type) are cleaned of metadata (EXIF, GPS)
+ * before they are stored and carry their real `mimetype`, see ImageService.
+ * @param {Function} getKey - (req, file) => storage key
+ * @param {Object} options - { imageVariants } also store a thumbnail and preview of images
+ *   (the file then carries width, height, blurhash, thumbnailPath and previewPath)
+ */
+const storageEngine = (getKey, { imageVariants = false } = {}) => ({
+    _handleFile(req, file, cb) {
+        let key;
+        try {
+            key = getKey(req, file);
+        } catch (error) {
+            return cb(error);
+        }
 
-// Ensure directory exists
-const ensureDir = (dirPath) => {
-    if (!fs.existsSync(dirPath)) {
-        fs.mkdirSync(dirPath, { recursive: true });
-    }
-};
+        // Images are recognised by their content: the client's type decides nothing on its own
+        ImageService.sniff(file.stream).then(async ({ imageType, stream }) => {
+            if (imageType || ImageService.isProcessable(file.mimetype)) {
+                const contentType = imageType || file.mimetype;
+                const chunks = [];
+                for await (const chunk of stream) {
+                    chunks.push(chunk);
+                }
+                const image = await ImageService.store(key, Buffer.concat(chunks), { contentType, variants: imageVariants });
+                return { key, path: toStoredPath(key), mimetype: contentType, ...image };
+            }
 
-// User profile picture storage
-const userProfileStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const userId = req.user.id;
-        const userDir = path.join(UPLOAD_PATH, 'users', `user_${userId}`);
-        ensureDir(userDir);
-        cb(null, userDir);
+            let size = 0;
+            const counter = new Transform({
+                transform(chunk, encoding, done) {
+                    size += chunk.length;
+                    done(null, chunk);
+                }
+            });
+
+            await storage.put(key, pipeline(stream, counter, () => {}), { contentType: file.mimetype });
+            return { key, path: toStoredPath(key), size };
+        }).then((info) => cb(null, info), cb);
     },
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname);
-        cb(null, `profile${ext}`);
+
+    _removeFile(req, file, cb) {
+        if (!file.key) return cb(null);
+        removeUpload(file.path).then(() => cb(null), cb);
     }
 });
 
-// Chat media storage
-const chatMediaStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const chatId = req.body.chatId || req.params.chatId;
-        let subFolder = 'images';
-
-        if (file.mimetype.startsWith('image/')) {
-            subFolder = 'images';
-        } else if (file.mimetype === 'application/pdf') {
-            subFolder = 'pdf';
-        } else if (file.mimetype.startsWith('audio/')) {
-            subFolder = 'voice';
-        } else if (file.mimetype.startsWith('video/')) {
-            subFolder = 'video';
-        }
+// User profile picture storage
+const userProfileStorage = storageEngine((req, file) => {
+    const ext = path.extname(file.originalname);
+    return `users/user_${req.user.id}/profile${ext}`;
+});
 
-        const chatDir = path.join(UPLOAD_PATH, 'chats', `chat_${chatId}`, subFolder);
-        ensureDir(chatDir);
-        cb(null, chatDir);
-    },
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname);
-        const uniqueName = `${uuidv4()}${ext}`;
-        cb(null, uniqueName);
+// Storage key of a chat media file (also used by resumable upload sessions)
+const chatMediaKey = (chatId, mimetype, originalName) => {
+    let subFolder = 'images';
+
+    if (mimetype.startsWith('image/')) {
+        subFolder = 'images';
+    } else if (mimetype === 'application/pdf') {
+        subFolder = 'pdf';
+    } else if (mimetype.startsWith('audio/')) {
+        subFolder = 'voice';
+    } else if (mimetype.startsWith('video/')) {
+        subFolder = 'video';
     }
-});
+
+    const ext = path.extname(originalName);
+    return `chats/chat_${chatId}/${subFolder}/${uuidv4()}${ext}`;
+};
+
+// File type recorded in the files table for chat media
+const getChatMediaFileType = (mimetype) => {
+    if (mimetype === 'application/pdf') return 'pdf';
+    if (mimetype.startsWith('audio/')) return 'voice';
+    if (mimetype.startsWith('video/')) return 'video';
+    return 'image';
+};
+
+// Chat media storage
+const chatMediaStorage = storageEngine((req, file) => {
+    const chatId = req.body.chatId || req.params.chatId;
+    return chatMediaKey(chatId, file.mimetype, file.originalname);
+}, { imageVariants: true });
 
 // Group image storage
-const groupImageStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const groupId = req.body.groupId || req.params.groupId || req.params.id;
-        const groupDir = path.join(UPLOAD_PATH, 'groups', `group_${groupId}`);
-        ensureDir(groupDir);
-        cb(null, groupDir);
-    },
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname);
-        cb(null, `cover${ext}`);
-    }
+const groupImageStorage = storageEngine((req, file) => {
+    const groupId = req.body.groupId || req.params.groupId || req.params.id;
+    const ext = path.extname(file.originalname);
+    return `groups/group_${groupId}/cover${ext}`;
 });
 
 // File filter for images
@@ -77,17 +109,19 @@ const imageFilter = (req, file, cb) => {
     }
 };
 
+// Chat media types that can be uploaded
+const CHAT_MEDIA_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/jpg',
+    'application/pdf',
+    'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/webm',
+    'audio/m4a', 'audio/x-m4a', 'audio/aac', 'audio/3gpp',
+    'video/mp4', 'video/webm', 'video/quicktime', 'video/3gpp',
+    'application/octet-stream' // Fallback for unknown types
+];
+
 // File filter for chat media
 const chatMediaFilter = (req, file, cb) => {
-    const allowedTypes = [
-        'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/jpg',
-        'application/pdf',
-        'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/webm',
-        'audio/m4a', 'audio/x-m4a', 'audio/aac', 'audio/3gpp',
-        'video/mp4', 'video/webm', 'video/quicktime', 'video/3gpp',
-        'application/octet-stream' // Fallback for unknown types
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (CHAT_MEDIA_TYPES.includes(file.mimetype)) {
         cb(null, true);
     } else {
         console.log('Rejected file type:', file.mimetype);
@@ -121,5 +155,10 @@ module.exports = {
     uploadUserProfile,
     uploadChatMedia,
     uploadGroupImage,
-    UPLOAD_PATH
+    chatMediaKey,
+    getChatMediaFileType,
+    getRelativeUploadPath,
+    removeUpload,
+    CHAT_MEDIA_TYPES,
+    MAX_FILE_SIZE: maxSize
 };
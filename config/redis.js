@@ -0,0 +1,42 @@
+const { createClient } = require('redis');
+
+/**
+ * Redis Configuration - Optional; shares Socket.IO rooms and presence between API instances.
+ * Any Redis-protocol server works (Redis, Valkey, KeyDB, ...). Without REDIS_URL the API runs
+ * as a single instance with in-memory state.
+ */
+
+let pubClient = null;
+let subClient = null;
+
+/**
+ * Connect the Redis clients when REDIS_URL is set
+ * @returns {Promise<Object|null>} - { pubClient, subClient } or null when not configured
+ */
+const initializeRedis = async () => {
+    if (!process.env.REDIS_URL) {
+        console.warn('⚠️ Redis not configured. Running as a single instance (set REDIS_URL in .env to cluster)');
+        return null;
+    }
+
+    pubClient = createClient({ url: process.env.REDIS_URL });
+    subClient = pubClient.duplicate();
+
+    pubClient.on('error', (err) => console.error('Redis error:', err.message || err));
+    subClient.on('error', (err) => console.error('Redis subscriber error:', err.message || err));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    console.log('✅ Redis connected');
+
+    return { pubClient, subClient };
+};
+
+/**
+ * Get the command client (null when Redis is not configured)
+ */
+const getRedisClient = () => pubClient;
+
+module.exports = {
+    initializeRedis,
+    getRedisClient
+};
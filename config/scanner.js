@@ -0,0 +1,43 @@
+const ClamavScannerDriver = require('./scannerDrivers/clamavDriver');
+const NoopScannerDriver = require('./scannerDrivers/noopDriver');
+
+/**
+ * Scanner Configuration - How uploaded chat files are checked for malware.
+ *
+ * MALWARE_SCANNER=clamav scans with a clamd daemon (CLAMAV_HOST/CLAMAV_PORT or CLAMAV_SOCKET);
+ * MALWARE_SCANNER=none (default) passes every file. Either way files are withheld from other
+ * participants until their scan has finished, see MalwareScanService.
+ */
+
+const MALWARE_SCANNER = process.env.MALWARE_SCANNER || 'none';
+
+/**
+ * Create a scanner driver
+ * @param {string} driver - 'clamav' or 'none'
+ */
+const createScanner = (driver = MALWARE_SCANNER) => {
+    switch (driver) {
+        case 'clamav':
+            return new ClamavScannerDriver({
+                host: process.env.CLAMAV_HOST || '127.0.0.1',
+                port: parseInt(process.env.CLAMAV_PORT) || 3310,
+                socketPath: process.env.CLAMAV_SOCKET || null,
+                timeoutMs: (parseInt(process.env.CLAMAV_TIMEOUT_SECONDS) || 60) * 1000,
+                // clamd's StreamMaxLength (25 MB unless raised in clamd.conf)
+                maxStreamLength: parseInt(process.env.CLAMAV_STREAM_MAX_LENGTH) || 25 * 1024 * 1024
+            });
+        case 'none':
+            return new NoopScannerDriver();
+        default:
+            throw new Error(`Unknown malware scanner: ${driver}`);
+    }
+};
+
+// Driver uploads are scanned with
+const scanner = createScanner();
+
+module.exports = {
+    scanner,
+    createScanner,
+    MALWARE_SCANNER
+};
@@ -0,0 +1,114 @@
+const net = require('net');
+
+// Largest piece of a file sent to clamd in one INSTREAM chunk
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Error for a file larger than clamd accepts (its StreamMaxLength)
+ */
+const sizeLimitError = () => Object.assign(new Error('File exceeds the ClamAV stream size limit'), {
+    code: 'SCAN_SIZE_LIMIT'
+});
+
+/**
+ * ClamAV Scanner Driver - Scans files with a clamd daemon over TCP or a Unix socket,
+ * streaming the contents with the INSTREAM command (clamd needs no access to our storage).
+ * Run one locally with e.g. `docker run -p 3310:3310 clamav/clamav`.
+ */
+class ClamavScannerDriver {
+
+    /**
+     * @param {Object} options - { host, port } or { socketPath }, { timeoutMs }, and { maxStreamLength }
+     *   (clamd's StreamMaxLength in bytes - larger files are refused without being sent)
+     */
+    constructor({ host = '127.0.0.1', port = 3310, socketPath = null, timeoutMs = 60000, maxStreamLength = null } = {}) {
+        this.name = 'clamav';
+        this.connectOptions = socketPath ? { path: socketPath } : { host, port };
+        this.timeoutMs = timeoutMs;
+        this.maxStreamLength = maxStreamLength;
+    }
+
+    /**
+     * Scan a file's contents. Files over clamd's size limit reject with code SCAN_SIZE_LIMIT.
+     * @param {Readable} stream - File contents
+     * @param {Object} options - { size } (bytes, when known)
+     * @returns {Promise<Object>} - { clean, signature } (signature names the malware found)
+     */
+    scan(stream, { size = null } = {}) {
+        if (this.maxStreamLength && size > this.maxStreamLength) {
+            stream.destroy();
+            return Promise.reject(sizeLimitError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(this.connectOptions);
+            let reply = '';
+            let socketError = null;
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                stream.destroy();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            socket.setTimeout(this.timeoutMs, () => finish(new Error('ClamAV scan timed out')));
+            // clamd may reply and hang up while the file is still being sent (e.g. size limit),
+            // so the reply is read when the socket closes
+            socket.on('error', (error) => {
+                socketError = error;
+            });
+            socket.on('data', (data) => {
+                reply += data.toString();
+            });
+            socket.on('close', () => {
+                // Replies look like "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+                const text = reply.replace(/\0/g, '').trim();
+                const found = text.match(/^stream: (.+) FOUND$/);
+
+                if (text === 'stream: OK') {
+                    finish(null, { clean: true, signature: null });
+                } else if (found) {
+                    finish(null, { clean: false, signature: found[1] });
+                } else if (/size limit exceeded/i.test(text)) {
+                    finish(sizeLimitError());
+                } else if (!text && socketError) {
+                    finish(new Error(`ClamAV unavailable: ${socketError.message}`));
+                } else {
+                    finish(new Error(`ClamAV scan failed: ${text || 'no reply'}`));
+                }
+            });
+
+            socket.on('connect', async () => {
+                try {
+                    socket.write('zINSTREAM\0');
+                    for await (const data of stream) {
+                        for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+                            const piece = data.subarray(offset, offset + CHUNK_SIZE);
+                            const length = Buffer.alloc(4);
+                            length.writeUInt32BE(piece.length);
+
+                            // Wait for the socket to drain so large files aren't buffered in memory
+                            if (!socket.write(Buffer.concat([length, piece]))) {
+                                await new Promise((resume) => {
+                                    socket.once('drain', resume);
+                                    socket.once('close', resume);
+                                });
+                            }
+                            if (settled) return;
+                        }
+                    }
+                    socket.write(Buffer.alloc(4));
+                } catch (error) {
+                    // A write to a socket clamd closed is answered by its reply
+                    if (!socket.destroyed) finish(error);
+                }
+            });
+        });
+    }
+}
+
+module.exports = ClamavScannerDriver;
@@ -0,0 +1,99 @@
+const LocalStorageDriver = require('./storageDrivers/localDriver');
+const S3StorageDriver = require('./storageDrivers/s3Driver');
+
+/**
+ * Storage Configuration - Where uploaded files are kept.
+ *
+ * STORAGE_DRIVER=local (default) keeps them under UPLOAD_PATH on this server;
+ * STORAGE_DRIVER=s3 keeps them in an S3-compatible bucket, which every API instance can share.
+ * Files are addressed by keys relative to the storage root (`chats/chat_1/images/<uuid>.jpg`);
+ * the database stores them as paths with a leading slash (`/chats/chat_1/images/<uuid>.jpg`),
+ * the same whichever driver is used. Move files between drivers with `npm run storage:migrate`.
+ */
+
+const UPLOAD_PATH = process.env.UPLOAD_PATH || './uploads';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+/**
+ * Create a storage driver
+ * @param {string} driver - 'local' or 's3'
+ */
+const createStorage = (driver = STORAGE_DRIVER) => {
+    switch (driver) {
+        case 'local':
+            return new LocalStorageDriver({ root: UPLOAD_PATH });
+        case 's3':
+            return new S3StorageDriver({
+                bucket: process.env.S3_BUCKET,
+                region: process.env.S3_REGION,
+                endpoint: process.env.S3_ENDPOINT,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                prefix: process.env.S3_PREFIX || ''
+            });
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+};
+
+// Driver the API reads and writes uploads through
+const storage = createStorage();
+
+// Convert a stored path or /uploads URL to a path relative to the storage root
+const getRelativeUploadPath = (filePath) => {
+    const marker = '/uploads/';
+    const index = filePath.indexOf(marker);
+    return index === -1 ? filePath : filePath.substring(index + marker.length - 1);
+};
+
+/**
+ * Storage key of a stored path or /uploads URL
+ * @returns {string|null} - null for paths that can't be a stored file (empty, `..`, hidden files)
+ */
+const toStorageKey = (filePath) => {
+    if (!filePath) return null;
+
+    const segments = getRelativeUploadPath(String(filePath)).split(/[\\/]+/).filter(Boolean);
+    if (segments.length === 0 || segments.some(segment => segment.startsWith('.'))) return null;
+    return segments.join('/');
+};
+
+/**
+ * Path stored in the database for a storage key
+ */
+const toStoredPath = (key) => `/${key}`;
+
+// Resized copies kept next to uploaded images (see ImageService)
+const IMAGE_VARIANTS = ['thumbnail', 'preview'];
+
+/**
+ * Storage key of a resized copy of an image, e.g. `chats/chat_1/images/<uuid>_thumbnail.webp`
+ */
+const variantKey = (key, variant) => key.replace(/(\.[^./]*)?$/, `_${variant}.webp`);
+
+/**
+ * Delete an uploaded file (and any resized copies) by its stored path or /uploads URL
+ * @returns {Promise<boolean>} - Whether a file was deleted
+ */
+const removeUpload = async (filePath) => {
+    const key = toStorageKey(filePath);
+    if (!key) return false;
+
+    for (const variant of IMAGE_VARIANTS) {
+        await storage.delete(variantKey(key, variant));
+    }
+    return await storage.delete(key);
+};
+
+module.exports = {
+    storage,
+    createStorage,
+    getRelativeUploadPath,
+    toStorageKey,
+    toStoredPath,
+    variantKey,
+    removeUpload,
+    IMAGE_VARIANTS,
+    STORAGE_DRIVER
+};
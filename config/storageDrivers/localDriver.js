@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Local Storage Driver - Keeps uploads in a folder on this server's disk.
+ * Files are written to a hidden temporary file first and renamed into place,
+ * so readers never see half-written files.
+ */
+class LocalStorageDriver {
+
+    /**
+     * @param {Object} options - { root } folder holding the files
+     */
+    constructor({ root }) {
+        this.name = 'local';
+        this.root = path.resolve(root);
+    }
+
+    /**
+     * Absolute path of a key (keys can't point outside the root)
+     */
+    resolve(key) {
+        const absolutePath = path.resolve(this.root, key);
+        if (!absolutePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return absolutePath;
+    }
+
+    /**
+     * Open a new file for writing, creating its folder (again, if a delete just pruned it)
+     */
+    async openForWriting(filePath) {
+        for (let attempt = 1; ; attempt++) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                return await fs.promises.open(filePath, 'w');
+            } catch (error) {
+                if (error.code !== 'ENOENT' || attempt >= 3) throw error;
+            }
+        }
+    }
+
+    /**
+     * Store a file, replacing any file with the same key
+     * @param {string} key - Storage key
+     * @param {Readable|Buffer} body - File contents
+     */
+    async put(key, body) {
+        const target = this.resolve(key);
+        const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.${uuidv4()}.tmp`);
+
+        try {
+            const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+            await pipeline(source, (await this.openForWriting(tempPath)).createWriteStream());
+            await fs.promises.rename(tempPath, target);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Size and modification details of a file
+     * @returns {Promise<Object|null>} - { size, lastModified, etag, contentType } or null when missing
+     */
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.resolve(key));
+            if (!stats.isFile()) return null;
+
+            return {
+                size: stats.size,
+                lastModified: stats.mtime,
+                etag: `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`,
+                contentType: null
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Read a file, or a byte range of it (inclusive offsets)
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(key, { start, end } = {}) {
+        return fs.createReadStream(this.resolve(key), { start, end });
+    }
+
+    /**
+     * Delete a file, and any folders it leaves empty
+     * @returns {Promise<boolean>} - Whether a file was deleted
+     */
+    async delete(key) {
+        const target = this.resolve(key);
+        try {
+            await fs.promises.unlink(target);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        for (let dir = path.dirname(target); dir !== this.root; dir = path.dirname(dir)) {
+            try {
+                await fs.promises.rmdir(dir);
+            } catch (error) {
+                break;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * List the keys of stored files (temporary files are skipped)
+     * @param {string} prefix - Only keys starting with this folder, e.g. 'chats/'
+     */
+    async *list(prefix = '') {
+        const walk = async function* (directory) {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(directory, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+
+                const entryPath = path.join(directory, entry.name);
+                if (entry.isDirectory()) {
+                    yield* walk(entryPath);
+                } else if (entry.isFile()) {
+                    yield entryPath;
+                }
+            }
+        };
+
+        const start = prefix ? this.resolve(prefix) : this.root;
+        for await (const filePath of walk(start)) {
+            yield path.relative(this.root, filePath).split(path.sep).join('/');
+        }
+    }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,134 @@
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+/**
+ * S3 Storage Driver - Keeps uploads in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ * Uploads are streamed in multipart chunks, so their size doesn't need to be known up front.
+ */
+class S3StorageDriver {
+
+    /**
+     * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }
+     */
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+        if (!bucket) {
+            throw new Error('S3_BUCKET is required for the s3 storage driver');
+        }
+
+        this.name = 's3';
+        this.bucket = bucket;
+        this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        });
+    }
+
+    /**
+     * Object key of a storage key (inside the configured prefix)
+     */
+    objectKey(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    /**
+     * Store a file, replacing any file with the same key
+     * @param {string} key - Storage key
+     * @param {Readable|Buffer} body - File contents
+     * @param {Object} options - { contentType }
+     */
+    async put(key, body, { contentType } = {}) {
+        const upload = new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: this.objectKey(key),
+                Body: body,
+                ContentType: contentType || undefined
+            }
+        });
+        await upload.done();
+    }
+
+    /**
+     * Size and modification details of a file
+     * @returns {Promise<Object|null>} - { size, lastModified, etag, contentType } or null when missing
+     */
+    async stat(key) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+
+            return {
+                size: head.ContentLength,
+                lastModified: head.LastModified,
+                etag: head.ETag,
+                contentType: head.ContentType || null
+            };
+        } catch (error) {
+            if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a file, or a byte range of it (inclusive offsets)
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(key, { start, end } = {}) {
+        const object = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+        }));
+        return object.Body;
+    }
+
+    /**
+     * Delete a file
+     * @returns {Promise<boolean>} - Whether a file was deleted
+     */
+    async delete(key) {
+        if (!(await this.stat(key))) return false;
+
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+        return true;
+    }
+
+    /**
+     * List the keys of stored files
+     * @param {string} prefix - Only keys starting with this folder, e.g. 'chats/'
+     */
+    async *list(prefix = '') {
+        let continuationToken;
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.objectKey(prefix),
+                ContinuationToken: continuationToken
+            }));
+
+            for (const object of page.Contents || []) {
+                yield this.prefix ? object.Key.slice(this.prefix.length + 1) : object.Key;
+            }
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+    }
+}
+
+module.exports = S3StorageDriver;
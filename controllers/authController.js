@@ -1,9 +1,27 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const UserModel = require('../models/userModel');
 const OtpModel = require('../models/otpModel');
+const SessionModel = require('../models/sessionModel');
+const BackupCodeModel = require('../models/backupCodeModel');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const AuthThrottleService = require('../services/authThrottleService');
 const { sendOtpEmail, generateOtp } = require('../config/email');
 
+/**
+ * Reply to an attempt refused by brute-force protection
+ */
+const sendThrottled = (res, throttle) => {
+    res.set('Retry-After', String(throttle.retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: throttle.locked
+            ? `Too many failed attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`
+            : `Too many attempts. Try again in ${throttle.retryAfter} second(s).`,
+        retryAfter: throttle.retryAfter
+    });
+};
+
 /**
  * Auth Controller - Handles authentication operations with OTP verification
  */
@@ -61,6 +79,11 @@ class AuthController {
                 });
             }
 
+            // Limit how often codes are sent (each new code also resets the guess counter)
+            const throttle = await AuthThrottleService.check('otp_send', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+            await AuthThrottleService.recordFailure('otp_send', req.ip, email);
+
             // Generate OTP (5 digits)
             const otp = generateOtp(5);
 
@@ -104,14 +127,19 @@ class AuthController {
                 });
             }
 
+            const throttle = await AuthThrottleService.check('otp', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+
             // Verify OTP
             const otpResult = await OtpModel.verify(email, otp);
             if (!otpResult.valid) {
+                await AuthThrottleService.recordFailure('otp', req.ip, email);
                 return res.status(400).json({
                     success: false,
                     message: otpResult.message
                 });
             }
+            await AuthThrottleService.recordSuccess('otp', email);
 
             // Hash password
             const salt = await bcrypt.genSalt(10);
@@ -126,12 +154,8 @@ class AuthController {
                 department
             });
 
-            // Generate token
-            const token = jwt.sign(
-                { id: user.id, email: user.email, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-            );
+            // Start a session (access token + refresh token)
+            const session = await SessionService.create(req.app.get('io'), user, req);
 
             // Clean up OTP
             await OtpModel.deleteByEmail(email);
@@ -141,7 +165,7 @@ class AuthController {
                 message: 'Email verified successfully',
                 data: {
                     user,
-                    token,
+                    ...session,
                     profileCompleted: false // Frontend will redirect to profile completion
                 }
             });
@@ -170,6 +194,11 @@ class AuthController {
                 });
             }
 
+            // Limit how often codes are sent (each new code also resets the guess counter)
+            const throttle = await AuthThrottleService.check('otp_send', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+            await AuthThrottleService.recordFailure('otp_send', req.ip, email);
+
             // Generate new OTP
             const otp = generateOtp(5);
 
@@ -253,19 +282,15 @@ class AuthController {
                 department
             });
 
-            // Generate token
-            const token = jwt.sign(
-                { id: user.id, email: user.email, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-            );
+            // Start a session (access token + refresh token)
+            const session = await SessionService.create(req.app.get('io'), user, req);
 
             res.status(201).json({
                 success: true,
                 message: 'User registered successfully',
                 data: {
                     user,
-                    token
+                    ...session
                 }
             });
         } catch (error) {
@@ -294,9 +319,14 @@ class AuthController {
                 });
             }
 
+            // Refuse while this IP or account is throttled or locked - even with the right password
+            const throttle = await AuthThrottleService.check('login', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+
             // Find user
             const user = await UserModel.findByEmail(email);
             if (!user) {
+                await AuthThrottleService.recordFailure('login', req.ip, email);
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid email or password'
@@ -306,18 +336,31 @@ class AuthController {
             // Check password
             const isMatch = await bcrypt.compare(password, user.password);
             if (!isMatch) {
+                await AuthThrottleService.recordFailure('login', req.ip, email);
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid email or password'
                 });
             }
 
-            // Generate token
-            const token = jwt.sign(
-                { id: user.id, email: user.email, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-            );
+            // With two-factor authentication the session is issued by the code step
+            // (failures are only cleared once the code is accepted)
+            if (user.two_factor_enabled) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Two-factor code required',
+                    data: {
+                        twoFactorRequired: true,
+                        challengeToken: TwoFactorService.createChallengeToken(user),
+                        expiresIn: 300
+                    }
+                });
+            }
+
+            await AuthThrottleService.recordSuccess('login', email);
+
+            // Start a session (access token + refresh token)
+            const session = await SessionService.create(req.app.get('io'), user, req);
 
             // Remove password from response
             const { password: _, ...userWithoutPassword } = user;
@@ -327,7 +370,9 @@ class AuthController {
                 message: 'Login successful',
                 data: {
                     user: userWithoutPassword,
-                    token
+                    ...session,
+                    // Members of teams requiring 2FA can only use the auth endpoints until they enrol
+                    twoFactorSetupRequired: await UserModel.isTwoFactorRequired(user.id)
                 }
             });
         } catch (error) {
@@ -340,12 +385,269 @@ class AuthController {
         }
     }
 
+    /**
+     * Login step 2: verify the authenticator (or backup) code and start the session
+     * POST /api/auth/login/2fa
+     */
+    static async verifyTwoFactorLogin(req, res) {
+        try {
+            const { challengeToken, code, backupCode } = req.body;
+
+            if (!challengeToken || (!code && !backupCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Challenge token and code are required'
+                });
+            }
+
+            const userId = TwoFactorService.verifyChallengeToken(challengeToken);
+            const user = userId ? await UserModel.findById(userId) : null;
+            if (!user || !user.is_active || !user.two_factor_enabled) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Login expired, please sign in again'
+                });
+            }
+
+            // Code guesses count towards the same lockout as passwords
+            const throttle = await AuthThrottleService.check('login', req.ip, user.email);
+            if (throttle) return sendThrottled(res, throttle);
+
+            const verified = await TwoFactorService.verifyUser(user, { code, backupCode });
+            if (!verified) {
+                await AuthThrottleService.recordFailure('login', req.ip, user.email);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+            await AuthThrottleService.recordSuccess('login', user.email);
+
+            // Start a session (access token + refresh token)
+            const session = await SessionService.create(req.app.get('io'), user, req);
+
+            res.status(200).json({
+                success: true,
+                message: 'Login successful',
+                data: {
+                    user,
+                    ...session,
+                    backupCodesRemaining: backupCode ? await BackupCodeModel.countRemaining(user.id) : undefined
+                }
+            });
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Start two-factor enrolment - returns the secret, its otpauth URI and a QR code
+     * POST /api/auth/2fa/setup
+     */
+    static async setupTwoFactor(req, res) {
+        try {
+            const twoFactor = await UserModel.findTwoFactor(req.user.id);
+            if (twoFactor.two_factor_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
+
+            const secret = TwoFactorService.generateSecret();
+            await UserModel.setTwoFactorSecret(req.user.id, secret);
+
+            const otpauthUrl = TwoFactorService.buildOtpauthUrl(req.user.email, secret);
+
+            res.status(200).json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then confirm a code',
+                data: {
+                    secret,
+                    otpauthUrl,
+                    qrCode: await TwoFactorService.generateQrCode(otpauthUrl)
+                }
+            });
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to start two-factor setup',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Finish enrolment by confirming the first code - returns one-time backup codes
+     * POST /api/auth/2fa/enable
+     */
+    static async enableTwoFactor(req, res) {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Code is required'
+                });
+            }
+
+            const twoFactor = await UserModel.findTwoFactor(req.user.id);
+            if (twoFactor.two_factor_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
+            if (!twoFactor.two_factor_secret) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Start two-factor setup first'
+                });
+            }
+
+            const verified = await TwoFactorService.verifyUser(req.user, { code });
+            if (!verified) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+
+            await UserModel.setTwoFactorEnabled(req.user.id, true);
+            const backupCodes = await TwoFactorService.regenerateBackupCodes(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+                data: { backupCodes }
+            });
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to enable two-factor authentication',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Turn two-factor authentication off (needs the password and a code)
+     * POST /api/auth/2fa/disable
+     */
+    static async disableTwoFactor(req, res) {
+        try {
+            const { password, code, backupCode } = req.body;
+
+            if (!password || (!code && !backupCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password and code are required'
+                });
+            }
+
+            if (await UserModel.isTwoFactorRequired(req.user.id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Your team requires two-factor authentication'
+                });
+            }
+
+            const user = await UserModel.findByIdWithPassword(req.user.id);
+            if (!user.two_factor_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            const isMatch = await bcrypt.compare(password, user.password);
+            if (!isMatch || !(await TwoFactorService.verifyUser(req.user, { code, backupCode }))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid password or authentication code'
+                });
+            }
+
+            await UserModel.setTwoFactorEnabled(req.user.id, false);
+            await BackupCodeModel.deleteByUserId(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to disable two-factor authentication',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Replace the backup codes (needs a current code)
+     * POST /api/auth/2fa/backup-codes
+     */
+    static async regenerateBackupCodes(req, res) {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Code is required'
+                });
+            }
+
+            const twoFactor = await UserModel.findTwoFactor(req.user.id);
+            if (!twoFactor.two_factor_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            if (!(await TwoFactorService.verifyUser(req.user, { code }))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+
+            const backupCodes = await TwoFactorService.regenerateBackupCodes(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'New backup codes generated. Previous codes no longer work.',
+                data: { backupCodes }
+            });
+        } catch (error) {
+            console.error('Regenerate backup codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate backup codes',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Logout user
      * POST /api/auth/logout
      */
     static async logout(req, res) {
         try {
+            await SessionService.revoke(req.app.get('io'), [req.sessionId], 'logout');
+
             res.status(200).json({
                 success: true,
                 message: 'Logged out successfully'
@@ -360,6 +662,127 @@ class AuthController {
         }
     }
 
+    /**
+     * Exchange a refresh token for a new access token (the refresh token is rotated)
+     * POST /api/auth/refresh
+     */
+    static async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+
+            const result = await SessionService.refresh(req.app.get('io'), refreshToken, req.ip);
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Token refreshed',
+                data: result
+            });
+        } catch (error) {
+            console.error('Refresh token error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to refresh token',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the current user's active sessions
+     * GET /api/auth/sessions
+     */
+    static async getSessions(req, res) {
+        try {
+            const sessions = await SessionModel.findActiveByUserId(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                data: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.sessionId
+                }))
+            });
+        } catch (error) {
+            console.error('Get sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get sessions',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revoke one of the current user's sessions
+     * DELETE /api/auth/sessions/:id
+     */
+    static async revokeSession(req, res) {
+        try {
+            const sessionId = parseInt(req.params.id);
+            const activeIds = await SessionModel.findActiveIds(req.user.id);
+
+            if (!activeIds.includes(sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            await SessionService.revoke(req.app.get('io'), [sessionId], 'revoked');
+
+            res.status(200).json({
+                success: true,
+                message: 'Session revoked successfully'
+            });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke session',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revoke all of the current user's other sessions (?includeCurrent=true signs this one out too)
+     * DELETE /api/auth/sessions
+     */
+    static async revokeAllSessions(req, res) {
+        try {
+            const includeCurrent = req.query.includeCurrent === 'true';
+            const revoked = await SessionService.revokeAll(
+                req.app.get('io'), req.user.id, 'revoked', includeCurrent ? null : req.sessionId
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Sessions revoked successfully',
+                data: { revoked }
+            });
+        } catch (error) {
+            console.error('Revoke sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke sessions',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Get current user profile
      * GET /api/auth/me
@@ -476,6 +899,9 @@ class AuthController {
             // Update password
             await UserModel.updatePassword(req.user.id, hashedPassword);
 
+            // Sign out every other device
+            await SessionService.revokeAll(req.app.get('io'), req.user.id, 'password_changed', req.sessionId);
+
             res.status(200).json({
                 success: true,
                 message: 'Password changed successfully'
@@ -505,6 +931,11 @@ class AuthController {
                 });
             }
 
+            // Limit how often codes are sent - counted for unknown emails too, so throttling reveals nothing
+            const throttle = await AuthThrottleService.check('otp_send', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+            await AuthThrottleService.recordFailure('otp_send', req.ip, email);
+
             // Check if user exists
             const user = await UserModel.findByEmail(email);
             if (!user) {
@@ -557,14 +988,19 @@ class AuthController {
                 });
             }
 
+            const throttle = await AuthThrottleService.check('otp', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+
             // Verify OTP
             const otpResult = await OtpModel.verify(email, otp);
             if (!otpResult.valid) {
+                await AuthThrottleService.recordFailure('otp', req.ip, email);
                 return res.status(400).json({
                     success: false,
                     message: otpResult.message
                 });
             }
+            await AuthThrottleService.recordSuccess('otp', email);
 
             res.status(200).json({
                 success: true,
@@ -622,9 +1058,13 @@ class AuthController {
                 });
             }
 
+            const throttle = await AuthThrottleService.check('otp', req.ip, email);
+            if (throttle) return sendThrottled(res, throttle);
+
             // Verify OTP (allow verified since it was checked in the previous step)
             const otpResult = await OtpModel.verify(email, otp, true);
             if (!otpResult.valid) {
+                await AuthThrottleService.recordFailure('otp', req.ip, email);
                 return res.status(400).json({
                     success: false,
                     message: otpResult.message
@@ -638,6 +1078,9 @@ class AuthController {
             // Update password
             await UserModel.updatePassword(user.id, hashedPassword);
 
+            // Sign out every device
+            await SessionService.revokeAll(req.app.get('io'), user.id, 'password_reset');
+
             // Clean up OTP
             await OtpModel.deleteByEmail(email);
 
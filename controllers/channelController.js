@@ -1,6 +1,8 @@
 const ChannelModel = require('../models/channelModel');
 const TeamModel = require('../models/teamModel');
-const { pool } = require('../config/db');
+const MessageModel = require('../models/messageModel');
+const MessageSendService = require('../services/messageSendService');
+const MessageEditService = require('../services/messageEditService');
 
 /**
  * Channel Controller - Handles channel operations
@@ -59,6 +61,15 @@ class ChannelController {
                 }
             }
 
+            // Connected members start receiving the channel in real time
+            const io = req.app.get('io');
+            if (io) {
+                const memberIds = (await ChannelModel.getMembers(channel.id)).map(member => member.id);
+                if (memberIds.length > 0) {
+                    io.in(memberIds.map(id => `user:${id}`)).socketsJoin(`channel_${channel.id}`);
+                }
+            }
+
             res.status(201).json({
                 success: true,
                 message: 'Channel created successfully',
@@ -267,6 +278,12 @@ class ChannelController {
 
             await ChannelModel.addMember(channelId, userId);
 
+            // Join the channel room on all of the user's connected devices
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`user:${userId}`).socketsJoin(`channel_${channelId}`);
+            }
+
             res.json({
                 success: true,
                 message: `Joined #${channel.name}`
@@ -307,6 +324,12 @@ class ChannelController {
 
             await ChannelModel.removeMember(channelId, userId);
 
+            // Stop real-time delivery on all of the user's connected devices
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`user:${userId}`).socketsLeave(`channel_${channelId}`);
+            }
+
             res.json({
                 success: true,
                 message: `Left #${channel.name}`
@@ -349,83 +372,206 @@ class ChannelController {
     static async sendMessage(req, res) {
         try {
             const channelId = parseInt(req.params.id);
+            const result = await MessageSendService.sendToChannel(req.app.get('io'), req.user, channelId, req.body);
+
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
+
+            res.status(result.duplicate ? 200 : 201).json({
+                success: true,
+                data: result.message
+            });
+        } catch (error) {
+            console.error('Send channel message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send message'
+            });
+        }
+    }
+
+    /**
+     * Edit a channel message
+     * PUT /api/channels/:id/messages/:messageId
+     */
+    static async editMessage(req, res) {
+        try {
+            const channelId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
             const userId = req.user.id;
-            const teamId = req.teamId;
-            const { content, messageType, filePath, duration } = req.body;
 
             // Verify user is channel member
             const isMember = await ChannelModel.isMember(channelId, userId);
             if (!isMember) {
                 return res.status(403).json({
                     success: false,
-                    message: 'You must join this channel to send messages'
+                    message: 'You must join this channel to edit messages'
                 });
             }
 
-            // Get channel's chat_id (we'll create one if needed)
-            const channel = await ChannelModel.findById(channelId);
+            const message = await MessageModel.findById(messageId);
+            if (!message || message.channel_id !== channelId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
 
-            // Find or create a chat for this channel
-            let chatId;
-            const [chatRows] = await pool.query(
-                `SELECT id FROM chats WHERE type = 'group' AND group_id IS NULL AND id IN 
-                 (SELECT chat_id FROM messages WHERE channel_id = ?) LIMIT 1`,
-                [channelId]
-            );
+            const result = await MessageEditService.edit(req.app.get('io'), req.user, message, req.body.content);
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Message edited successfully',
+                data: result.message
+            });
+        } catch (error) {
+            console.error('Edit channel message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to edit message'
+            });
+        }
+    }
+
+    /**
+     * Delete a channel message for me or for everyone
+     * DELETE /api/channels/:id/messages/:messageId?scope=me|everyone
+     */
+    static async deleteMessage(req, res) {
+        try {
+            const channelId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+            const userId = req.user.id;
+            const scope = req.query.scope || 'me';
+
+            if (!['me', 'everyone'].includes(scope)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid scope. Use: me or everyone'
+                });
+            }
+
+            // Verify user is channel member
+            const isMember = await ChannelModel.isMember(channelId, userId);
+            if (!isMember) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You must join this channel to delete messages'
+                });
+            }
+
+            const message = await MessageModel.findById(messageId);
+            if (!message || message.channel_id !== channelId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
 
-            if (chatRows.length > 0) {
-                chatId = chatRows[0].id;
-            } else {
-                // Create a new chat for the channel
-                const [result] = await pool.query(
-                    `INSERT INTO chats (type) VALUES ('group')`
-                );
-                chatId = result.insertId;
-            }
-
-            // Insert message
-            const [msgResult] = await pool.query(
-                `INSERT INTO messages (chat_id, channel_id, team_id, sender_id, message_type, content, file_path, duration)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [chatId, channelId, teamId, userId, messageType || 'text', content, filePath || null, duration || null]
-            );
-
-            // Get the created message with sender info
-            const [messages] = await pool.query(
-                `SELECT m.*, u.name as sender_name, u.profile_picture as sender_picture
-                 FROM messages m
-                 JOIN users u ON m.sender_id = u.id
-                 WHERE m.id = ?`,
-                [msgResult.insertId]
-            );
-
-            const message = messages[0];
-
-            // Emit via Socket.IO
             const io = req.app.get('io');
-            if (io) {
-                io.to(`channel_${channelId}`).emit('channel_message', {
-                    channelId,
-                    message
+
+            if (scope === 'me') {
+                await MessageModel.hideForUser(messageId, userId);
+
+                if (io) {
+                    io.to(`user:${userId}`).emit('message_deleted', { channelId, messageId, scope });
+                }
+
+                return res.json({
+                    success: true,
+                    message: 'Message deleted for you'
                 });
             }
 
-            res.status(201).json({
+            // Team admins can remove any member's message
+            const isAdmin = ['owner', 'admin'].includes(req.teamRole);
+
+            const result = await MessageEditService.deleteForEveryone(io, req.user, message, { isModerator: isAdmin });
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
+
+            res.json({
                 success: true,
-                data: message
+                message: 'Message deleted for everyone',
+                data: result.message
             });
         } catch (error) {
-            console.error('Send channel message error:', error);
+            console.error('Delete channel message error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to send message'
+                message: 'Failed to delete message'
+            });
+        }
+    }
+
+    /**
+     * Get revision history of a channel message (team admins only)
+     * GET /api/channels/:id/messages/:messageId/revisions
+     */
+    static async getMessageRevisions(req, res) {
+        try {
+            const channelId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+
+            const isAdmin = ['owner', 'admin'].includes(req.teamRole) || req.user.role === 'admin';
+            if (!isAdmin) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin access required'
+                });
+            }
+
+            const channel = await ChannelModel.findById(channelId);
+            if (!channel || channel.team_id !== req.teamId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Channel not found'
+                });
+            }
+
+            const message = await MessageModel.findById(messageId);
+            if (!message || message.channel_id !== channelId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            const revisions = await MessageModel.getRevisions(messageId);
+
+            res.json({
+                success: true,
+                data: {
+                    message,
+                    revisions
+                }
+            });
+        } catch (error) {
+            console.error('Get channel message revisions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get message revisions'
             });
         }
     }
 
     /**
      * Get channel messages
-     * GET /api/channels/:id/messages
+     * GET /api/channels/:id/messages?before=&after=&limit=
      */
     static async getMessages(req, res) {
         try {
@@ -433,6 +579,14 @@ class ChannelController {
             const userId = req.user.id;
             const limit = parseInt(req.query.limit) || 50;
             const offset = parseInt(req.query.offset) || 0;
+            const { priority } = req.query;
+
+            if (priority && !MessageModel.isValidPriority(priority)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Priority must be routine, important or urgent'
+                });
+            }
 
             // Verify user is channel member
             const isMember = await ChannelModel.isMember(channelId, userId);
@@ -443,22 +597,20 @@ class ChannelController {
                 });
             }
 
-            const [messages] = await pool.query(
-                `SELECT m.*, u.name as sender_name, u.profile_picture as sender_picture
-                 FROM messages m
-                 JOIN users u ON m.sender_id = u.id
-                 WHERE m.channel_id = ?
-                 ORDER BY m.created_at DESC
-                 LIMIT ? OFFSET ?`,
-                [channelId, limit, offset]
-            );
+            // Top-level messages only; replies are fetched through the thread endpoint
+            const messages = await MessageModel.findByChannelId(channelId, limit, offset, {
+                userId,
+                priority,
+                before: parseInt(req.query.before) || null,
+                after: parseInt(req.query.after) || null
+            });
 
             // Update last read
             await ChannelModel.updateLastRead(channelId, userId);
 
             res.json({
                 success: true,
-                data: messages.reverse() // Return in chronological order
+                data: messages
             });
         } catch (error) {
             console.error('Get channel messages error:', error);
@@ -468,6 +620,107 @@ class ChannelController {
             });
         }
     }
+
+    /**
+     * Get replies in a message thread
+     * GET /api/channels/:id/messages/:messageId/thread?before=&after=&limit=
+     */
+    static async getThread(req, res) {
+        try {
+            const channelId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+            const userId = req.user.id;
+            const limit = parseInt(req.query.limit) || 50;
+            const offset = parseInt(req.query.offset) || 0;
+
+            // Verify user is channel member
+            const isMember = await ChannelModel.isMember(channelId, userId);
+            if (!isMember) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You must join this channel to view messages'
+                });
+            }
+
+            const parent = await MessageModel.findById(messageId);
+            if (!parent || parent.channel_id !== channelId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            const replies = await MessageModel.findThread(messageId, limit, offset, {
+                userId,
+                before: parseInt(req.query.before) || null,
+                after: parseInt(req.query.after) || null
+            });
+            await MessageModel.attachReactions([parent], userId);
+            const followers = await MessageModel.getThreadFollowers(messageId);
+
+            res.json({
+                success: true,
+                data: {
+                    parent,
+                    replies,
+                    isFollowing: followers.includes(userId)
+                }
+            });
+        } catch (error) {
+            console.error('Get channel thread error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get thread'
+            });
+        }
+    }
+
+    /**
+     * Follow or unfollow a message thread
+     * PUT /api/channels/:id/messages/:messageId/thread/follow
+     */
+    static async followThread(req, res) {
+        try {
+            const channelId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+            const userId = req.user.id;
+            const follow = req.body.follow !== false;
+
+            // Verify user is channel member
+            const isMember = await ChannelModel.isMember(channelId, userId);
+            if (!isMember) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You must join this channel to follow threads'
+                });
+            }
+
+            const parent = await MessageModel.findById(messageId);
+            if (!parent || parent.channel_id !== channelId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            if (follow) {
+                await MessageModel.followThread(messageId, userId);
+            } else {
+                await MessageModel.unfollowThread(messageId, userId);
+            }
+
+            res.json({
+                success: true,
+                message: follow ? 'Following thread' : 'Unfollowed thread'
+            });
+        } catch (error) {
+            console.error('Follow channel thread error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update thread follow'
+            });
+        }
+    }
 }
 
 module.exports = ChannelController;
@@ -1,6 +1,10 @@
 const ChatModel = require('../models/chatModel');
 const MessageModel = require('../models/messageModel');
 const UserModel = require('../models/userModel');
+const GroupModel = require('../models/groupModel');
+const MessageSendService = require('../services/messageSendService');
+const MessageEditService = require('../services/messageEditService');
+const EventLogService = require('../services/eventLogService');
 
 /**
  * Chat Controller - Handles chat and message operations
@@ -51,7 +55,11 @@ class ChatController {
             // Get messages
             const limit = parseInt(req.query.limit) || 50;
             const offset = parseInt(req.query.offset) || 0;
-            const messages = await MessageModel.findByChatId(chatId, limit, offset);
+            const messages = await MessageModel.findByChatId(chatId, limit, offset, {
+                userId: req.user.id,
+                before: parseInt(req.query.before) || null,
+                after: parseInt(req.query.after) || null
+            });
 
             // Mark messages as seen
             await MessageModel.markAsSeen(chatId, req.user.id);
@@ -80,93 +88,150 @@ class ChatController {
      */
     static async sendPrivateMessage(req, res) {
         try {
-            const { receiverId, content, messageType, filePath, duration } = req.body;
+            const result = await MessageSendService.sendPrivate(req.app.get('io'), req.user, req.body);
 
-            if (!receiverId) {
-                return res.status(400).json({
+            if (result.error) {
+                return res.status(result.error.status).json({
                     success: false,
-                    message: 'Receiver ID is required'
+                    message: result.error.message
                 });
             }
 
-            if (!content && !filePath) {
-                return res.status(400).json({
+            res.status(result.duplicate ? 200 : 201).json({
+                success: true,
+                message: result.duplicate ? 'Message already sent' : 'Message sent successfully',
+                data: result.message
+            });
+        } catch (error) {
+            console.error('Send message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send message',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get messages for a chat
+     * GET /api/chats/:chatId/messages?before=&after=&limit=
+     */
+    static async getMessages(req, res) {
+        try {
+            const chatId = parseInt(req.params.chatId);
+
+            // Check if user is participant
+            const isParticipant = await ChatModel.isParticipant(chatId, req.user.id);
+            if (!isParticipant) {
+                return res.status(403).json({
                     success: false,
-                    message: 'Message content or file is required'
+                    message: 'You are not a participant of this chat'
                 });
             }
 
-            // Check if receiver exists
-            const receiver = await UserModel.findById(receiverId);
-            if (!receiver) {
-                return res.status(404).json({
+            const { priority } = req.query;
+            if (priority && !MessageModel.isValidPriority(priority)) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Receiver not found'
+                    message: 'Priority must be routine, important or urgent'
                 });
             }
 
-            // Get or create chat
-            const chatId = await ChatModel.getOrCreatePrivateChat(req.user.id, receiverId);
+            // Group chats show thread replies only inside their thread
+            const chat = await ChatModel.findById(chatId);
 
-            // Create message
-            const message = await MessageModel.create({
-                chatId,
-                senderId: req.user.id,
-                messageType: messageType || 'text',
-                content,
-                filePath,
-                duration
+            const limit = parseInt(req.query.limit) || 50;
+            const offset = parseInt(req.query.offset) || 0;
+            const messages = await MessageModel.findByChatId(chatId, limit, offset, {
+                userId: req.user.id,
+                topLevelOnly: !!chat.group_id,
+                priority,
+                before: parseInt(req.query.before) || null,
+                after: parseInt(req.query.after) || null
             });
 
-            // Emit socket event (will be handled by socket handler)
-            if (req.app.get('io')) {
-                req.app.get('io').to(`user:${receiverId}`).emit('receive_message', {
-                    chatId,
-                    message
+            // Mark as seen
+            await MessageModel.markAsSeen(chatId, req.user.id);
+
+            res.status(200).json({
+                success: true,
+                data: messages
+            });
+        } catch (error) {
+            console.error('Get messages error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get messages',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Edit a message
+     * PUT /api/chats/:chatId/messages/:messageId
+     */
+    static async editMessage(req, res) {
+        try {
+            const chatId = parseInt(req.params.chatId);
+            const messageId = parseInt(req.params.messageId);
+
+            // Check if user is participant
+            const isParticipant = await ChatModel.isParticipant(chatId, req.user.id);
+            if (!isParticipant) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not a participant of this chat'
                 });
             }
 
-            // Create in-app notification for the receiver
-            try {
-                const NotificationModel = require('../models/notificationModel');
-                const notification = await NotificationModel.create({
-                    userId: receiverId,
-                    type: 'message',
-                    title: `New Message from ${req.user.name}`,
-                    message: messageType === 'text' ? content : `Sent a ${messageType}`,
-                    data: { chatId, senderId: req.user.id }
+            const message = await MessageModel.findById(messageId);
+            if (!message || message.chat_id !== chatId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
                 });
-
-                if (req.app.get('io')) {
-                    req.app.get('io').to(`user:${receiverId}`).emit('notification', notification);
-                }
-            } catch (notifError) {
-                console.error('Failed to create message notification:', notifError);
             }
 
+            const result = await MessageEditService.edit(req.app.get('io'), req.user, message, req.body.content);
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
 
-            res.status(201).json({
+            res.status(200).json({
                 success: true,
-                message: 'Message sent successfully',
-                data: message
+                message: 'Message edited successfully',
+                data: result.message
             });
         } catch (error) {
-            console.error('Send message error:', error);
+            console.error('Edit message error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to send message',
+                message: 'Failed to edit message',
                 error: error.message
             });
         }
     }
 
     /**
-     * Get messages for a chat
-     * GET /api/chats/:chatId/messages
+     * Delete a message for me or for everyone
+     * DELETE /api/chats/:chatId/messages/:messageId?scope=me|everyone
      */
-    static async getMessages(req, res) {
+    static async deleteMessage(req, res) {
         try {
             const chatId = parseInt(req.params.chatId);
+            const messageId = parseInt(req.params.messageId);
+            const scope = req.query.scope || 'me';
+
+            if (!['me', 'everyone'].includes(scope)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid scope. Use: me or everyone'
+                });
+            }
 
             // Check if user is participant
             const isParticipant = await ChatModel.isParticipant(chatId, req.user.id);
@@ -177,22 +242,110 @@ class ChatController {
                 });
             }
 
-            const limit = parseInt(req.query.limit) || 50;
-            const offset = parseInt(req.query.offset) || 0;
-            const messages = await MessageModel.findByChatId(chatId, limit, offset);
+            const message = await MessageModel.findById(messageId);
+            if (!message || message.chat_id !== chatId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
 
-            // Mark as seen
-            await MessageModel.markAsSeen(chatId, req.user.id);
+            const io = req.app.get('io');
+
+            if (scope === 'me') {
+                await MessageModel.hideForUser(messageId, req.user.id);
+
+                // Sync to the user's other devices
+                if (io) {
+                    io.to(`user:${req.user.id}`).emit('message_deleted', { chatId, messageId, scope });
+                }
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Message deleted for you'
+                });
+            }
+
+            // Senders can delete within the time window, group admins/moderators at any time
+            const chat = await ChatModel.findById(chatId);
+            const isModerator = chat.group_id
+                ? await GroupModel.isAdminOrModerator(chat.group_id, req.user.id)
+                : false;
+
+            const result = await MessageEditService.deleteForEveryone(io, req.user, message, { isModerator });
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
 
             res.status(200).json({
                 success: true,
-                data: messages
+                message: 'Message deleted for everyone',
+                data: result.message
             });
         } catch (error) {
-            console.error('Get messages error:', error);
+            console.error('Delete message error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get messages',
+                message: 'Failed to delete message',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get revision history of a message (admins only)
+     * GET /api/chats/:chatId/messages/:messageId/revisions
+     */
+    static async getMessageRevisions(req, res) {
+        try {
+            const chatId = parseInt(req.params.chatId);
+            const messageId = parseInt(req.params.messageId);
+
+            const chat = await ChatModel.findById(chatId);
+            if (!chat) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Chat not found'
+                });
+            }
+
+            // System admins can audit any chat, group admins their own group
+            let canView = req.user.role === 'admin';
+            if (!canView && chat.group_id) {
+                canView = await GroupModel.isAdmin(chat.group_id, req.user.id);
+            }
+            if (!canView) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only admins can view message revisions'
+                });
+            }
+
+            const message = await MessageModel.findById(messageId);
+            if (!message || message.chat_id !== chatId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            const revisions = await MessageModel.getRevisions(messageId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    message,
+                    revisions
+                }
+            });
+        } catch (error) {
+            console.error('Get message revisions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get message revisions',
                 error: error.message
             });
         }
@@ -251,20 +404,16 @@ class ChatController {
 
             const count = await MessageModel.markAsSeen(chatId, req.user.id);
 
-            // Emit socket event
-            if (req.app.get('io')) {
-                const chat = await ChatModel.findById(chatId);
-                const participants = await ChatModel.getParticipants(chatId);
-                participants.forEach(p => {
-                    req.app.get('io').to(`user:${p.id}`).emit('message_seen', {
-                        chatId,
-                        userId: req.user.id,
-                        groupId: chat.group_id
-                    });
-
-                });
-
-            }
+            // Emit socket event - only the reader's own devices when they keep read receipts private
+            const chat = await ChatModel.findById(chatId);
+            const recipientIds = await MessageModel.sharesReadReceipts(req.user.id)
+                ? (await ChatModel.getParticipants(chatId)).map(p => p.id)
+                : [req.user.id];
+            await EventLogService.emitToUsers(req.app.get('io'), recipientIds, 'message_seen', {
+                chatId,
+                userId: req.user.id,
+                groupId: chat.group_id
+            });
 
             res.status(200).json({
                 success: true,
@@ -0,0 +1,278 @@
+const { pipeline } = require('stream');
+const mime = require('mime-types');
+const FileModel = require('../models/fileModel');
+const FileAccessService = require('../services/fileAccessService');
+const { storage, toStorageKey, toStoredPath } = require('../config/storage');
+
+// Most signed URLs a client can ask for at once
+const MAX_SIGNED_URLS = 100;
+
+// Upload folders anyone may fetch from /uploads (profile pictures and group covers);
+// SERVE_PUBLIC_UPLOADS=true opens every folder (only for clients not yet using /api/files)
+const PUBLIC_UPLOAD_FOLDERS = ['users/', 'groups/'];
+const SERVE_PUBLIC_UPLOADS = process.env.SERVE_PUBLIC_UPLOADS === 'true';
+
+// Why a file that hasn't been scanned clean is refused
+const SCAN_DENIALS = {
+    pending: { code: 'FILE_SCAN_PENDING', message: 'File is still being checked for malware' },
+    failed: { code: 'FILE_SCAN_FAILED', message: 'File could not be checked for malware' }
+};
+
+/**
+ * Refuse a file the user can't access, saying so when it is withheld by the malware scan
+ */
+const sendAccessDenied = (res, file) => res.status(403).json({
+    success: false,
+    ...(SCAN_DENIALS[file.scan_status] || { message: 'You do not have access to this file' })
+});
+
+/**
+ * Stream a stored file, honouring conditional and single-range requests
+ * @param {Object} options - { fileName, cacheControl }
+ */
+const sendStoredFile = async (req, res, key, { fileName = null, cacheControl = 'private, no-cache' } = {}) => {
+    const stat = key ? await storage.stat(key) : null;
+    if (!stat) {
+        return res.status(404).json({
+            success: false,
+            message: 'File not found'
+        });
+    }
+
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': cacheControl,
+        'Content-Type': stat.contentType || mime.lookup(key) || 'application/octet-stream',
+        'ETag': stat.etag,
+        'Last-Modified': new Date(stat.lastModified).toUTCString(),
+        'X-Content-Type-Options': 'nosniff'
+    });
+    if (fileName) {
+        res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    }
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    // One byte range (audio/video seeking); anything else gets the whole file.
+    // If-Range only applies the range while the file is unchanged.
+    let range = null;
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === stat.etag)) {
+        const ranges = req.range(stat.size, { combine: true });
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${stat.size}`);
+            return res.status(416).end();
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            range = ranges[0];
+        }
+    }
+
+    if (range) {
+        res.status(206).set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${stat.size}`,
+            'Content-Length': String(range.end - range.start + 1)
+        });
+    } else {
+        res.status(200).set('Content-Length', String(stat.size));
+    }
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    const stream = await storage.createReadStream(key, range || {});
+    pipeline(stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Stream file error:', error.message || error);
+        }
+    });
+};
+
+/**
+ * File Controller - Authenticated downloads of uploaded files
+ */
+class FileController {
+
+    /**
+     * Download a file (supports range requests, so audio and video can stream and seek)
+     * GET /api/files/:id?variant=thumbnail|preview
+     * Authenticated with a Bearer token, or with the expires/signature of a signed URL
+     */
+    static async download(req, res) {
+        try {
+            const fileId = parseInt(req.params.id);
+            const file = fileId ? await FileModel.findById(fileId) : null;
+
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            // Infected uploads are deleted; the record stays so clients can tell what happened
+            if (file.scan_status === 'infected') {
+                return res.status(410).json({
+                    success: false,
+                    code: 'FILE_INFECTED',
+                    message: 'File was removed because it contained malware'
+                });
+            }
+
+            // A signed URL was already checked when it was issued. Only files scanned clean are signed,
+            // but a link must not outlive a file going back into quarantine either.
+            if (req.signedUrl ? file.scan_status !== 'clean' : !(await FileAccessService.canAccess(file, req.user.id))) {
+                return sendAccessDenied(res, file);
+            }
+
+            // Images also have a thumbnail and a preview (?variant=thumbnail|preview)
+            const { variant } = req.query;
+            if (variant !== undefined) {
+                const variantPath = { thumbnail: file.thumbnail_path, preview: file.preview_path }[variant];
+                if (!variantPath) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'File has no such variant'
+                    });
+                }
+                return await sendStoredFile(req, res, toStorageKey(variantPath));
+            }
+
+            await sendStoredFile(req, res, toStorageKey(file.file_path), {
+                fileName: file.original_name
+            });
+        } catch (error) {
+            console.error('Download file error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    success: false,
+                    message: 'Failed to download file',
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Serve a public upload (profile pictures and group covers) by its stored path
+     * GET /uploads/*
+     */
+    static async servePublicUpload(req, res) {
+        try {
+            const key = toStorageKey(req.params[0]);
+            if (!key || !(SERVE_PUBLIC_UPLOADS || PUBLIC_UPLOAD_FOLDERS.some(folder => key.startsWith(folder)))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            // Other folders (SERVE_PUBLIC_UPLOADS) still never serve files that haven't been scanned clean
+            if (!PUBLIC_UPLOAD_FOLDERS.some(folder => key.startsWith(folder))) {
+                const file = await FileModel.findByPath(toStoredPath(key));
+                if (file && file.scan_status !== 'clean') {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'File not found'
+                    });
+                }
+            }
+
+            await sendStoredFile(req, res, key, { cacheControl: 'public, max-age=0' });
+        } catch (error) {
+            console.error('Serve upload error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    success: false,
+                    message: 'Failed to load file',
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Get a short-lived URL for a file that works without an Authorization header
+     * GET /api/files/:id/signed-url
+     */
+    static async getSignedUrl(req, res) {
+        try {
+            const fileId = parseInt(req.params.id);
+            const file = fileId ? await FileModel.findById(fileId) : null;
+
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            // Links can be passed on, so files still withheld by the malware scan aren't signed
+            if (file.scan_status !== 'clean' || !(await FileAccessService.canAccess(file, req.user.id))) {
+                return sendAccessDenied(res, file);
+            }
+
+            res.status(200).json({
+                success: true,
+                data: FileAccessService.createSignedUrl(file.id)
+            });
+        } catch (error) {
+            console.error('Get signed URL error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create file URL',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get signed URLs for several files at once (e.g. every image on a chat screen)
+     * POST /api/files/signed-urls
+     * Body: { fileIds: [..] } - files that don't exist, aren't accessible or aren't scanned clean are left out
+     */
+    static async getSignedUrls(req, res) {
+        try {
+            const { fileIds } = req.body;
+
+            if (!Array.isArray(fileIds) || fileIds.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'fileIds must be a non-empty array'
+                });
+            }
+
+            if (fileIds.length > MAX_SIGNED_URLS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `At most ${MAX_SIGNED_URLS} files can be requested at once`
+                });
+            }
+
+            const urls = {};
+            for (const id of new Set(fileIds.map(id => parseInt(id)).filter(Boolean))) {
+                const file = await FileModel.findById(id);
+                if (file && file.scan_status === 'clean' && await FileAccessService.canAccess(file, req.user.id)) {
+                    urls[id] = FileAccessService.createSignedUrl(id);
+                }
+            }
+
+            res.status(200).json({
+                success: true,
+                data: { urls }
+            });
+        } catch (error) {
+            console.error('Get signed URLs error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create file URLs',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = FileController;
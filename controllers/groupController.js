@@ -2,6 +2,9 @@ const GroupModel = require('../models/groupModel');
 const ChatModel = require('../models/chatModel');
 const MessageModel = require('../models/messageModel');
 const UserModel = require('../models/userModel');
+const MessageSendService = require('../services/messageSendService');
+const MessageEditService = require('../services/messageEditService');
+const EventLogService = require('../services/eventLogService');
 
 /**
  * Group Controller - Handles group operations
@@ -46,8 +49,9 @@ class GroupController {
                 await GroupModel.updatePermissions(group.id, permissions);
             }
 
-            // Emit to creator to refresh their dashboard/chat list
+            // Join the group room on all of the creator's connected devices and refresh their chat list
             if (req.app.get('io')) {
+                req.app.get('io').in(`user:${req.user.id}`).socketsJoin(`group:${group.id}`);
                 req.app.get('io').to(`user:${req.user.id}`).emit('group_added', {
                     groupId: group.id,
                     group: group,
@@ -200,6 +204,12 @@ class GroupController {
 
             await GroupModel.delete(groupId);
 
+            // Stop real-time delivery to everyone still in the group room
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`group:${groupId}`).socketsLeave(`group:${groupId}`);
+            }
+
             res.status(200).json({
                 success: true,
                 message: 'Group deleted successfully'
@@ -354,10 +364,12 @@ class GroupController {
                 }
             });
 
-            // Emit socket event to the added user so they get real-time update
+            // Send notification to the user
+            await EventLogService.emitToUsers(req.app.get('io'), [userId], 'notification', notification);
+
+            // Join the group room on all of the added user's connected devices
             if (req.app.get('io')) {
-                // Send notification to the user
-                req.app.get('io').to(`user:${userId}`).emit('notification', notification);
+                req.app.get('io').in(`user:${userId}`).socketsJoin(`group:${groupId}`);
 
                 // Also tell them to refresh their chats
                 req.app.get('io').to(`user:${userId}`).emit('group_added', {
@@ -429,6 +441,12 @@ class GroupController {
                 });
             }
 
+            // Stop real-time delivery on all of the removed user's connected devices
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`user:${userId}`).socketsLeave(`group:${groupId}`);
+            }
+
             res.status(200).json({
                 success: true,
                 message: isSelf ? 'You left the group' : 'Member removed successfully'
@@ -550,6 +568,9 @@ class GroupController {
                     const { pool } = require('../config/db');
                     await pool.query('INSERT IGNORE INTO chat_participants (chat_id, user_id) VALUES (?, ?)', [chat.id, req.user.id]);
                 }
+                if (req.app.get('io')) {
+                    req.app.get('io').in(`user:${req.user.id}`).socketsJoin(`group:${groupId}`);
+                }
                 return res.status(201).json({ success: true, message: 'Joined group' });
             }
 
@@ -615,6 +636,11 @@ class GroupController {
             await GroupModel.addMember(groupId, reqRow.user_id, 'member');
             await GroupModel.updateJoinRequestStatus(requestId, 'approved');
 
+            // Join the group room on all of the user's connected devices
+            if (req.app.get('io')) {
+                req.app.get('io').in(`user:${reqRow.user_id}`).socketsJoin(`group:${groupId}`);
+            }
+
             // Notify user
             const NotificationModel = require('../models/notificationModel');
             await NotificationModel.create({ userId: reqRow.user_id, type: 'group_join_approved', title: 'Request Approved', message: `Your request to join group was approved`, data: { groupId } });
@@ -799,8 +825,9 @@ class GroupController {
             const group = await GroupModel.findById(groupId);
             await NotificationModel.create({ userId: req.user.id, type: 'group_joined', title: 'Joined Group', message: `You joined the group "${group.name}"`, data: { groupId } });
 
-            // Emit group_added to the user
+            // Join the group room on all of the user's devices and emit group_added to them
             if (req.app.get('io')) {
+                req.app.get('io').in(`user:${req.user.id}`).socketsJoin(`group:${groupId}`);
                 req.app.get('io').to(`user:${req.user.id}`).emit('group_added', { groupId, group, chatId: chat ? chat.id : null });
             }
 
@@ -859,7 +886,38 @@ class GroupController {
     static async sendMessage(req, res) {
         try {
             const groupId = parseInt(req.params.id);
-            const { content, messageType, filePath, duration } = req.body;
+            const result = await MessageSendService.sendToGroup(req.app.get('io'), req.user, groupId, req.body);
+
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
+
+            res.status(result.duplicate ? 200 : 201).json({
+                success: true,
+                message: result.duplicate ? 'Message already sent' : 'Message sent successfully',
+                data: result.message
+            });
+        } catch (error) {
+            console.error('Send group message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send message',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Edit a group message
+     * PUT /api/groups/:id/messages/:messageId
+     */
+    static async editMessage(req, res) {
+        try {
+            const groupId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
 
             // Check membership
             const membership = await GroupModel.isMember(groupId, req.user.id);
@@ -870,90 +928,154 @@ class GroupController {
                 });
             }
 
-            // Check permissions
-            const permissions = await GroupModel.getPermissions(groupId);
-            if (permissions && !permissions.send_message && membership.role === 'member') {
-                return res.status(403).json({
+            const chat = await ChatModel.findByGroupId(groupId);
+            const message = await MessageModel.findById(messageId);
+            if (!chat || !message || message.chat_id !== chat.id) {
+                return res.status(404).json({
                     success: false,
-                    message: 'Members cannot send messages in this group'
+                    message: 'Message not found'
                 });
             }
 
-            if (!content && !filePath) {
+            const result = await MessageEditService.edit(req.app.get('io'), req.user, message, req.body.content);
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Message edited successfully',
+                data: result.message
+            });
+        } catch (error) {
+            console.error('Edit group message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to edit message',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a group message for me or for everyone
+     * DELETE /api/groups/:id/messages/:messageId?scope=me|everyone
+     */
+    static async deleteMessage(req, res) {
+        try {
+            const groupId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+            const scope = req.query.scope || 'me';
+
+            if (!['me', 'everyone'].includes(scope)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Message content or file is required'
+                    message: 'Invalid scope. Use: me or everyone'
+                });
+            }
+
+            // Check membership
+            const membership = await GroupModel.isMember(groupId, req.user.id);
+            if (!membership) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not a member of this group'
                 });
             }
 
-            // Get group chat
             const chat = await ChatModel.findByGroupId(groupId);
-            if (!chat) {
+            const message = await MessageModel.findById(messageId);
+            if (!chat || !message || message.chat_id !== chat.id) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Group chat not found'
+                    message: 'Message not found'
                 });
             }
 
-            // Create message
-            const message = await MessageModel.create({
-                chatId: chat.id,
-                senderId: req.user.id,
-                messageType: messageType || 'text',
-                content,
-                filePath,
-                duration
-            });
+            const io = req.app.get('io');
 
-            // Emit to group room
-            if (req.app.get('io')) {
-                req.app.get('io').to(`group:${groupId}`).emit('receive_message', {
-                    groupId,
-                    chatId: chat.id,
-                    message: {
-                        ...message,
-                        sender_name: req.user.name,
-                        sender_picture: req.user.profile_picture
-                    }
+            if (scope === 'me') {
+                await MessageModel.hideForUser(messageId, req.user.id);
+
+                if (io) {
+                    io.to(`user:${req.user.id}`).emit('message_deleted', { groupId, chatId: chat.id, messageId, scope });
+                }
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Message deleted for you'
                 });
             }
 
-            // Create in-app notifications for other members
-            try {
-                const members = await GroupModel.getMembers(groupId);
-                const NotificationModel = require('../models/notificationModel');
-                const group = await GroupModel.findById(groupId);
+            // Admins and moderators can remove any member's message
+            const isModerator = membership.role === 'admin' || membership.role === 'moderator';
 
-                for (const member of members) {
-                    if (member.id !== req.user.id) {
-                        const notification = await NotificationModel.create({
-                            userId: member.id,
-                            type: 'message',
-                            title: group.name,
-                            message: `${req.user.name}: ${messageType === 'text' ? content : `Sent a ${messageType}`}`,
-                            data: { groupId, chatId: chat.id, senderId: req.user.id }
-                        });
-
-                        if (req.app.get('io')) {
-                            req.app.get('io').to(`user:${member.id}`).emit('notification', notification);
-                        }
-                    }
-                }
-            } catch (notifError) {
-                console.error('Failed to create group message notifications:', notifError);
+            const result = await MessageEditService.deleteForEveryone(io, req.user, message, { isModerator });
+            if (result.error) {
+                return res.status(result.error.status).json({
+                    success: false,
+                    message: result.error.message
+                });
             }
 
+            res.status(200).json({
+                success: true,
+                message: 'Message deleted for everyone',
+                data: result.message
+            });
+        } catch (error) {
+            console.error('Delete group message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete message',
+                error: error.message
+            });
+        }
+    }
 
-            res.status(201).json({
+    /**
+     * Get revision history of a group message (admins only)
+     * GET /api/groups/:id/messages/:messageId/revisions
+     */
+    static async getMessageRevisions(req, res) {
+        try {
+            const groupId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+
+            const isAdmin = await GroupModel.isAdmin(groupId, req.user.id);
+            if (!isAdmin && req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only admins can view message revisions'
+                });
+            }
+
+            const chat = await ChatModel.findByGroupId(groupId);
+            const message = await MessageModel.findById(messageId);
+            if (!chat || !message || message.chat_id !== chat.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            const revisions = await MessageModel.getRevisions(messageId);
+
+            res.status(200).json({
                 success: true,
-                message: 'Message sent successfully',
-                data: message
+                data: {
+                    message,
+                    revisions
+                }
             });
         } catch (error) {
-            console.error('Send group message error:', error);
+            console.error('Get group message revisions error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to send message',
+                message: 'Failed to get message revisions',
                 error: error.message
             });
         }
@@ -961,13 +1083,21 @@ class GroupController {
 
     /**
      * Get group messages
-     * GET /api/groups/:id/messages
+     * GET /api/groups/:id/messages?before=&after=&limit=
      */
     static async getMessages(req, res) {
         try {
             const groupId = parseInt(req.params.id);
             const limit = parseInt(req.query.limit) || 50;
             const offset = parseInt(req.query.offset) || 0;
+            const { priority } = req.query;
+
+            if (priority && !MessageModel.isValidPriority(priority)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Priority must be routine, important or urgent'
+                });
+            }
 
             // Check membership
             const membership = await GroupModel.isMember(groupId, req.user.id);
@@ -988,7 +1118,14 @@ class GroupController {
             }
 
             // Get messages
-            const messages = await MessageModel.findByChatId(chat.id, limit, offset);
+            // Thread replies are fetched through the thread endpoint
+            const messages = await MessageModel.findByChatId(chat.id, limit, offset, {
+                userId: req.user.id,
+                topLevelOnly: true,
+                priority,
+                before: parseInt(req.query.before) || null,
+                after: parseInt(req.query.after) || null
+            });
 
             res.status(200).json({
                 success: true,
@@ -1006,6 +1143,110 @@ class GroupController {
             });
         }
     }
+
+    /**
+     * Get replies in a message thread
+     * GET /api/groups/:id/messages/:messageId/thread?before=&after=&limit=
+     */
+    static async getThread(req, res) {
+        try {
+            const groupId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+            const limit = parseInt(req.query.limit) || 50;
+            const offset = parseInt(req.query.offset) || 0;
+
+            // Check membership
+            const membership = await GroupModel.isMember(groupId, req.user.id);
+            if (!membership) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not a member of this group'
+                });
+            }
+
+            const chat = await ChatModel.findByGroupId(groupId);
+            const parent = await MessageModel.findById(messageId);
+            if (!chat || !parent || parent.chat_id !== chat.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            const replies = await MessageModel.findThread(messageId, limit, offset, {
+                userId: req.user.id,
+                before: parseInt(req.query.before) || null,
+                after: parseInt(req.query.after) || null
+            });
+            await MessageModel.attachReactions([parent], req.user.id);
+            const followers = await MessageModel.getThreadFollowers(messageId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    chatId: chat.id,
+                    parent,
+                    replies,
+                    isFollowing: followers.includes(req.user.id)
+                }
+            });
+        } catch (error) {
+            console.error('Get group thread error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get thread',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Follow or unfollow a message thread
+     * PUT /api/groups/:id/messages/:messageId/thread/follow
+     */
+    static async followThread(req, res) {
+        try {
+            const groupId = parseInt(req.params.id);
+            const messageId = parseInt(req.params.messageId);
+            const follow = req.body.follow !== false;
+
+            // Check membership
+            const membership = await GroupModel.isMember(groupId, req.user.id);
+            if (!membership) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not a member of this group'
+                });
+            }
+
+            const chat = await ChatModel.findByGroupId(groupId);
+            const parent = await MessageModel.findById(messageId);
+            if (!chat || !parent || parent.chat_id !== chat.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Message not found'
+                });
+            }
+
+            if (follow) {
+                await MessageModel.followThread(messageId, req.user.id);
+            } else {
+                await MessageModel.unfollowThread(messageId, req.user.id);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: follow ? 'Following thread' : 'Unfollowed thread'
+            });
+        } catch (error) {
+            console.error('Follow group thread error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update thread follow',
+                error: error.message
+            });
+        }
+    }
 }
 
 module.exports = GroupController;
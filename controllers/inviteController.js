@@ -1,6 +1,8 @@
 const InviteModel = require('../models/inviteModel');
 const TeamModel = require('../models/teamModel');
 const UserModel = require('../models/userModel');
+const ChannelModel = require('../models/channelModel');
+const EventLogService = require('../services/eventLogService');
 const { sendEmail } = require('../config/email');
 
 /**
@@ -111,10 +113,8 @@ class InviteController {
                         data: { teamId, inviteId: invite.id, token: invite.token }
                     });
 
-                    // Emit to user if online
-                    if (req.app.get('io')) {
-                        req.app.get('io').to(`user:${existingUser.id}`).emit('notification', notification);
-                    }
+                    // Emit to user if online (replayed on reconnect otherwise)
+                    await EventLogService.emitToUsers(req.app.get('io'), [existingUser.id], 'notification', notification);
                 } catch (notifError) {
                     console.error('Failed to create team invite notification:', notifError);
                 }
@@ -303,6 +303,13 @@ class InviteController {
             // Add user to team
             await TeamModel.addMember(invite.team_id, userId, invite.role);
 
+            // Join the team's default channel rooms on the user's connected devices
+            const io = req.app.get('io');
+            if (io) {
+                const channelIds = await ChannelModel.getIdsByUserId(userId, invite.team_id);
+                io.in(`user:${userId}`).socketsJoin(channelIds.map(channelId => `channel_${channelId}`));
+            }
+
             // Mark invite as accepted
             await InviteModel.accept(token);
 
@@ -331,9 +338,7 @@ class InviteController {
                     data: { teamId: team.id, userId: userId }
                 });
 
-                if (req.app.get('io')) {
-                    req.app.get('io').to(`user:${team.owner_id}`).emit('notification', ownerNotification);
-                }
+                await EventLogService.emitToUsers(req.app.get('io'), [team.owner_id], 'notification', ownerNotification);
             } catch (notifError) {
                 console.error('Failed to notify team owner of join:', notifError);
             }
@@ -0,0 +1,287 @@
+const MessageModel = require('../models/messageModel');
+const NotificationModel = require('../models/notificationModel');
+const MessageAckModel = require('../models/messageAckModel');
+const MessageService = require('../services/messageService');
+const EventLogService = require('../services/eventLogService');
+
+// Longest reaction we accept (an emoji sequence or a reserved keyword)
+const MAX_REACTION_LENGTH = 32;
+
+/**
+ * Message Controller - Operations that apply to any message
+ * regardless of whether it lives in a private chat, group or channel
+ */
+class MessageController {
+
+    /**
+     * Load a message the current user is allowed to see
+     * Sends the error response and returns null otherwise
+     */
+    static async loadAccessibleMessage(req, res) {
+        const message = await MessageModel.findById(parseInt(req.params.messageId));
+
+        if (!message || !(await MessageService.canAccess(message, req.user.id))) {
+            res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+            return null;
+        }
+
+        return message;
+    }
+
+    /**
+     * Get who reacted to a message
+     * GET /api/messages/:messageId/reactions
+     */
+    static async getReactions(req, res) {
+        try {
+            const message = await MessageController.loadAccessibleMessage(req, res);
+            if (!message) return;
+
+            const reactions = await MessageModel.getReactions(message.id);
+            const summary = await MessageModel.getReactionSummary(message.id, req.user.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    messageId: message.id,
+                    summary,
+                    reactions,
+                    acknowledgedBy: reactions.filter(r => MessageModel.isAcknowledgement(r.reaction))
+                }
+            });
+        } catch (error) {
+            console.error('Get reactions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get reactions',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Add a reaction to a message
+     * POST /api/messages/:messageId/reactions
+     * Body: { reaction } - an emoji, or "acknowledged" to confirm an instruction was actioned
+     */
+    static async addReaction(req, res) {
+        try {
+            const reaction = typeof req.body.reaction === 'string' ? req.body.reaction.trim() : '';
+
+            if (!reaction || reaction.length > MAX_REACTION_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Reaction is required (max ${MAX_REACTION_LENGTH} characters)`
+                });
+            }
+
+            const message = await MessageController.loadAccessibleMessage(req, res);
+            if (!message) return;
+
+            if (message.deleted_at) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot react to a deleted message'
+                });
+            }
+
+            const isAcknowledgement = MessageModel.isAcknowledgement(reaction);
+
+            if (isAcknowledgement && message.sender_id === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot acknowledge your own message'
+                });
+            }
+
+            const added = await MessageModel.addReaction(message.id, req.user.id, reaction);
+            const reactions = await MessageModel.getReactionSummary(message.id, req.user.id);
+
+            if (added) {
+                const io = req.app.get('io');
+
+                await MessageService.emitToConversation(io, message, 'reaction_added', {
+                    messageId: message.id,
+                    reaction,
+                    userId: req.user.id,
+                    userName: req.user.name,
+                    reactions
+                });
+
+                // Let the sender know their instruction has been actioned
+                if (isAcknowledgement) {
+                    const notification = await NotificationModel.create({
+                        userId: message.sender_id,
+                        type: 'message_acknowledged',
+                        title: 'Message Acknowledged',
+                        message: `${req.user.name} acknowledged your message`,
+                        data: {
+                            messageId: message.id,
+                            chatId: message.chat_id,
+                            channelId: message.channel_id,
+                            acknowledgedBy: req.user.id
+                        }
+                    });
+
+                    await EventLogService.emitToUsers(io, [message.sender_id], 'notification', notification);
+
+                    // Acknowledgement-required messages track each recipient's response
+                    if (await MessageAckModel.acknowledge(message.id, req.user.id)) {
+                        await MessageService.emitAckStatus(io, message.id, message.sender_id);
+                    }
+                }
+            }
+
+            res.status(added ? 201 : 200).json({
+                success: true,
+                message: added ? 'Reaction added' : 'Reaction already added',
+                data: { messageId: message.id, reactions }
+            });
+        } catch (error) {
+            console.error('Add reaction error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to add reaction',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get per-recipient acknowledgement status of an acknowledgement-required message
+     * GET /api/messages/:messageId/acknowledgements
+     * Visible to the sender, the fallback user and system admins
+     */
+    static async getAcknowledgements(req, res) {
+        try {
+            const message = await MessageModel.findById(parseInt(req.params.messageId));
+            const status = message ? await MessageService.getAckStatus(message.id) : null;
+
+            if (!status) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Acknowledgement request not found'
+                });
+            }
+
+            const canView = message.sender_id === req.user.id ||
+                status.fallback_user_id === req.user.id ||
+                req.user.role === 'admin';
+
+            if (!canView) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the sender can view acknowledgement status'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: status
+            });
+        } catch (error) {
+            console.error('Get acknowledgements error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get acknowledgement status',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get who a message was delivered to and seen by
+     * GET /api/messages/:messageId/receipts
+     * Readers who turned read receipts off only appear as delivered
+     */
+    static async getReceipts(req, res) {
+        try {
+            const message = await MessageController.loadAccessibleMessage(req, res);
+            if (!message) return;
+
+            if (message.sender_id !== req.user.id && req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the sender can view message receipts'
+                });
+            }
+
+            const receipts = await MessageModel.getReceipts(message.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    messageId: message.id,
+                    recipientCount: receipts.length,
+                    deliveredTo: receipts.filter(r => r.delivered_at || r.seen_at),
+                    seenBy: receipts.filter(r => r.seen_at),
+                    pending: receipts.filter(r => !r.delivered_at && !r.seen_at)
+                }
+            });
+        } catch (error) {
+            console.error('Get receipts error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get message receipts',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove own reaction from a message
+     * DELETE /api/messages/:messageId/reactions/:reaction
+     */
+    static async removeReaction(req, res) {
+        try {
+            const reaction = req.params.reaction;
+
+            const message = await MessageController.loadAccessibleMessage(req, res);
+            if (!message) return;
+
+            // Acknowledgements are a clinical record and stay once given
+            if (MessageModel.isAcknowledgement(reaction)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Acknowledgements cannot be withdrawn'
+                });
+            }
+
+            const removed = await MessageModel.removeReaction(message.id, req.user.id, reaction);
+
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Reaction not found'
+                });
+            }
+
+            const reactions = await MessageModel.getReactionSummary(message.id, req.user.id);
+
+            await MessageService.emitToConversation(req.app.get('io'), message, 'reaction_removed', {
+                messageId: message.id,
+                reaction,
+                userId: req.user.id,
+                reactions
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Reaction removed',
+                data: { messageId: message.id, reactions }
+            });
+        } catch (error) {
+            console.error('Remove reaction error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to remove reaction',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = MessageController;
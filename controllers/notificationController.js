@@ -1,4 +1,5 @@
 const NotificationModel = require('../models/notificationModel');
+const MessageModel = require('../models/messageModel');
 
 /**
  * Notification Controller - Handles notification operations
@@ -7,14 +8,22 @@ class NotificationController {
 
     /**
      * Get all notifications
-     * GET /api/notifications
+     * GET /api/notifications?priority=routine|important|urgent
      */
     static async getAll(req, res) {
         try {
             const limit = parseInt(req.query.limit) || 50;
             const offset = parseInt(req.query.offset) || 0;
+            const { priority } = req.query;
 
-            const notifications = await NotificationModel.findByUserId(req.user.id, limit, offset);
+            if (priority && !MessageModel.isValidPriority(priority)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Priority must be routine, important or urgent'
+                });
+            }
+
+            const notifications = await NotificationModel.findByUserId(req.user.id, limit, offset, { priority });
             const unreadCount = await NotificationModel.getUnreadCount(req.user.id);
 
             res.status(200).json({
@@ -0,0 +1,137 @@
+const MessageModel = require('../models/messageModel');
+
+// Words shorter than InnoDB's default innodb_ft_min_token_size are not indexed
+const MIN_TERM_LENGTH = 3;
+const MAX_LIMIT = 100;
+
+// Characters of context kept either side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+const MESSAGE_TYPES = ['text', 'image', 'pdf', 'voice', 'video'];
+
+/**
+ * Split a free-text query into searchable terms (boolean-mode operators removed)
+ */
+const extractTerms = (query) => {
+    return query
+        .replace(/[+\-><()~*"@]/g, ' ')
+        .split(/\s+/)
+        .filter(term => term.length >= MIN_TERM_LENGTH);
+};
+
+const escapeHtml = (text) => {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build an HTML-escaped excerpt around the first match with every term wrapped in <mark>
+ */
+const buildSnippet = (content, terms) => {
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const first = content.search(pattern);
+
+    let start = 0;
+    let end = content.length;
+    if (first > SNIPPET_CONTEXT) start = first - SNIPPET_CONTEXT;
+    if (end - start > SNIPPET_CONTEXT * 3) end = start + SNIPPET_CONTEXT * 3;
+
+    const excerpt = content.slice(start, end);
+    let snippet = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        snippet += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`;
+};
+
+/**
+ * Search Controller - Handles message search
+ */
+class SearchController {
+
+    /**
+     * Search messages the user can see
+     * GET /api/search/messages?q=&senderId=&from=&to=&messageType=&chatId=&groupId=&channelId=&cursor=&limit=
+     */
+    static async searchMessages(req, res) {
+        try {
+            const { q, senderId, from, to, messageType, chatId, groupId, channelId, cursor } = req.query;
+
+            const terms = extractTerms(q || '');
+            if (terms.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Search query must contain a word of at least ${MIN_TERM_LENGTH} characters`
+                });
+            }
+
+            if (messageType && !MESSAGE_TYPES.includes(messageType)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `messageType must be one of: ${MESSAGE_TYPES.join(', ')}`
+                });
+            }
+
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be valid dates'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+
+            // Every term must appear; the last one may be a prefix (search-as-you-type)
+            const booleanQuery = terms
+                .map((term, i) => `+${term}${i === terms.length - 1 ? '*' : ''}`)
+                .join(' ');
+
+            const rows = await MessageModel.search(req.user.id, booleanQuery, {
+                teamId: req.teamId,
+                senderId: parseInt(senderId) || null,
+                messageType,
+                chatId: parseInt(chatId) || null,
+                groupId: parseInt(groupId) || null,
+                channelId: parseInt(channelId) || null,
+                from: fromDate,
+                to: toDate,
+                cursor: parseInt(cursor) || null,
+                limit: limit + 1
+            });
+
+            const hasMore = rows.length > limit;
+            const results = rows.slice(0, limit).map(message => ({
+                ...message,
+                snippet: buildSnippet(message.content || '', terms)
+            }));
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    results,
+                    nextCursor: hasMore ? results[results.length - 1].id : null
+                }
+            });
+        } catch (error) {
+            console.error('Search messages error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to search messages',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = SearchController;
@@ -0,0 +1,113 @@
+const MessageModel = require('../models/messageModel');
+const SyncModel = require('../models/syncModel');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 500;
+
+/**
+ * Sync cursors are "<unix time>-<last message id>": the change time reached and,
+ * within that second, the last message already returned. While read changes are paged
+ * separately they follow as ":<unix time>-<last message id>-<last reader id>"
+ */
+const parseCursor = (cursor) => {
+    const match = /^(\d+)(?:-(\d+))?(?::(\d+)-(\d+)-(\d+))?$/.exec(cursor || '');
+    if (!match) return null;
+
+    const time = parseInt(match[1]);
+    const reads = match[3]
+        ? { time: parseInt(match[3]), messageId: parseInt(match[4]), userId: parseInt(match[5]) }
+        : { time, messageId: 0, userId: 0 };
+    return { time, lastId: parseInt(match[2] || 0), reads };
+};
+
+/**
+ * Sync Controller - Lets clients catch up on everything that changed while they were offline
+ */
+class SyncController {
+
+    /**
+     * Get changes across all of the user's conversations since a cursor
+     * GET /api/sync?since=<cursor>&limit=
+     * Without `since` only a starting cursor is returned. Messages and read changes are each
+     * returned at most `limit` at a time; when hasMore is true, call again
+     * straight away with the returned cursor; otherwise store it for the next sync.
+     */
+    static async sync(req, res) {
+        try {
+            const userId = req.user.id;
+            const now = await SyncModel.getServerTime();
+
+            if (!req.query.since) {
+                return res.status(200).json({
+                    success: true,
+                    data: { cursor: `${now}-0`, hasMore: false }
+                });
+            }
+
+            const since = parseCursor(req.query.since);
+            if (!since || since.time > now || since.reads.time > now) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid sync cursor'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+            const rows = await MessageModel.findChangedSince(userId, since.time, since.lastId, limit + 1);
+            const hasMore = rows.length > limit;
+            const messages = rows.slice(0, limit);
+
+            const seenRows = await MessageModel.findSeenSince(
+                userId, since.reads.time, since.reads.messageId, since.reads.userId, limit + 1
+            );
+            const readsHaveMore = seenRows.length > limit;
+            const seenMessages = seenRows.slice(0, limit);
+
+            const [hiddenMessageIds, channelReads, joined, removed] = await Promise.all([
+                MessageModel.findHiddenSince(userId, since.time),
+                SyncModel.findChannelReadsSince(userId, since.time),
+                SyncModel.findJoinedSince(userId, since.time),
+                SyncModel.findRemovedSince(userId, since.time)
+            ]);
+
+            // Messages and reads each resume after their last returned row while they have more,
+            // otherwise from now
+            const last = messages[messages.length - 1];
+            const lastSeen = seenMessages[seenMessages.length - 1];
+            let cursor = hasMore ? `${last.changed_at}-${last.id}` : `${now}-0`;
+            if (readsHaveMore) {
+                cursor += `:${lastSeen.seen_time}-${lastSeen.id}-${lastSeen.seen_by}`;
+            } else if (hasMore) {
+                cursor += `:${now}-0-0`;
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    messages,
+                    hiddenMessageIds,
+                    reads: {
+                        messages: seenMessages,
+                        channels: channelReads
+                    },
+                    memberships: {
+                        joined,
+                        removed
+                    },
+                    cursor,
+                    hasMore: hasMore || readsHaveMore
+                }
+            });
+        } catch (error) {
+            console.error('Sync error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to sync',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = SyncController;
@@ -34,6 +34,13 @@ class TeamController {
                 ownerId: userId
             });
 
+            // Join the new team's default channel rooms on the owner's connected devices
+            const io = req.app.get('io');
+            if (io) {
+                const channelIds = await ChannelModel.getIdsByUserId(userId, team.id);
+                io.in(`user:${userId}`).socketsJoin(channelIds.map(channelId => `channel_${channelId}`));
+            }
+
             res.status(201).json({
                 success: true,
                 message: 'Team created successfully',
@@ -117,12 +124,13 @@ class TeamController {
     static async update(req, res) {
         try {
             const teamId = parseInt(req.params.id);
-            const { name, description, logo } = req.body;
+            const { name, description, logo, require_two_factor } = req.body;
 
             const updated = await TeamModel.update(teamId, {
                 name: name?.trim(),
                 description: description?.trim(),
-                logo
+                logo,
+                require_two_factor
             });
 
             if (!updated) {
@@ -232,8 +240,16 @@ class TeamController {
                 });
             }
 
+            // Channel rooms the member must leave once removed
+            const channelIds = await ChannelModel.getIdsByUserId(memberUserId, teamId);
+
             await TeamModel.removeMember(teamId, memberUserId);
 
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`user:${memberUserId}`).socketsLeave(channelIds.map(channelId => `channel_${channelId}`));
+            }
+
             res.json({
                 success: true,
                 message: 'Member removed successfully'
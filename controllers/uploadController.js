@@ -1,8 +1,40 @@
-const path = require('path');
-const fs = require('fs');
 const FileModel = require('../models/fileModel');
 const UserModel = require('../models/userModel');
-const { UPLOAD_PATH } = require('../config/multerConfig');
+const FileAccessService = require('../services/fileAccessService');
+const UploadSessionService = require('../services/uploadSessionService');
+const MalwareScanService = require('../services/malwareScanService');
+const { removeUpload, getChatMediaFileType } = require('../config/multerConfig');
+
+/**
+ * Response data for an uploaded chat media file (shared by single-request and resumable uploads)
+ */
+const chatMediaData = (file) => ({
+    fileId: file.id,
+    path: file.filePath,
+    url: `/api/files/${file.id}`,
+    // Signed once the malware scan is clean (GET /api/files/:id/signed-url); the uploader can use url meanwhile
+    signedUrl: file.scanStatus === 'clean' ? FileAccessService.createSignedUrl(file.id) : null,
+    type: file.fileType,
+    originalName: file.originalName,
+    size: file.fileSize,
+    width: file.width || null,
+    height: file.height || null,
+    blurhash: file.blurhash || null,
+    thumbnailUrl: file.thumbnailPath ? `/api/files/${file.id}?variant=thumbnail` : null,
+    previewUrl: file.previewPath ? `/api/files/${file.id}?variant=preview` : null,
+    // 'pending' until the malware scan finishes; other participants can't fetch the file before then
+    scanStatus: file.scanStatus
+});
+
+/**
+ * Send a failed upload session result (offset conflicts include the bytes received so far)
+ */
+const sendSessionError = (res, { status, code, message, receivedSize }) => res.status(status).json({
+    success: false,
+    code,
+    message,
+    ...(receivedSize !== undefined ? { data: { receivedSize } } : {})
+});
 
 /**
  * Upload Controller - Handles file uploads
@@ -22,8 +54,8 @@ class UploadController {
                 });
             }
 
-            const filePath = req.file.path.replace(/\\/g, '/');
-            const relativePath = filePath.replace(UPLOAD_PATH.replace('./', ''), '');
+            // Stored path, e.g. /users/user_1/profile.jpg (see config/storage.js)
+            const relativePath = req.file.path;
 
             // Update user profile picture
             await UserModel.update(req.user.id, {
@@ -36,7 +68,9 @@ class UploadController {
                 fileType: 'profile',
                 filePath: relativePath,
                 originalName: req.file.originalname,
-                fileSize: req.file.size
+                fileSize: req.file.size,
+                // Images only, re-encoded on upload and served publicly - not scanned
+                scanStatus: 'clean'
             });
 
             res.status(200).json({
@@ -73,47 +107,35 @@ class UploadController {
             const chatId = req.body.chatId;
             if (!chatId) {
                 // Delete the uploaded file
-                fs.unlinkSync(req.file.path);
+                await removeUpload(req.file.path);
                 return res.status(400).json({
                     success: false,
                     message: 'Chat ID is required'
                 });
             }
 
-            const filePath = req.file.path.replace(/\\/g, '/');
-            const relativePath = filePath.replace(UPLOAD_PATH.replace('./', ''), '');
-
-            // Determine file type
-            let fileType = 'image';
-            if (req.file.mimetype === 'application/pdf') {
-                fileType = 'pdf';
-            } else if (req.file.mimetype.startsWith('audio/')) {
-                fileType = 'voice';
-            } else if (req.file.mimetype.startsWith('video/')) {
-                fileType = 'video';
-            }
+            const relativePath = req.file.path;
 
             // Save file record
             const file = await FileModel.create({
                 userId: req.user.id,
                 chatId: parseInt(chatId),
-                fileType,
+                fileType: getChatMediaFileType(req.file.mimetype),
                 filePath: relativePath,
                 originalName: req.file.originalname,
-                fileSize: req.file.size
+                fileSize: req.file.size,
+                width: req.file.width,
+                height: req.file.height,
+                blurhash: req.file.blurhash,
+                thumbnailPath: req.file.thumbnailPath,
+                previewPath: req.file.previewPath
             });
+            MalwareScanService.enqueue(file.id);
 
             res.status(200).json({
                 success: true,
                 message: 'Media uploaded successfully',
-                data: {
-                    fileId: file.id,
-                    path: relativePath,
-                    url: `/uploads${relativePath}`,
-                    type: fileType,
-                    originalName: req.file.originalname,
-                    size: req.file.size
-                }
+                data: chatMediaData(file)
             });
         } catch (error) {
             console.error('Upload chat media error:', error);
@@ -141,8 +163,7 @@ class UploadController {
 
             const groupId = req.body.groupId || req.params.groupId || req.params.id;
 
-            const filePath = req.file.path.replace(/\\/g, '/');
-            const relativePath = filePath.replace(UPLOAD_PATH.replace('./', ''), '');
+            const relativePath = req.file.path;
 
             // If groupId is provided, update the group image
             if (groupId) {
@@ -158,7 +179,8 @@ class UploadController {
                     fileType: 'group_cover',
                     filePath: relativePath,
                     originalName: req.file.originalname,
-                    fileSize: req.file.size
+                    fileSize: req.file.size,
+                    scanStatus: 'clean'
                 });
             } else {
                 // Just save file record without group association (for pre-creation uploads)
@@ -167,7 +189,8 @@ class UploadController {
                     fileType: 'group_cover',
                     filePath: relativePath,
                     originalName: req.file.originalname,
-                    fileSize: req.file.size
+                    fileSize: req.file.size,
+                    scanStatus: 'clean'
                 });
             }
 
@@ -188,6 +211,142 @@ class UploadController {
             });
         }
     }
+
+    /**
+     * Start a resumable chat media upload
+     * POST /api/upload/sessions
+     * Body: { chatId, fileName, mimeType, totalSize }
+     */
+    static async initiateSession(req, res) {
+        try {
+            const result = await UploadSessionService.initiate(req.user, req.body);
+            if (result.error) {
+                return sendSessionError(res, result.error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Upload session started',
+                data: result.session
+            });
+        } catch (error) {
+            console.error('Initiate upload session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to start upload',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Upload a chunk of a resumable upload (raw bytes as the request body)
+     * PUT /api/upload/sessions/:id/chunks?offset=
+     */
+    static async uploadChunk(req, res) {
+        try {
+            const contentLength = req.headers['content-length'] !== undefined
+                ? parseInt(req.headers['content-length'])
+                : null;
+
+            const result = await UploadSessionService.uploadChunk(
+                req.user, req.params.id, req.query.offset, req, contentLength
+            );
+            if (result.error) {
+                return sendSessionError(res, result.error);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Chunk uploaded',
+                data: result.session
+            });
+        } catch (error) {
+            console.error('Upload chunk error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to upload chunk',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the progress of a resumable upload (resume from receivedSize)
+     * GET /api/upload/sessions/:id
+     */
+    static async getSession(req, res) {
+        try {
+            const result = await UploadSessionService.getProgress(req.user, req.params.id);
+            if (result.error) {
+                return sendSessionError(res, result.error);
+            }
+
+            res.status(200).json({
+                success: true,
+                data: result.session
+            });
+        } catch (error) {
+            console.error('Get upload session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get upload progress',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Finish a resumable upload once every chunk is in
+     * POST /api/upload/sessions/:id/complete
+     * Body: { checksum } - SHA-256 of the whole file (hex)
+     */
+    static async completeSession(req, res) {
+        try {
+            const result = await UploadSessionService.complete(req.user, req.params.id, req.body.checksum);
+            if (result.error) {
+                return sendSessionError(res, result.error);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Media uploaded successfully',
+                data: chatMediaData(result.file)
+            });
+        } catch (error) {
+            console.error('Complete upload session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to complete upload',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Abandon a resumable upload
+     * DELETE /api/upload/sessions/:id
+     */
+    static async abortSession(req, res) {
+        try {
+            const result = await UploadSessionService.abort(req.user, req.params.id);
+            if (result.error) {
+                return sendSessionError(res, result.error);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Upload cancelled'
+            });
+        } catch (error) {
+            console.error('Abort upload session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to cancel upload',
+                error: error.message
+            });
+        }
+    }
 }
 
 module.exports = UploadController;
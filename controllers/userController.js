@@ -1,4 +1,6 @@
 const UserModel = require('../models/userModel');
+const PresenceService = require('../services/presenceService');
+const SessionService = require('../services/sessionService');
 
 /**
  * User Controller - Handles user profile operations
@@ -80,6 +82,61 @@ class UserController {
         }
     }
 
+    /**
+     * Get a user's presence
+     * GET /api/users/:id/presence
+     * Only users sharing a team, group or chat can be looked up (others answer 404, as for
+     * presence broadcasts). Users who hide their online status only show as visible: false to others
+     */
+    static async getPresence(req, res) {
+        try {
+            const requestedId = parseInt(req.params.id);
+            const isSelf = requestedId === req.user.id;
+
+            const related = isSelf || (await UserModel.findRelatedUserIds(req.user.id)).includes(requestedId);
+            const user = related ? await UserModel.findPresence(requestedId) : null;
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (!user.online_visibility && !isSelf) {
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        userId: user.id,
+                        visible: false,
+                        online: null,
+                        lastSeenAt: null,
+                        activeStatus: null
+                    }
+                });
+            }
+
+            const online = await PresenceService.isOnline(user.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    userId: user.id,
+                    visible: true,
+                    online,
+                    lastSeenAt: online ? null : user.last_seen_at,
+                    activeStatus: user.active_status
+                }
+            });
+        } catch (error) {
+            console.error('Get presence error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get presence',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Get all users
      * GET /api/users
@@ -322,6 +379,9 @@ class UserController {
                 });
             }
 
+            // A deactivated account is signed out everywhere
+            await SessionService.revokeAll(req.app.get('io'), userId, 'account_deactivated');
+
             res.status(200).json({
                 success: true,
                 message: 'User deleted successfully'
@@ -380,16 +440,14 @@ class UserController {
                 active_status,
                 profile_visibility,
                 read_receipts,
-                online_visibility,
-                two_factor_enabled
+                online_visibility
             } = req.body;
 
             const updated = await UserModel.updateSettings(req.user.id, {
                 active_status,
                 profile_visibility,
                 read_receipts,
-                online_visibility,
-                two_factor_enabled
+                online_visibility
             });
 
             if (!updated) {
@@ -479,6 +537,10 @@ class UserController {
     static async removeDevice(req, res) {
         try {
             const deviceId = parseInt(req.params.id);
+
+            // Removing a device signs it out
+            await SessionService.revokeDevice(req.app.get('io'), req.user.id, deviceId, 'device_removed');
+
             const removed = await UserModel.removeDevice(req.user.id, deviceId);
 
             if (!removed) {
@@ -22,11 +22,27 @@ const authenticate = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         console.log('Decoded token in auth middleware:', decoded);
 
-        // Get user from database (use queryWithRetry to handle transient DB errors)
+        // Tokens are tied to a login session, which may have been revoked (logout, password change...)
+        if (!decoded.sid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired, please log in again'
+            });
+        }
+
+        // Get user and session from database (use queryWithRetry to handle transient DB errors)
         const [rows] = await require('../config/db').queryWithRetry(
-            `SELECT id, name, email, role, department, profile_picture, active_status, is_active 
-             FROM users WHERE id = ?`,
-            [decoded.id]
+            `SELECT u.id, u.name, u.email, u.role, u.department, u.profile_picture, u.active_status, u.is_active,
+                    u.two_factor_enabled, s.id as session_id,
+                    EXISTS (
+                        SELECT 1 FROM team_members tm JOIN teams t ON tm.team_id = t.id
+                        WHERE tm.user_id = u.id AND t.require_two_factor = TRUE AND t.deleted_at IS NULL
+                    ) as two_factor_required
+             FROM users u
+             LEFT JOIN user_sessions s ON s.id = ? AND s.user_id = u.id
+                 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+             WHERE u.id = ?`,
+            [decoded.sid, decoded.id]
         );
 
         const user = rows[0];
@@ -38,6 +54,22 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        if (!user.session_id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired, please log in again'
+            });
+        }
+
+        // Teams can require 2FA - until the user enrols only the auth endpoints (enrolment, logout...) work
+        if (user.two_factor_required && !user.two_factor_enabled && !req.originalUrl.startsWith('/api/auth/')) {
+            return res.status(403).json({
+                success: false,
+                code: 'TWO_FACTOR_SETUP_REQUIRED',
+                message: 'Your team requires two-factor authentication. Please set it up to continue.'
+            });
+        }
+
         // Attach user to request
         req.user = {
             id: user.id,
@@ -48,6 +80,7 @@ const authenticate = async (req, res, next) => {
             profile_picture: user.profile_picture,
             active_status: user.active_status
         };
+        req.sessionId = user.session_id;
 
         next();
 
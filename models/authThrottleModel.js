@@ -0,0 +1,79 @@
+const { pool } = require('../config/db');
+
+/**
+ * Auth Throttle Model - Failed authentication attempts per key (client IP or account) and lockouts
+ */
+class AuthThrottleModel {
+
+    /**
+     * Get the throttle rows for a set of keys
+     */
+    static async findByKeys(keys) {
+        const [rows] = await pool.query(
+            'SELECT * FROM auth_throttles WHERE throttle_key IN (?)',
+            [keys]
+        );
+        return rows;
+    }
+
+    /**
+     * Count a failed attempt; the count restarts once the last failure is older than the window
+     * @returns {Promise<number>} - Failures in the current window
+     */
+    static async recordFailure(key, windowMinutes) {
+        await pool.query(
+            `INSERT INTO auth_throttles (throttle_key, failures, last_failure_at)
+             VALUES (?, 1, CURRENT_TIMESTAMP)
+             ON DUPLICATE KEY UPDATE
+                 failures = IF(last_failure_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, failures + 1),
+                 last_failure_at = CURRENT_TIMESTAMP`,
+            [key, windowMinutes]
+        );
+
+        const [rows] = await pool.query(
+            'SELECT failures FROM auth_throttles WHERE throttle_key = ?',
+            [key]
+        );
+        return rows[0] ? rows[0].failures : 1;
+    }
+
+    /**
+     * Lock a key; its failure count starts again once the lock ends
+     * @returns {Promise<Date>} - When the lock ends
+     */
+    static async lock(key, minutes) {
+        await pool.query(
+            `UPDATE auth_throttles SET failures = 0, locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+             WHERE throttle_key = ?`,
+            [minutes, key]
+        );
+
+        const [rows] = await pool.query(
+            'SELECT locked_until FROM auth_throttles WHERE throttle_key = ?',
+            [key]
+        );
+        return rows[0].locked_until;
+    }
+
+    /**
+     * Forget a key's failures (after a successful attempt)
+     */
+    static async clear(key) {
+        await pool.query('DELETE FROM auth_throttles WHERE throttle_key = ?', [key]);
+    }
+
+    /**
+     * Delete rows with no recent failure and no active lock
+     */
+    static async deleteStale(minutes) {
+        const [result] = await pool.query(
+            `DELETE FROM auth_throttles
+             WHERE last_failure_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+               AND (locked_until IS NULL OR locked_until < NOW())`,
+            [minutes]
+        );
+        return result.affectedRows;
+    }
+}
+
+module.exports = AuthThrottleModel;
@@ -0,0 +1,64 @@
+const { pool } = require('../config/db');
+
+/**
+ * Backup Code Model - One-time two-factor backup codes (stored as SHA-256 hashes)
+ */
+class BackupCodeModel {
+
+    /**
+     * Replace all of a user's backup codes
+     */
+    static async replaceForUser(userId, codeHashes) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            await connection.query('DELETE FROM two_factor_backup_codes WHERE user_id = ?', [userId]);
+            await connection.query(
+                'INSERT INTO two_factor_backup_codes (user_id, code_hash) VALUES ?',
+                [codeHashes.map(hash => [userId, hash])]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Use up a backup code
+     * @returns {Promise<boolean>} - true if the code was valid and unused
+     */
+    static async consume(userId, codeHash) {
+        const [result] = await pool.query(
+            `UPDATE two_factor_backup_codes SET used_at = CURRENT_TIMESTAMP
+             WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [userId, codeHash]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Count a user's unused backup codes
+     */
+    static async countRemaining(userId) {
+        const [rows] = await pool.query(
+            'SELECT COUNT(*) as count FROM two_factor_backup_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+        return rows[0].count;
+    }
+
+    /**
+     * Delete a user's backup codes
+     */
+    static async deleteByUserId(userId) {
+        await pool.query('DELETE FROM two_factor_backup_codes WHERE user_id = ?', [userId]);
+    }
+}
+
+module.exports = BackupCodeModel;
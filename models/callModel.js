@@ -0,0 +1,180 @@
+const { pool } = require('../config/db');
+
+/**
+ * Call Model - Database operations for voice/video calls and their participants
+ */
+class CallModel {
+
+    /**
+     * Start a call; the initiator joins straight away, everyone else is invited
+     */
+    static async create(callData) {
+        const { chatId, groupId, initiatorId, callType, socketId, inviteeIds } = callData;
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(
+                `INSERT INTO calls (chat_id, group_id, initiator_id, call_type) VALUES (?, ?, ?, ?)`,
+                [chatId, groupId || null, initiatorId, callType]
+            );
+            const callId = result.insertId;
+
+            await connection.query(
+                `INSERT INTO call_participants (call_id, user_id, status, socket_id, joined_at)
+                 VALUES (?, ?, 'joined', ?, CURRENT_TIMESTAMP)`,
+                [callId, initiatorId, socketId]
+            );
+            await connection.query(
+                'INSERT INTO call_participants (call_id, user_id) VALUES ?',
+                [inviteeIds.map(userId => [callId, userId])]
+            );
+
+            await connection.commit();
+            return await this.findById(callId);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find call by ID
+     */
+    static async findById(id) {
+        const [rows] = await pool.query(`
+            SELECT cl.*, u.name as initiator_name, u.profile_picture as initiator_picture
+            FROM calls cl
+            JOIN users u ON cl.initiator_id = u.id
+            WHERE cl.id = ?
+        `, [id]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Find the ringing or active call in a chat
+     */
+    static async findOngoingByChatId(chatId) {
+        const [rows] = await pool.query(
+            `SELECT * FROM calls WHERE chat_id = ? AND status IN ('ringing', 'active') ORDER BY id DESC LIMIT 1`,
+            [chatId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Get call participants with their status
+     */
+    static async getParticipants(callId) {
+        const [rows] = await pool.query(`
+            SELECT cp.user_id, cp.status, cp.socket_id, cp.joined_at, cp.left_at,
+                   u.name, u.profile_picture
+            FROM call_participants cp
+            JOIN users u ON cp.user_id = u.id
+            WHERE cp.call_id = ?
+        `, [callId]);
+        return rows;
+    }
+
+    /**
+     * Get a participant's row
+     */
+    static async getParticipant(callId, userId) {
+        const [rows] = await pool.query(
+            'SELECT * FROM call_participants WHERE call_id = ? AND user_id = ?',
+            [callId, userId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Join a call from a socket
+     */
+    static async join(callId, userId, socketId) {
+        await pool.query(
+            `UPDATE call_participants SET status = 'joined', socket_id = ?, joined_at = CURRENT_TIMESTAMP, left_at = NULL
+             WHERE call_id = ? AND user_id = ?`,
+            [socketId, callId, userId]
+        );
+    }
+
+    /**
+     * Set a participant's status ('declined' or 'left')
+     * (left_at is assigned first: MySQL applies SET assignments left to right)
+     */
+    static async setParticipantStatus(callId, userId, status) {
+        await pool.query(
+            `UPDATE call_participants
+             SET left_at = IF(status = 'joined', CURRENT_TIMESTAMP, left_at), status = ?, socket_id = NULL
+             WHERE call_id = ? AND user_id = ?`,
+            [status, callId, userId]
+        );
+    }
+
+    /**
+     * Mark a ringing call as answered
+     * @returns {Promise<boolean>} - true if this was the first answer
+     */
+    static async markAnswered(callId) {
+        const [result] = await pool.query(
+            `UPDATE calls SET status = 'active', answered_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'ringing'`,
+            [callId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * End a call with its outcome; invitees who never answered are recorded as missed
+     * @returns {Promise<boolean>} - false if the call had already ended
+     */
+    static async end(callId, status) {
+        const [result] = await pool.query(
+            `UPDATE calls
+             SET status = ?, ended_at = CURRENT_TIMESTAMP,
+                 duration_seconds = IF(answered_at IS NULL, NULL, TIMESTAMPDIFF(SECOND, answered_at, CURRENT_TIMESTAMP))
+             WHERE id = ? AND status IN ('ringing', 'active')`,
+            [status, callId]
+        );
+        if (result.affectedRows === 0) return false;
+
+        await pool.query(
+            `UPDATE call_participants
+             SET left_at = IF(status = 'joined', CURRENT_TIMESTAMP, left_at),
+                 status = CASE status WHEN 'invited' THEN 'missed' WHEN 'joined' THEN 'left' ELSE status END,
+                 socket_id = NULL
+             WHERE call_id = ?`,
+            [callId]
+        );
+        return true;
+    }
+
+    /**
+     * Get every ringing or active call, with how long ago it started
+     */
+    static async findOngoing() {
+        const [rows] = await pool.query(`
+            SELECT *, TIMESTAMPDIFF(SECOND, created_at, CURRENT_TIMESTAMP) as age_seconds
+            FROM calls
+            WHERE status IN ('ringing', 'active')
+        `);
+        return rows;
+    }
+
+    /**
+     * Find ongoing calls a socket has joined (to hang up when it disconnects)
+     */
+    static async findOngoingBySocketId(socketId) {
+        const [rows] = await pool.query(`
+            SELECT cl.id
+            FROM call_participants cp
+            JOIN calls cl ON cp.call_id = cl.id
+            WHERE cp.socket_id = ? AND cp.status = 'joined' AND cl.status IN ('ringing', 'active')
+        `, [socketId]);
+        return rows.map(row => row.id);
+    }
+}
+
+module.exports = CallModel;
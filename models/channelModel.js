@@ -107,6 +107,25 @@ class ChannelModel {
         return rows;
     }
 
+    /**
+     * Get IDs of the channels a user belongs to, across all teams unless one is given
+     */
+    static async getIdsByUserId(userId, teamId = null) {
+        let sql = `SELECT c.id
+             FROM channels c
+             JOIN channel_members cm ON c.id = cm.channel_id
+             WHERE cm.user_id = ? AND c.deleted_at IS NULL`;
+        const params = [userId];
+
+        if (teamId) {
+            sql += ' AND c.team_id = ?';
+            params.push(teamId);
+        }
+
+        const [rows] = await pool.query(sql, params);
+        return rows.map(row => row.id);
+    }
+
     /**
      * Update channel
      */
@@ -196,6 +215,14 @@ class ChannelModel {
             `DELETE FROM channel_members WHERE channel_id = ? AND user_id = ?`,
             [channelId, userId]
         );
+
+        // Recorded so offline clients learn about the removal when they sync
+        if (result.affectedRows > 0) {
+            await pool.query(
+                `INSERT INTO membership_removals (scope, scope_id, user_id) VALUES ('channel', ?, ?)`,
+                [channelId, userId]
+            );
+        }
         return result.affectedRows > 0;
     }
 
@@ -210,6 +237,26 @@ class ChannelModel {
         return rows.length > 0;
     }
 
+    /**
+     * Get the chat row channel messages are stored under, creating it on first use
+     */
+    static async getOrCreateChatId(channelId) {
+        const [chatRows] = await pool.query(
+            `SELECT id FROM chats WHERE type = 'group' AND group_id IS NULL AND id IN 
+             (SELECT chat_id FROM messages WHERE channel_id = ?) LIMIT 1`,
+            [channelId]
+        );
+
+        if (chatRows.length > 0) {
+            return chatRows[0].id;
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO chats (type) VALUES ('group')`
+        );
+        return result.insertId;
+    }
+
     /**
      * Get team ID for channel
      */
@@ -123,9 +123,10 @@ class ChatModel {
                 (
                     SELECT COUNT(*) 
                     FROM messages m 
+                    LEFT JOIN message_receipts r ON r.message_id = m.id AND r.user_id = ?
                     WHERE m.chat_id = c.id 
                     AND m.sender_id != ? 
-                    AND m.seen_at IS NULL
+                    AND r.seen_at IS NULL
                 ) as unread_count
             FROM chats c
             JOIN chat_participants cp ON c.id = cp.chat_id
@@ -135,7 +136,7 @@ class ChatModel {
                 FROM messages m 
                 WHERE m.chat_id = c.id
             ) DESC
-        `, [userId, userId]);
+        `, [userId, userId, userId]);
 
         // Get participant info for private chats and group info for group chats
         for (let chat of rows) {
@@ -6,21 +6,28 @@ const { pool } = require('../config/db');
 class FileModel {
 
     /**
-     * Create file record
+     * Create file record (images also carry width, height, blurhash and their resized copies' paths).
+     * Files start out pending a malware scan unless scanStatus says otherwise.
      */
     static async create(fileData) {
-        const { userId, chatId, groupId, messageId, fileType, filePath, originalName, fileSize } = fileData;
+        const {
+            userId, chatId, groupId, messageId, fileType, filePath, originalName, fileSize,
+            width, height, blurhash, thumbnailPath, previewPath, scanStatus = 'pending'
+        } = fileData;
 
         const [result] = await pool.query(
-            `INSERT INTO files (user_id, chat_id, group_id, message_id, file_type, file_path, original_name, file_size) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO files (user_id, chat_id, group_id, message_id, file_type, file_path, original_name, file_size,
+                                width, height, blurhash, thumbnail_path, preview_path, scan_status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [userId || null, chatId || null, groupId || null, messageId || null,
-                fileType, filePath, originalName || null, fileSize || null]
+                fileType, filePath, originalName || null, fileSize || null,
+                width || null, height || null, blurhash || null, thumbnailPath || null, previewPath || null, scanStatus]
         );
 
         return {
             id: result.insertId,
-            ...fileData
+            ...fileData,
+            scanStatus
         };
     }
 
@@ -82,6 +89,86 @@ class FileModel {
         return rows;
     }
 
+    /**
+     * Find the latest file record of a stored path
+     */
+    static async findByPath(filePath) {
+        const [rows] = await pool.query(
+            'SELECT * FROM files WHERE file_path = ? ORDER BY id DESC LIMIT 1',
+            [filePath]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Link an upload to the message that shares it, so the file inherits the message's audience.
+     * Only the uploader's own, not yet linked upload is claimed.
+     * @returns {Promise<number|null>} - File ID, or null when no upload matched
+     */
+    static async attachToMessage(messageId, userId, filePath) {
+        const [rows] = await pool.query(
+            `SELECT id FROM files
+             WHERE user_id = ? AND file_path = ? AND message_id IS NULL
+             ORDER BY id DESC LIMIT 1`,
+            [userId, filePath]
+        );
+        if (!rows[0]) return null;
+
+        const [result] = await pool.query(
+            'UPDATE files SET message_id = ? WHERE id = ? AND message_id IS NULL',
+            [messageId, rows[0].id]
+        );
+        return result.affectedRows > 0 ? rows[0].id : null;
+    }
+
+    /**
+     * Record the result of a file's malware scan
+     * @param {string} status - 'clean', 'infected' or 'failed' (not scannable, stays withheld)
+     * @returns {Promise<boolean>} - false when the file was already scanned (or deleted)
+     */
+    static async setScanResult(id, status, signature = null) {
+        const [result] = await pool.query(
+            `UPDATE files SET scan_status = ?, scan_signature = ?, scanned_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND scan_status = 'pending'`,
+            [status, signature, id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Count a scan attempt that failed (the file stays pending for a retry)
+     */
+    static async addScanAttempt(id) {
+        await pool.query(
+            `UPDATE files SET scan_attempts = scan_attempts + 1 WHERE id = ? AND scan_status = 'pending'`,
+            [id]
+        );
+    }
+
+    /**
+     * Get IDs of files still waiting for a scan after some minutes (missed or failed scans)
+     */
+    static async findPendingScanIds(olderThanMinutes, limit = 100) {
+        const [rows] = await pool.query(
+            `SELECT id FROM files
+             WHERE scan_status = 'pending' AND created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+             ORDER BY id LIMIT ?`,
+            [olderThanMinutes, limit]
+        );
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Delete file records linked to a message (by message ID or stored path)
+     */
+    static async deleteByMessage(messageId, filePath) {
+        const [result] = await pool.query(
+            'DELETE FROM files WHERE message_id = ? OR file_path = ?',
+            [messageId, filePath || null]
+        );
+        return result.affectedRows;
+    }
+
     /**
      * Delete file record
      */
@@ -133,6 +133,13 @@ class GroupModel {
             throw new Error('Mandatory system groups cannot be deleted');
         }
 
+        // Members lose the group; recorded so offline clients learn about it when they sync
+        await pool.query(
+            `INSERT INTO membership_removals (scope, scope_id, user_id)
+             SELECT 'group', group_id, user_id FROM group_members WHERE group_id = ?`,
+            [id]
+        );
+
         const [result] = await pool.query(
             'DELETE FROM `groups` WHERE id = ?',
             [id]
@@ -206,6 +213,14 @@ class GroupModel {
             'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
             [groupId, userId]
         );
+
+        // Recorded so offline clients learn about the removal when they sync
+        if (result.affectedRows > 0) {
+            await pool.query(
+                `INSERT INTO membership_removals (scope, scope_id, user_id) VALUES ('group', ?, ?)`,
+                [groupId, userId]
+            );
+        }
         return result.affectedRows > 0;
     }
 
@@ -0,0 +1,155 @@
+const { pool } = require('../config/db');
+
+/**
+ * Message Ack Model - Database operations for acknowledgement-required messages
+ */
+class MessageAckModel {
+
+    /**
+     * Require acknowledgement of a message from a set of recipients
+     */
+    static async create(ackData) {
+        const { messageId, chatId, groupId, senderId, deadlineAt, fallbackUserId, recipientIds } = ackData;
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            await connection.query(
+                `INSERT INTO message_ack_requests (message_id, chat_id, group_id, sender_id, deadline_at, fallback_user_id)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [messageId, chatId, groupId || null, senderId, deadlineAt, fallbackUserId || null]
+            );
+
+            if (recipientIds.length > 0) {
+                await connection.query(
+                    'INSERT INTO message_ack_recipients (message_id, user_id) VALUES ?',
+                    [recipientIds.map(userId => [messageId, userId])]
+                );
+            }
+
+            await connection.commit();
+            return await this.findByMessageId(messageId);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find the acknowledgement request for a message
+     */
+    static async findByMessageId(messageId) {
+        const [rows] = await pool.query(`
+            SELECT a.*, f.name as fallback_user_name
+            FROM message_ack_requests a
+            LEFT JOIN users f ON a.fallback_user_id = f.id
+            WHERE a.message_id = ?
+        `, [messageId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Get per-recipient acknowledgement state
+     */
+    static async getRecipients(messageId) {
+        const [rows] = await pool.query(`
+            SELECT r.user_id, r.acknowledged_at, r.reminded_at, r.escalated_at,
+                   u.name, u.profile_picture
+            FROM message_ack_recipients r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.message_id = ?
+            ORDER BY r.acknowledged_at IS NULL DESC, u.name ASC
+        `, [messageId]);
+        return rows;
+    }
+
+    /**
+     * Record a recipient's acknowledgement, completing the request when everyone has acknowledged
+     * @returns {boolean} - true if this was a pending recipient's first acknowledgement
+     */
+    static async acknowledge(messageId, userId) {
+        const [result] = await pool.query(
+            `UPDATE message_ack_recipients SET acknowledged_at = CURRENT_TIMESTAMP
+             WHERE message_id = ? AND user_id = ? AND acknowledged_at IS NULL`,
+            [messageId, userId]
+        );
+
+        if (result.affectedRows === 0) return false;
+
+        await pool.query(
+            `UPDATE message_ack_requests SET completed_at = CURRENT_TIMESTAMP
+             WHERE message_id = ? AND completed_at IS NULL AND NOT EXISTS (
+                 SELECT 1 FROM message_ack_recipients
+                 WHERE message_id = ? AND acknowledged_at IS NULL
+             )`,
+            [messageId, messageId]
+        );
+        return true;
+    }
+
+    /**
+     * Recipients past the deadline who have not acknowledged or been reminded yet
+     */
+    static async findDueReminders() {
+        const [rows] = await pool.query(`
+            SELECT r.message_id, r.user_id, a.chat_id, a.group_id, a.sender_id, a.deadline_at,
+                   s.name as sender_name
+            FROM message_ack_recipients r
+            JOIN message_ack_requests a ON r.message_id = a.message_id
+            JOIN messages m ON a.message_id = m.id
+            JOIN users s ON a.sender_id = s.id
+            WHERE a.completed_at IS NULL AND m.deleted_at IS NULL
+              AND a.deadline_at <= NOW()
+              AND r.acknowledged_at IS NULL AND r.reminded_at IS NULL
+        `);
+        return rows;
+    }
+
+    /**
+     * Reminded recipients who still have not acknowledged after the escalation grace period
+     */
+    static async findDueEscalations(graceMinutes) {
+        const [rows] = await pool.query(`
+            SELECT r.message_id, r.user_id, a.chat_id, a.group_id, a.sender_id, a.deadline_at,
+                   a.fallback_user_id, u.name as recipient_name, s.name as sender_name
+            FROM message_ack_recipients r
+            JOIN message_ack_requests a ON r.message_id = a.message_id
+            JOIN messages m ON a.message_id = m.id
+            JOIN users u ON r.user_id = u.id
+            JOIN users s ON a.sender_id = s.id
+            WHERE a.completed_at IS NULL AND m.deleted_at IS NULL
+              AND r.acknowledged_at IS NULL AND r.escalated_at IS NULL
+              AND r.reminded_at <= NOW() - INTERVAL ? MINUTE
+        `, [graceMinutes]);
+        return rows;
+    }
+
+    /**
+     * Mark a recipient as reminded
+     */
+    static async markReminded(messageId, userId) {
+        const [result] = await pool.query(
+            `UPDATE message_ack_recipients SET reminded_at = CURRENT_TIMESTAMP
+             WHERE message_id = ? AND user_id = ? AND reminded_at IS NULL`,
+            [messageId, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Mark a recipient as escalated
+     */
+    static async markEscalated(messageId, userId) {
+        const [result] = await pool.query(
+            `UPDATE message_ack_recipients SET escalated_at = CURRENT_TIMESTAMP
+             WHERE message_id = ? AND user_id = ? AND escalated_at IS NULL`,
+            [messageId, userId]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = MessageAckModel;
@@ -1,5 +1,82 @@
 const { pool } = require('../config/db');
 
+// Text that replaces the content of a message deleted for everyone
+const DELETED_MESSAGE_TEXT = 'This message was deleted';
+
+// Minutes after sending during which the sender may delete for everyone (0 = no limit)
+const DELETE_WINDOW_MINUTES = process.env.MESSAGE_DELETE_WINDOW_MINUTES !== undefined
+    ? parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES)
+    : 60;
+
+// Message priorities, lowest first (routine notifications are held back during Do Not Disturb)
+const PRIORITIES = ['routine', 'important', 'urgent'];
+
+// Message types clients may send ('system' messages are posted by the server only)
+const SENDABLE_TYPES = ['text', 'image', 'pdf', 'voice', 'video'];
+
+// Reserved reaction clinicians use to confirm they have actioned an instruction
+const ACKNOWLEDGED_REACTION = 'acknowledged';
+
+// Attached file details (expects `files mf` joined): its ID for GET /api/files/:id and, for images,
+// dimensions, blurhash placeholder and thumbnail/preview URLs
+const FILE_COLUMNS = `
+    mf.id as file_id, mf.width as file_width, mf.height as file_height, mf.blurhash as file_blurhash,
+    IF(mf.thumbnail_path IS NULL, NULL, CONCAT('/api/files/', mf.id, '?variant=thumbnail')) as file_thumbnail_url,
+    IF(mf.preview_path IS NULL, NULL, CONCAT('/api/files/', mf.id, '?variant=preview')) as file_preview_url,
+    mf.scan_status as file_scan_status
+`;
+
+const FILE_JOIN = `
+    LEFT JOIN files mf ON mf.id = (SELECT MIN(f.id) FROM files f WHERE f.message_id = m.id)
+`;
+
+// Message columns plus sender info, a quote of the replied-to message, any acknowledgement deadline
+// and the attached file
+const MESSAGE_COLUMNS = `
+    m.*, u.name as sender_name, u.profile_picture as sender_picture, ${FILE_COLUMNS},
+    p.content as reply_to_content, p.message_type as reply_to_type,
+    p.sender_id as reply_to_sender_id, pu.name as reply_to_sender_name,
+    ar.deadline_at as ack_deadline_at, ar.completed_at as ack_completed_at
+`;
+
+const MESSAGE_JOINS = `
+    JOIN users u ON m.sender_id = u.id
+    LEFT JOIN messages p ON m.parent_message_id = p.id
+    LEFT JOIN users pu ON p.sender_id = pu.id
+    LEFT JOIN message_ack_requests ar ON ar.message_id = m.id
+    ${FILE_JOIN}
+`;
+
+/**
+ * SQL condition for messages a user can see (expects `chats c` joined on m.chat_id):
+ * private chats they take part in, groups they belong to and channels they have joined
+ * @param {number} userId - User ID
+ * @param {Object} channels - { teamId } limits channels to one team, { allChannels: true } includes
+ *   every joined channel; with neither, channel messages are excluded
+ */
+const visibleToUser = (userId, { teamId = null, allChannels = false } = {}) => {
+    const conditions = [
+        `(m.channel_id IS NULL AND c.group_id IS NULL AND EXISTS (
+            SELECT 1 FROM chat_participants cp WHERE cp.chat_id = m.chat_id AND cp.user_id = ?))`,
+        `(m.channel_id IS NULL AND c.group_id IS NOT NULL AND EXISTS (
+            SELECT 1 FROM group_members gm WHERE gm.group_id = c.group_id AND gm.user_id = ?))`
+    ];
+    const params = [userId, userId];
+
+    if (teamId || allChannels) {
+        conditions.push(`(m.channel_id IS NOT NULL ${teamId ? 'AND m.team_id = ? ' : ''}AND EXISTS (
+            SELECT 1 FROM channel_members chm WHERE chm.channel_id = m.channel_id AND chm.user_id = ?))`);
+        params.push(...(teamId ? [teamId, userId] : [userId]));
+    }
+
+    return { sql: `(${conditions.join(' OR ')})`, params };
+};
+
+// SQL condition: the reader (`ru` users row, `rus` user_settings row) shares read receipts.
+// Both the profile setting and the messaging setting must allow it; like the user_settings
+// default, a user without a settings row doesn't share them.
+const SHARES_READ_RECEIPTS = '(ru.read_receipts = TRUE AND COALESCE(rus.read_receipts, FALSE) = TRUE)';
+
 /**
  * Message Model - Database operations for messages
  */
@@ -7,66 +84,568 @@ class MessageModel {
 
     /**
      * Create a new message
+     * Replies (parentMessageId) bump the parent's reply count and follow the thread
      */
     static async create(messageData) {
-        const { chatId, senderId, messageType, content, filePath, duration } = messageData;
+        const {
+            chatId, channelId, teamId, senderId, messageType, content, filePath, duration, parentMessageId, priority,
+            clientMsgId
+        } = messageData;
 
         const [result] = await pool.query(
-            `INSERT INTO messages (chat_id, sender_id, message_type, content, file_path, duration) 
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [chatId, senderId, messageType || 'text', content || null, filePath || null, duration || null]
+            `INSERT INTO messages (chat_id, channel_id, team_id, sender_id, message_type, content, file_path, duration, parent_message_id, priority, client_msg_id) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [chatId, channelId || null, teamId || null, senderId, messageType || 'text',
+                content || null, filePath || null, duration || null, parentMessageId || null, priority || 'routine',
+                clientMsgId || null]
         );
 
+        if (parentMessageId) {
+            await pool.query(
+                `UPDATE messages SET reply_count = reply_count + 1, last_reply_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [parentMessageId]
+            );
+
+            // Both the thread starter and every replier follow the thread
+            await pool.query(
+                `INSERT IGNORE INTO thread_followers (message_id, user_id)
+                 SELECT id, sender_id FROM messages WHERE id = ?`,
+                [parentMessageId]
+            );
+            await this.followThread(parentMessageId, senderId);
+        }
+
         return await this.findById(result.insertId);
     }
 
+    /**
+     * Check whether a priority is one of routine / important / urgent
+     */
+    static isValidPriority(priority) {
+        return PRIORITIES.includes(priority);
+    }
+
+    /**
+     * Check whether a message type can be sent by a client (text / image / pdf / voice / video)
+     */
+    static isSendableType(messageType) {
+        return SENDABLE_TYPES.includes(messageType);
+    }
+
     /**
      * Find message by ID
      */
     static async findById(id) {
         const [rows] = await pool.query(`
-            SELECT m.*, u.name as sender_name, u.profile_picture as sender_picture
+            SELECT ${MESSAGE_COLUMNS}
             FROM messages m
-            JOIN users u ON m.sender_id = u.id
+            ${MESSAGE_JOINS}
             WHERE m.id = ?
         `, [id]);
         return rows[0] || null;
     }
 
     /**
-     * Get messages for a chat with pagination
+     * Find a message by the sender's client-generated ID (idempotent sends)
      */
-    static async findByChatId(chatId, limit = 50, offset = 0) {
+    static async findByClientMsgId(senderId, clientMsgId) {
         const [rows] = await pool.query(`
-            SELECT m.*, u.name as sender_name, u.profile_picture as sender_picture
+            SELECT ${MESSAGE_COLUMNS}
             FROM messages m
-            JOIN users u ON m.sender_id = u.id
-            WHERE m.chat_id = ?
-            ORDER BY m.created_at DESC
-            LIMIT ? OFFSET ?
-        `, [chatId, limit, offset]);
-        return rows.reverse(); // Return in chronological order
+            ${MESSAGE_JOINS}
+            WHERE m.sender_id = ? AND m.client_msg_id = ?
+        `, [senderId, clientMsgId]);
+        return rows[0] || null;
     }
 
     /**
-     * Mark messages as seen
+     * Get messages for a chat with pagination
+     * @param {Object} options
+     * @param {number} options.userId - Skip messages this user deleted for themselves
+     * @param {boolean} options.topLevelOnly - Skip thread replies (group timelines)
+     * @param {string} options.priority - Only messages of this priority
+     * @param {number} options.before - Only messages older than this message ID
+     * @param {number} options.after - Only messages newer than this message ID
      */
-    static async markAsSeen(chatId, userId) {
+    static async findByChatId(chatId, limit = 50, offset = 0, options = {}) {
+        return await this.findTimeline('m.chat_id = ?', [chatId], limit, offset, options);
+    }
+
+    /**
+     * Get top-level messages for a channel with pagination
+     */
+    static async findByChannelId(channelId, limit = 50, offset = 0, options = {}) {
+        return await this.findTimeline('m.channel_id = ?', [channelId], limit, offset, { ...options, topLevelOnly: true });
+    }
+
+    /**
+     * Get replies in a thread (oldest first)
+     * Without cursors this is the first page; `after` continues forward and `before` pages back
+     * @param {Object} options - { userId, before, after }
+     */
+    static async findThread(parentMessageId, limit = 50, offset = 0, options = {}) {
+        const { userId, before, after } = options;
+
+        let sql = `
+            SELECT ${MESSAGE_COLUMNS}
+            FROM messages m
+            ${MESSAGE_JOINS}
+            WHERE m.parent_message_id = ?
+        `;
+        const params = [parentMessageId];
+
+        if (userId) {
+            sql += ' AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = m.id AND h.user_id = ?)';
+            params.push(userId);
+        }
+
+        const page = this.applyCursor(options, before && !after ? 'before' : 'after', params);
+        sql += page.sql;
+
+        let [rows] = await pool.query(sql, params.concat(before || after ? [limit] : [limit, offset]));
+        if (page.reverse) rows = rows.reverse();
+        return await this.attachReactions(rows, userId);
+    }
+
+    /**
+     * Shared timeline query for chats and channels (returned in chronological order)
+     * Without cursors this is the newest page (offset is kept for older clients);
+     * `before` pages back through history and `after` fetches what arrived since a message
+     */
+    static async findTimeline(where, whereParams, limit, offset, options = {}) {
+        const { userId, topLevelOnly, priority, before, after } = options;
+
+        let sql = `
+            SELECT ${MESSAGE_COLUMNS}
+            FROM messages m
+            ${MESSAGE_JOINS}
+            WHERE ${where}
+        `;
+        const params = [...whereParams];
+
+        if (topLevelOnly) {
+            sql += ' AND m.parent_message_id IS NULL';
+        }
+
+        if (priority) {
+            sql += ' AND m.priority = ?';
+            params.push(priority);
+        }
+
+        if (userId) {
+            sql += ' AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = m.id AND h.user_id = ?)';
+            params.push(userId);
+        }
+
+        const page = this.applyCursor(options, after && !before ? 'after' : 'before', params);
+        sql += page.sql;
+
+        let [rows] = await pool.query(sql, params.concat(before || after ? [limit] : [limit, offset]));
+        if (page.reverse) rows = rows.reverse();
+        await this.attachReactions(rows, userId);
+        return rows;
+    }
+
+    /**
+     * Build the message-id cursor conditions and ordering for a listing
+     * Message IDs only ever increase, so unlike created_at they give a stable page boundary
+     * @param {Object} options - { before, after }
+     * @param {string} direction - 'before' reads newest-first (rows need reversing), 'after' oldest-first
+     * @param {Array} params - Query params, cursor values are appended
+     * @returns {Object} - { sql, reverse } (sql ends with LIMIT, plus OFFSET when there is no cursor)
+     */
+    static applyCursor(options, direction, params) {
+        const { before, after } = options;
+        let sql = '';
+
+        if (before) {
+            sql += ' AND m.id < ?';
+            params.push(before);
+        }
+        if (after) {
+            sql += ' AND m.id > ?';
+            params.push(after);
+        }
+
+        sql += direction === 'before' ? ' ORDER BY m.id DESC' : ' ORDER BY m.id ASC';
+        sql += before || after ? ' LIMIT ?' : ' LIMIT ? OFFSET ?';
+
+        return { sql, reverse: direction === 'before' };
+    }
+
+    /**
+     * Add aggregated reaction counts to a list of messages
+     * Each message gets reactions: [{ reaction, count, reacted }] where reacted means userId reacted
+     */
+    static async attachReactions(messages, userId = null) {
+        if (messages.length === 0) return messages;
+
+        const [rows] = await pool.query(`
+            SELECT message_id, reaction, COUNT(*) as count, MAX(user_id = ?) as reacted
+            FROM message_reactions
+            WHERE message_id IN (?)
+            GROUP BY message_id, reaction
+            ORDER BY MIN(created_at) ASC
+        `, [userId || 0, messages.map(m => m.id)]);
+
+        const byMessage = {};
+        rows.forEach(row => {
+            (byMessage[row.message_id] = byMessage[row.message_id] || []).push({
+                reaction: row.reaction,
+                count: row.count,
+                reacted: row.reacted === 1
+            });
+        });
+
+        messages.forEach(message => {
+            message.reactions = byMessage[message.id] || [];
+        });
+        return messages;
+    }
+
+    /**
+     * Get aggregated reaction counts for a single message
+     */
+    static async getReactionSummary(messageId, userId = null) {
+        const [message] = await this.attachReactions([{ id: messageId }], userId);
+        return message.reactions;
+    }
+
+    /**
+     * Get every reaction on a message with the reacting user (oldest first)
+     */
+    static async getReactions(messageId) {
+        const [rows] = await pool.query(`
+            SELECT r.reaction, r.created_at, r.user_id, u.name as user_name, u.profile_picture as user_picture
+            FROM message_reactions r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.message_id = ?
+            ORDER BY r.created_at ASC, r.id ASC
+        `, [messageId]);
+        return rows;
+    }
+
+    /**
+     * Check whether a reaction is the reserved clinical acknowledgement
+     */
+    static isAcknowledgement(reaction) {
+        return reaction === ACKNOWLEDGED_REACTION;
+    }
+
+    /**
+     * Add a reaction
+     * @returns {boolean} - false if the user had already reacted with it
+     */
+    static async addReaction(messageId, userId, reaction) {
         const [result] = await pool.query(
-            `UPDATE messages 
-             SET seen_at = CURRENT_TIMESTAMP 
-             WHERE chat_id = ? AND sender_id != ? AND seen_at IS NULL`,
-            [chatId, userId]
+            'INSERT IGNORE INTO message_reactions (message_id, user_id, reaction) VALUES (?, ?, ?)',
+            [messageId, userId, reaction]
         );
-        return result.affectedRows;
+        return result.affectedRows > 0;
     }
 
-    static async setDelivered(messageId) {
+    /**
+     * Remove a reaction
+     */
+    static async removeReaction(messageId, userId, reaction) {
         const [result] = await pool.query(
-            `UPDATE messages SET delivered_at = CURRENT_TIMESTAMP WHERE id = ? AND delivered_at IS NULL`,
+            'DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND reaction = ?',
+            [messageId, userId, reaction]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Full-text search over messages the user can see: private chats they take part in,
+     * groups they belong to and, within the given team, channels they have joined
+     * Newest first; pass the last returned id as cursor for the next page
+     * @param {number} userId - Searching user
+     * @param {string} booleanQuery - MySQL boolean-mode search expression
+     * @param {Object} filters - { teamId, senderId, messageType, chatId, groupId, channelId, from, to, cursor, limit }
+     */
+    static async search(userId, booleanQuery, filters = {}) {
+        const { teamId, senderId, messageType, chatId, groupId, channelId, from, to, cursor, limit = 20 } = filters;
+
+        const scope = visibleToUser(userId, { teamId });
+
+        let sql = `
+            SELECT ${MESSAGE_COLUMNS}, c.group_id,
+                   g.name as group_name, ch.name as channel_name
+            FROM messages m
+            ${MESSAGE_JOINS}
+            JOIN chats c ON m.chat_id = c.id
+            LEFT JOIN \`groups\` g ON c.group_id = g.id
+            LEFT JOIN channels ch ON m.channel_id = ch.id
+            WHERE MATCH(m.content) AGAINST (? IN BOOLEAN MODE)
+              AND m.deleted_at IS NULL
+              AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = m.id AND h.user_id = ?)
+              AND ${scope.sql}
+        `;
+        const params = [booleanQuery, userId, ...scope.params];
+
+        if (senderId) {
+            sql += ' AND m.sender_id = ?';
+            params.push(senderId);
+        }
+        if (messageType) {
+            sql += ' AND m.message_type = ?';
+            params.push(messageType);
+        }
+        if (chatId) {
+            sql += ' AND m.chat_id = ?';
+            params.push(chatId);
+        }
+        if (groupId) {
+            sql += ' AND c.group_id = ?';
+            params.push(groupId);
+        }
+        if (channelId) {
+            sql += ' AND m.channel_id = ?';
+            params.push(channelId);
+        }
+        if (from) {
+            sql += ' AND m.created_at >= ?';
+            params.push(from);
+        }
+        if (to) {
+            sql += ' AND m.created_at <= ?';
+            params.push(to);
+        }
+        if (cursor) {
+            sql += ' AND m.id < ?';
+            params.push(cursor);
+        }
+
+        sql += ' ORDER BY m.id DESC LIMIT ?';
+        params.push(limit);
+
+        const [rows] = await pool.query(sql, params);
+        return rows;
+    }
+
+    /**
+     * Messages created, edited or deleted since a sync position, across every conversation the user can see
+     * Ordered by change time then ID so a page boundary can be resumed exactly
+     * @param {number} userId - Syncing user
+     * @param {number} sinceTime - Unix time of the sync position
+     * @param {number} sinceId - Last message ID already returned at sinceTime (0 for none)
+     * @param {number} limit - Page size
+     */
+    static async findChangedSince(userId, sinceTime, sinceId, limit) {
+        const scope = visibleToUser(userId, { allChannels: true });
+        const changedAt = `GREATEST(m.created_at, COALESCE(m.edited_at, m.created_at), COALESCE(m.deleted_at, m.created_at))`;
+
+        const [rows] = await pool.query(`
+            SELECT ${MESSAGE_COLUMNS}, c.group_id, UNIX_TIMESTAMP(${changedAt}) as changed_at
+            FROM messages m
+            ${MESSAGE_JOINS}
+            JOIN chats c ON m.chat_id = c.id
+            WHERE (m.created_at >= FROM_UNIXTIME(?) OR m.edited_at >= FROM_UNIXTIME(?) OR m.deleted_at >= FROM_UNIXTIME(?))
+              AND (${changedAt} > FROM_UNIXTIME(?) OR (${changedAt} = FROM_UNIXTIME(?) AND m.id > ?))
+              AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = m.id AND h.user_id = ?)
+              AND ${scope.sql}
+            ORDER BY changed_at ASC, m.id ASC
+            LIMIT ?
+        `, [sinceTime, sinceTime, sinceTime, sinceTime, sinceTime, sinceId, userId, ...scope.params, limit]);
+
+        return await this.attachReactions(rows, userId);
+    }
+
+    /**
+     * Read-state changes since a sync position: messages the user read (e.g. on another device)
+     * and the user's own messages read by others who share read receipts.
+     * Ordered by read time, message ID then reader so a page boundary can be resumed exactly
+     * @param {number} userId - Syncing user
+     * @param {number} sinceTime - Unix time of the sync position
+     * @param {number} sinceMessageId - Last message ID already returned at sinceTime (0 for none)
+     * @param {number} sinceUserId - Its reader already returned (0 for none)
+     * @param {number} limit - Page size
+     */
+    static async findSeenSince(userId, sinceTime, sinceMessageId, sinceUserId, limit) {
+        const [rows] = await pool.query(`
+            SELECT m.id, m.chat_id, m.channel_id, c.group_id, m.sender_id, r.user_id as seen_by, r.seen_at,
+                   UNIX_TIMESTAMP(r.seen_at) as seen_time
+            FROM message_receipts r
+            JOIN messages m ON r.message_id = m.id
+            JOIN chats c ON m.chat_id = c.id
+            JOIN users ru ON r.user_id = ru.id
+            LEFT JOIN user_settings rus ON rus.user_id = r.user_id
+            WHERE r.seen_at >= FROM_UNIXTIME(?)
+              AND (r.seen_at > FROM_UNIXTIME(?) OR r.message_id > ? OR (r.message_id = ? AND r.user_id > ?))
+              AND (r.user_id = ? OR (m.sender_id = ? AND ${SHARES_READ_RECEIPTS}))
+            ORDER BY r.seen_at ASC, r.message_id ASC, r.user_id ASC
+            LIMIT ?
+        `, [sinceTime, sinceTime, sinceMessageId, sinceMessageId, sinceUserId, userId, userId, limit]);
+        return rows;
+    }
+
+    /**
+     * IDs of messages the user deleted for themselves since a time
+     */
+    static async findHiddenSince(userId, sinceTime) {
+        const [rows] = await pool.query(
+            'SELECT message_id FROM message_hidden WHERE user_id = ? AND created_at >= FROM_UNIXTIME(?)',
+            [userId, sinceTime]
+        );
+        return rows.map(row => row.message_id);
+    }
+
+    /**
+     * Follow a thread (receive reply notifications)
+     */
+    static async followThread(messageId, userId) {
+        await pool.query(
+            'INSERT IGNORE INTO thread_followers (message_id, user_id) VALUES (?, ?)',
+            [messageId, userId]
+        );
+        return true;
+    }
+
+    /**
+     * Unfollow a thread
+     */
+    static async unfollowThread(messageId, userId) {
+        const [result] = await pool.query(
+            'DELETE FROM thread_followers WHERE message_id = ? AND user_id = ?',
+            [messageId, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Get user IDs following a thread
+     */
+    static async getThreadFollowers(messageId) {
+        const [rows] = await pool.query(
+            'SELECT user_id FROM thread_followers WHERE message_id = ?',
             [messageId]
         );
-        return result.affectedRows;
+        return rows.map(row => row.user_id);
+    }
+
+    /**
+     * Mark the messages of a chat as seen by a user (their own receipt rows only)
+     * In private chats the message's seen_at also shows the sender when the reader shares read receipts
+     * @returns {Promise<number>} - Number of messages newly seen
+     */
+    static async markAsSeen(chatId, userId) {
+        const [unseen] = await pool.query(
+            `SELECT m.id
+             FROM messages m
+             LEFT JOIN message_receipts r ON r.message_id = m.id AND r.user_id = ?
+             WHERE m.chat_id = ? AND m.sender_id != ? AND r.seen_at IS NULL`,
+            [userId, chatId, userId]
+        );
+        if (unseen.length === 0) return 0;
+
+        const messageIds = unseen.map(row => row.id);
+        await pool.query(
+            `INSERT INTO message_receipts (message_id, user_id, delivered_at, seen_at) VALUES ?
+             ON DUPLICATE KEY UPDATE delivered_at = COALESCE(delivered_at, VALUES(delivered_at)), seen_at = VALUES(seen_at)`,
+            [messageIds.map(id => [id, userId, new Date(), new Date()])]
+        );
+
+        await pool.query(
+            `UPDATE messages m
+             JOIN chats c ON m.chat_id = c.id
+             JOIN users ru ON ru.id = ?
+             LEFT JOIN user_settings rus ON rus.user_id = ru.id
+             SET m.delivered_at = COALESCE(m.delivered_at, CURRENT_TIMESTAMP),
+                 m.seen_at = CASE WHEN ${SHARES_READ_RECEIPTS} THEN CURRENT_TIMESTAMP ELSE m.seen_at END
+             WHERE m.id IN (?) AND c.type = 'private'`,
+            [userId, messageIds]
+        );
+
+        return messageIds.length;
+    }
+
+    /**
+     * Record that a message reached a recipient
+     * In private chats the message's delivered_at is set as well
+     * @returns {Promise<boolean>} - true if this is the first delivery to that recipient
+     */
+    static async setDelivered(messageId, userId) {
+        const [inserted] = await pool.query(
+            'INSERT IGNORE INTO message_receipts (message_id, user_id, delivered_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+            [messageId, userId]
+        );
+        if (inserted.affectedRows === 0) {
+            const [updated] = await pool.query(
+                `UPDATE message_receipts SET delivered_at = CURRENT_TIMESTAMP
+                 WHERE message_id = ? AND user_id = ? AND delivered_at IS NULL`,
+                [messageId, userId]
+            );
+            if (updated.affectedRows === 0) return false;
+        }
+
+        await pool.query(
+            `UPDATE messages m
+             JOIN chats c ON m.chat_id = c.id
+             SET m.delivered_at = CURRENT_TIMESTAMP
+             WHERE m.id = ? AND c.type = 'private' AND m.delivered_at IS NULL`,
+            [messageId]
+        );
+        return true;
+    }
+
+    /**
+     * Delivery and read state of a message for each recipient
+     * Chat messages go to the other participants / group members; channel messages to the other
+     * channel members, who have seen a message once their read position passes it.
+     * seen_at is null for readers who do not share read receipts.
+     */
+    static async getReceipts(messageId) {
+        const message = await this.findById(messageId);
+        if (!message) return [];
+
+        let recipientsSql;
+        let params;
+        if (message.channel_id) {
+            recipientsSql = `
+                SELECT cm.user_id,
+                       CASE WHEN cm.last_read_at >= m.created_at THEN cm.last_read_at END as read_at
+                FROM channel_members cm
+                JOIN messages m ON m.id = ?
+                WHERE cm.channel_id = ?`;
+            params = [messageId, message.channel_id];
+        } else {
+            recipientsSql = `
+                SELECT cp.user_id, NULL as read_at FROM chat_participants cp
+                JOIN chats c ON cp.chat_id = c.id
+                WHERE cp.chat_id = ? AND c.group_id IS NULL
+                UNION
+                SELECT gm.user_id, NULL as read_at FROM group_members gm
+                JOIN chats c ON c.group_id = gm.group_id
+                WHERE c.id = ?`;
+            params = [message.chat_id, message.chat_id];
+        }
+
+        const [rows] = await pool.query(`
+            SELECT ru.id as user_id, ru.name, ru.profile_picture,
+                   r.delivered_at,
+                   CASE WHEN ${SHARES_READ_RECEIPTS} THEN COALESCE(r.seen_at, rcp.read_at) END as seen_at
+            FROM (${recipientsSql}) rcp
+            JOIN users ru ON rcp.user_id = ru.id
+            LEFT JOIN user_settings rus ON rus.user_id = ru.id
+            LEFT JOIN message_receipts r ON r.message_id = ? AND r.user_id = ru.id
+            WHERE ru.id != ?
+            ORDER BY ru.name ASC
+        `, [...params, messageId, message.sender_id]);
+        return rows;
+    }
+
+    /**
+     * Check whether a user shares read receipts (both the profile and the messaging setting)
+     */
+    static async sharesReadReceipts(userId) {
+        const [rows] = await pool.query(
+            `SELECT ${SHARES_READ_RECEIPTS} as shares
+             FROM users ru
+             LEFT JOIN user_settings rus ON rus.user_id = ru.id
+             WHERE ru.id = ?`,
+            [userId]
+        );
+        return !!(rows[0] && rows[0].shares);
     }
 
     /**
@@ -75,22 +654,132 @@ class MessageModel {
     static async getUnreadCount(chatId, userId) {
         const [rows] = await pool.query(
             `SELECT COUNT(*) as count 
-             FROM messages 
-             WHERE chat_id = ? AND sender_id != ? AND seen_at IS NULL`,
-            [chatId, userId]
+             FROM messages m
+             LEFT JOIN message_receipts r ON r.message_id = m.id AND r.user_id = ?
+             WHERE m.chat_id = ? AND m.sender_id != ? AND r.seen_at IS NULL`,
+            [userId, chatId, userId]
         );
         return rows[0].count;
     }
 
     /**
-     * Delete message
+     * Edit message content, keeping the previous version as a revision
      */
-    static async delete(id, userId) {
-        const [result] = await pool.query(
-            'DELETE FROM messages WHERE id = ? AND sender_id = ?',
-            [id, userId]
+    static async edit(id, editorId, content) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT content FROM messages WHERE id = ? FOR UPDATE',
+                [id]
+            );
+            if (!rows[0]) {
+                await connection.rollback();
+                return null;
+            }
+
+            // Store the old version before overwriting it
+            await connection.query(
+                'INSERT INTO message_revisions (message_id, editor_id, content) VALUES (?, ?, ?)',
+                [id, editorId, rows[0].content]
+            );
+
+            await connection.query(
+                'UPDATE messages SET content = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [content, id]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        return await this.findById(id);
+    }
+
+    /**
+     * Get revision history for a message (oldest first)
+     */
+    static async getRevisions(messageId) {
+        const [rows] = await pool.query(`
+            SELECT r.id, r.message_id, r.content, r.created_at,
+                   r.editor_id, u.name as editor_name
+            FROM message_revisions r
+            JOIN users u ON r.editor_id = u.id
+            WHERE r.message_id = ?
+            ORDER BY r.created_at ASC, r.id ASC
+        `, [messageId]);
+        return rows;
+    }
+
+    /**
+     * Hide a message for a single user (delete for me)
+     */
+    static async hideForUser(messageId, userId) {
+        await pool.query(
+            'INSERT IGNORE INTO message_hidden (message_id, user_id) VALUES (?, ?)',
+            [messageId, userId]
         );
-        return result.affectedRows > 0;
+        return true;
+    }
+
+    /**
+     * Check whether the sender can still delete a message for everyone
+     */
+    static isWithinDeleteWindow(message) {
+        if (!DELETE_WINDOW_MINUTES) return true;
+        const ageMs = Date.now() - new Date(message.created_at).getTime();
+        return ageMs <= DELETE_WINDOW_MINUTES * 60 * 1000;
+    }
+
+    /**
+     * Delete message for everyone - replaces it with a tombstone and records the removal
+     * @param {number} id - Message ID
+     * @param {number} deletedBy - User performing the deletion
+     * @param {string} reason - 'sender' or 'moderator'
+     * @returns {Object|null} - The original message row, or null if not found/already deleted
+     */
+    static async deleteForEveryone(id, deletedBy, reason = 'sender') {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT * FROM messages WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+                [id]
+            );
+            const original = rows[0];
+            if (!original) {
+                await connection.rollback();
+                return null;
+            }
+
+            await connection.query(
+                `INSERT INTO message_deletions (message_id, chat_id, sender_id, deleted_by, reason, content, file_path)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, original.chat_id, original.sender_id, deletedBy, reason, original.content, original.file_path]
+            );
+
+            await connection.query(
+                `UPDATE messages
+                 SET message_type = 'text', content = ?, file_path = NULL, duration = NULL,
+                     deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+                 WHERE id = ?`,
+                [DELETED_MESSAGE_TEXT, deletedBy, id]
+            );
+
+            await connection.commit();
+            return original;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 
     /**
@@ -98,10 +787,11 @@ class MessageModel {
      */
     static async getMediaByChatId(chatId, type = null) {
         let sql = `
-            SELECT m.*, u.name as sender_name
+            SELECT m.*, u.name as sender_name, ${FILE_COLUMNS}
             FROM messages m
             JOIN users u ON m.sender_id = u.id
-            WHERE m.chat_id = ? AND m.message_type != 'text'
+            ${FILE_JOIN}
+            WHERE m.chat_id = ? AND m.message_type NOT IN ('text', 'system')
         `;
         const params = [chatId];
 
@@ -9,12 +9,12 @@ class NotificationModel {
      * Create notification
      */
     static async create(notificationData) {
-        const { userId, type, title, message, data } = notificationData;
+        const { userId, type, title, message, data, priority } = notificationData;
 
         const [result] = await pool.query(
-            `INSERT INTO notifications (user_id, type, title, message, data) 
-             VALUES (?, ?, ?, ?, ?)`,
-            [userId, type, title || null, message || null, JSON.stringify(data) || null]
+            `INSERT INTO notifications (user_id, type, title, message, data, priority) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, type, title || null, message || null, JSON.stringify(data) || null, priority || 'routine']
         );
 
         return {
@@ -46,14 +46,22 @@ class NotificationModel {
 
     /**
      * Get notifications for user
+     * @param {Object} options
+     * @param {string} options.priority - Only notifications of this priority
      */
-    static async findByUserId(userId, limit = 50, offset = 0) {
-        const [rows] = await pool.query(`
-            SELECT * FROM notifications 
-            WHERE user_id = ? 
-            ORDER BY created_at DESC 
-            LIMIT ? OFFSET ?
-        `, [userId, limit, offset]);
+    static async findByUserId(userId, limit = 50, offset = 0, options = {}) {
+        let sql = 'SELECT * FROM notifications WHERE user_id = ?';
+        const params = [userId];
+
+        if (options.priority) {
+            sql += ' AND priority = ?';
+            params.push(options.priority);
+        }
+
+        sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        const [rows] = await pool.query(sql, params);
 
         return rows.map(row => {
             if (row.data && typeof row.data === 'string') {
@@ -1,5 +1,18 @@
+const crypto = require('crypto');
 const { pool } = require('../config/db');
 
+// Wrong guesses after which a code is invalidated and a new one must be requested
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 3;
+
+/**
+ * Compare codes in constant time
+ */
+const codesMatch = (expected, given) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
 /**
  * OTP Model - Database operations for OTP verification
  */
@@ -41,8 +54,8 @@ class OtpModel {
         const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
 
         const [result] = await pool.query(
-            `INSERT INTO otps (email, otp_code, expires_at) VALUES (?, ?, ?)`,
-            [email, otpCode, expiresAt]
+            `INSERT INTO otps (email, otp_code, max_attempts, expires_at) VALUES (?, ?, ?, ?)`,
+            [email, otpCode, MAX_ATTEMPTS, expiresAt]
         );
 
         return {
@@ -78,18 +91,23 @@ class OtpModel {
             return { valid: false, message: 'OTP has expired. Please request a new one.' };
         }
 
-        // Check attempts
-        if (otp.attempts >= otp.max_attempts) {
+        // Use up an attempt - atomically, so parallel guesses can't get past the limit
+        const [claimed] = await pool.query(
+            'UPDATE otps SET attempts = attempts + 1 WHERE id = ? AND attempts < max_attempts',
+            [otp.id]
+        );
+        if (claimed.affectedRows === 0) {
             await pool.query('DELETE FROM otps WHERE id = ?', [otp.id]);
             return { valid: false, message: 'Maximum attempts exceeded. Please request a new OTP.' };
         }
 
-        // Increment attempts
-        await pool.query('UPDATE otps SET attempts = attempts + 1 WHERE id = ?', [otp.id]);
-
-        // Verify OTP
-        if (otp.otp_code !== otpCode) {
+        // Verify OTP - the last wrong guess invalidates the code
+        if (!codesMatch(otp.otp_code, otpCode)) {
             const remainingAttempts = otp.max_attempts - otp.attempts - 1;
+            if (remainingAttempts <= 0) {
+                await pool.query('DELETE FROM otps WHERE id = ?', [otp.id]);
+                return { valid: false, message: 'Too many incorrect attempts. Please request a new OTP.' };
+            }
             return {
                 valid: false,
                 message: `Invalid OTP. ${remainingAttempts} attempt(s) remaining.`
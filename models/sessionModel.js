@@ -0,0 +1,105 @@
+const { pool } = require('../config/db');
+
+/**
+ * Session Model - Database operations for login sessions and their refresh tokens
+ * Only SHA-256 hashes of refresh tokens are stored.
+ */
+class SessionModel {
+
+    /**
+     * Create a session
+     */
+    static async create(sessionData) {
+        const { userId, deviceId, refreshTokenHash, ipAddress, userAgent, expiresAt } = sessionData;
+
+        const [result] = await pool.query(
+            `INSERT INTO user_sessions (user_id, device_id, refresh_token_hash, ip_address, user_agent, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, deviceId || null, refreshTokenHash, ipAddress || null, userAgent || null, expiresAt]
+        );
+        return result.insertId;
+    }
+
+    /**
+     * Find session by ID
+     */
+    static async findById(id) {
+        const [rows] = await pool.query(
+            'SELECT * FROM user_sessions WHERE id = ?',
+            [id]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Check whether a user's session is still valid (not revoked or expired)
+     */
+    static async isActive(id, userId) {
+        const [rows] = await pool.query(
+            `SELECT id FROM user_sessions
+             WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+            [id, userId]
+        );
+        return rows.length > 0;
+    }
+
+    /**
+     * Replace a session's refresh token, extending the session
+     * @returns {Promise<boolean>} - false if the old token was no longer current (already rotated or revoked)
+     */
+    static async rotate(id, oldHash, newHash, expiresAt, ipAddress) {
+        const [result] = await pool.query(
+            `UPDATE user_sessions
+             SET refresh_token_hash = ?, previous_token_hash = ?, expires_at = ?,
+                 last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE(?, ip_address)
+             WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+            [newHash, oldHash, expiresAt, ipAddress || null, id, oldHash]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Get a user's active sessions with their device
+     */
+    static async findActiveByUserId(userId) {
+        const [rows] = await pool.query(`
+            SELECT s.id, s.device_id, d.device_name, d.device_type, s.ip_address, s.user_agent,
+                   s.created_at, s.last_used_at, s.expires_at
+            FROM user_sessions s
+            LEFT JOIN user_devices d ON s.device_id = d.id
+            WHERE s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+            ORDER BY s.last_used_at DESC
+        `, [userId]);
+        return rows;
+    }
+
+    /**
+     * Get IDs of a user's active sessions, optionally only those on one device
+     */
+    static async findActiveIds(userId, deviceId = null) {
+        const [rows] = await pool.query(
+            `SELECT id FROM user_sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             ${deviceId ? 'AND device_id = ?' : ''}`,
+            deviceId ? [userId, deviceId] : [userId]
+        );
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Revoke sessions
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    static async revoke(ids, reason) {
+        if (ids.length === 0) return 0;
+
+        const [result] = await pool.query(
+            `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+             WHERE id IN (?) AND revoked_at IS NULL`,
+            [reason, ids]
+        );
+        return result.affectedRows;
+    }
+}
+
+module.exports = SessionModel;
@@ -0,0 +1,85 @@
+const { pool } = require('../config/db');
+
+/**
+ * Socket Event Model - Log of real-time events per recipient, replayed after a reconnect.
+ * An event's ID is its sequence number; each user's events are read in ID order.
+ * Sequence numbers come from the socket_event_seq counter row, which stays locked until the
+ * event is committed - events become visible in sequence order, so a replay never reads
+ * past an event that is still being logged.
+ */
+class SocketEventModel {
+
+    /**
+     * Log an event for a set of recipients
+     * @returns {Promise<number>} - Sequence number of the event
+     */
+    static async create(event, payload, userIds) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [counter] = await connection.query(
+                'UPDATE socket_event_seq SET seq = LAST_INSERT_ID(seq + 1) WHERE id = 1'
+            );
+            const seq = counter.insertId;
+
+            await connection.query(
+                'INSERT INTO socket_events (id, event, payload) VALUES (?, ?, ?)',
+                [seq, event, JSON.stringify(payload)]
+            );
+
+            await connection.query(
+                'INSERT INTO socket_event_recipients (event_id, user_id) VALUES ?',
+                [userIds.map(userId => [seq, userId])]
+            );
+
+            await connection.commit();
+            return seq;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Get a user's events after a sequence number, oldest first
+     */
+    static async findSince(userId, lastSeq, limit = 500) {
+        const [rows] = await pool.query(`
+            SELECT e.id as seq, e.event, e.payload
+            FROM socket_event_recipients r
+            JOIN socket_events e ON r.event_id = e.id
+            WHERE r.user_id = ? AND r.event_id > ?
+            ORDER BY r.event_id ASC
+            LIMIT ?
+        `, [userId, lastSeq, limit]);
+        return rows;
+    }
+
+    /**
+     * Get the sequence number of a user's latest event (0 when there is none)
+     */
+    static async getLatestSeq(userId) {
+        const [rows] = await pool.query(
+            'SELECT MAX(event_id) as seq FROM socket_event_recipients WHERE user_id = ?',
+            [userId]
+        );
+        return rows[0].seq || 0;
+    }
+
+    /**
+     * Delete events older than the retention period
+     */
+    static async deleteOlderThan(hours) {
+        const [result] = await pool.query(
+            'DELETE FROM socket_events WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+            [hours]
+        );
+        return result.affectedRows;
+    }
+}
+
+module.exports = SocketEventModel;
@@ -0,0 +1,69 @@
+const { pool } = require('../config/db');
+
+/**
+ * Sync Model - Read-state and membership changes for offline catch-up
+ * (message changes come from MessageModel.findChangedSince)
+ */
+class SyncModel {
+
+    /**
+     * Current database time as a Unix timestamp (sync positions use database time)
+     */
+    static async getServerTime() {
+        const [rows] = await pool.query('SELECT UNIX_TIMESTAMP() as now');
+        return rows[0].now;
+    }
+
+    /**
+     * Channels whose read position the user moved since a time (e.g. on another device)
+     */
+    static async findChannelReadsSince(userId, sinceTime) {
+        const [rows] = await pool.query(`
+            SELECT channel_id, last_read_at
+            FROM channel_members
+            WHERE user_id = ? AND last_read_at >= FROM_UNIXTIME(?)
+        `, [userId, sinceTime]);
+        return rows;
+    }
+
+    /**
+     * Members who joined the user's groups and channels since a time (including the user)
+     */
+    static async findJoinedSince(userId, sinceTime) {
+        const [groups] = await pool.query(`
+            SELECT 'group' as scope, gm.group_id as scope_id, gm.user_id, gm.role, gm.joined_at
+            FROM group_members gm
+            WHERE gm.joined_at >= FROM_UNIXTIME(?)
+              AND gm.group_id IN (SELECT group_id FROM group_members WHERE user_id = ?)
+        `, [sinceTime, userId]);
+
+        const [channels] = await pool.query(`
+            SELECT 'channel' as scope, cm.channel_id as scope_id, cm.user_id, NULL as role, cm.joined_at
+            FROM channel_members cm
+            WHERE cm.joined_at >= FROM_UNIXTIME(?)
+              AND cm.channel_id IN (SELECT channel_id FROM channel_members WHERE user_id = ?)
+        `, [sinceTime, userId]);
+
+        return [...groups, ...channels];
+    }
+
+    /**
+     * Members removed since a time from the user's groups and channels, and the user's own removals
+     */
+    static async findRemovedSince(userId, sinceTime) {
+        const [rows] = await pool.query(`
+            SELECT r.scope, r.scope_id, r.user_id, r.created_at as removed_at
+            FROM membership_removals r
+            WHERE r.created_at >= FROM_UNIXTIME(?)
+              AND (
+                  r.user_id = ?
+                  OR (r.scope = 'group' AND r.scope_id IN (SELECT group_id FROM group_members WHERE user_id = ?))
+                  OR (r.scope = 'channel' AND r.scope_id IN (SELECT channel_id FROM channel_members WHERE user_id = ?))
+              )
+            ORDER BY r.created_at ASC, r.id ASC
+        `, [sinceTime, userId, userId, userId]);
+        return rows;
+    }
+}
+
+module.exports = SyncModel;
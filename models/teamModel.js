@@ -164,7 +164,7 @@ class TeamModel {
      * Update team
      */
     static async update(id, updateData) {
-        const { name, description, logo } = updateData;
+        const { name, description, logo, require_two_factor } = updateData;
         let sql = 'UPDATE teams SET ';
         const updates = [];
         const params = [];
@@ -181,6 +181,10 @@ class TeamModel {
             updates.push('logo = ?');
             params.push(logo);
         }
+        if (require_two_factor !== undefined) {
+            updates.push('require_two_factor = ?');
+            params.push(!!require_two_factor);
+        }
 
         if (updates.length === 0) return false;
 
@@ -282,7 +286,14 @@ class TeamModel {
                 [teamId, userId]
             );
 
-            // Remove from all team channels
+            // Record channel removals for sync, then remove from all team channels
+            await connection.query(
+                `INSERT INTO membership_removals (scope, scope_id, user_id)
+                 SELECT 'channel', cm.channel_id, cm.user_id FROM channel_members cm
+                 JOIN channels c ON cm.channel_id = c.id
+                 WHERE c.team_id = ? AND cm.user_id = ?`,
+                [teamId, userId]
+            );
             await connection.query(
                 `DELETE cm FROM channel_members cm
                  JOIN channels c ON cm.channel_id = c.id
@@ -350,6 +361,17 @@ class TeamModel {
         return rows.length > 0;
     }
 
+    /**
+     * Get IDs of a team's owners and admins
+     */
+    static async getAdminIds(teamId) {
+        const [rows] = await pool.query(
+            `SELECT user_id FROM team_members WHERE team_id = ? AND role IN ('owner', 'admin')`,
+            [teamId]
+        );
+        return rows.map(row => row.user_id);
+    }
+
     /**
      * Get member count
      */
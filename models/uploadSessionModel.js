@@ -0,0 +1,128 @@
+const { pool } = require('../config/db');
+
+/**
+ * Upload Session Model - Database operations for resumable uploads and their received chunks
+ */
+class UploadSessionModel {
+
+    /**
+     * Create an upload session
+     */
+    static async create(sessionData) {
+        const { id, userId, chatId, fileName, mimeType, totalSize, expiresAt } = sessionData;
+
+        await pool.query(
+            `INSERT INTO upload_sessions (id, user_id, chat_id, file_name, mime_type, total_size, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, userId, chatId, fileName, mimeType, totalSize, expiresAt]
+        );
+        return await this.findById(id);
+    }
+
+    /**
+     * Find upload session by ID
+     */
+    static async findById(id) {
+        const [rows] = await pool.query(
+            'SELECT * FROM upload_sessions WHERE id = ?',
+            [id]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Record a stored chunk, if it continues exactly where the session's received bytes end
+     * @returns {Promise<boolean>} - false when another chunk got there first or the session is no longer active
+     */
+    static async addChunk(id, offset, size, storageKey, expiresAt) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(
+                `UPDATE upload_sessions SET received_size = received_size + ?, expires_at = ?
+                 WHERE id = ? AND status = 'active' AND received_size = ?`,
+                [size, expiresAt, id, offset]
+            );
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return false;
+            }
+
+            await connection.query(
+                'INSERT INTO upload_session_chunks (session_id, chunk_offset, size, storage_key) VALUES (?, ?, ?, ?)',
+                [id, offset, size, storageKey]
+            );
+
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Get a session's chunks in file order
+     */
+    static async getChunks(id) {
+        const [rows] = await pool.query(
+            'SELECT * FROM upload_session_chunks WHERE session_id = ? ORDER BY chunk_offset',
+            [id]
+        );
+        return rows;
+    }
+
+    /**
+     * Move a session from one status to another
+     * @returns {Promise<boolean>} - false when the session wasn't in the expected status
+     */
+    static async setStatus(id, fromStatus, toStatus) {
+        const [result] = await pool.query(
+            'UPDATE upload_sessions SET status = ? WHERE id = ? AND status = ?',
+            [toStatus, id, fromStatus]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Mark a session completed with the file it produced, forgetting its chunks
+     */
+    static async complete(id, fileId) {
+        await pool.query(
+            `UPDATE upload_sessions SET status = 'completed', file_id = ? WHERE id = ?`,
+            [fileId, id]
+        );
+        await pool.query(
+            'DELETE FROM upload_session_chunks WHERE session_id = ?',
+            [id]
+        );
+    }
+
+    /**
+     * Get sessions past their expiry (abandoned, failed or long since completed)
+     */
+    static async findExpired(limit = 100) {
+        const [rows] = await pool.query(
+            'SELECT * FROM upload_sessions WHERE expires_at < CURRENT_TIMESTAMP ORDER BY expires_at LIMIT ?',
+            [limit]
+        );
+        return rows;
+    }
+
+    /**
+     * Delete an upload session and its chunk records
+     */
+    static async delete(id) {
+        const [result] = await pool.query(
+            'DELETE FROM upload_sessions WHERE id = ?',
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = UploadSessionModel;
@@ -198,6 +198,121 @@ class UserModel {
         return result.affectedRows > 0;
     }
 
+    /**
+     * Get presence fields for a user
+     */
+    static async findPresence(id) {
+        const [rows] = await pool.query(
+            `SELECT id, active_status, online_visibility, last_seen_at
+             FROM users WHERE id = ? AND is_active = TRUE`,
+            [id]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Get IDs of users who share a team, group or chat with a user (excluding the user)
+     */
+    static async findRelatedUserIds(id) {
+        const [rows] = await pool.query(
+            `SELECT tm.user_id FROM team_members tm
+             WHERE tm.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+             UNION
+             SELECT gm.user_id FROM group_members gm
+             WHERE gm.group_id IN (SELECT group_id FROM group_members WHERE user_id = ?)
+             UNION
+             SELECT cp.user_id FROM chat_participants cp
+             WHERE cp.chat_id IN (SELECT chat_id FROM chat_participants WHERE user_id = ?)`,
+            [id, id, id]
+        );
+        return rows.map(row => row.user_id).filter(userId => userId !== id);
+    }
+
+    /**
+     * Keep only the users who show their online status
+     */
+    static async filterOnlineVisible(ids) {
+        if (ids.length === 0) return [];
+
+        const [rows] = await pool.query(
+            'SELECT id FROM users WHERE id IN (?) AND online_visibility = TRUE',
+            [ids]
+        );
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Store when the user's last connection closed
+     */
+    static async updateLastSeen(id, lastSeenAt) {
+        await pool.query(
+            'UPDATE users SET last_seen_at = ? WHERE id = ?',
+            [lastSeenAt, id]
+        );
+    }
+
+    /**
+     * Get two-factor fields for a user (for auth only)
+     */
+    static async findTwoFactor(id) {
+        const [rows] = await pool.query(
+            `SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step
+             FROM users WHERE id = ? AND is_active = TRUE`,
+            [id]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Store a new (not yet confirmed) two-factor secret
+     */
+    static async setTwoFactorSecret(id, secret) {
+        await pool.query(
+            `UPDATE users SET two_factor_secret = ?, two_factor_enabled = FALSE, two_factor_last_step = NULL
+             WHERE id = ?`,
+            [secret, id]
+        );
+    }
+
+    /**
+     * Turn two-factor authentication on or off (turning it off forgets the secret)
+     */
+    static async setTwoFactorEnabled(id, enabled) {
+        await pool.query(
+            enabled
+                ? 'UPDATE users SET two_factor_enabled = TRUE WHERE id = ?'
+                : 'UPDATE users SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL WHERE id = ?',
+            [id]
+        );
+    }
+
+    /**
+     * Record the time step of an accepted code
+     * @returns {Promise<boolean>} - false if that step (or a later one) was already used
+     */
+    static async updateTwoFactorLastStep(id, step) {
+        const [result] = await pool.query(
+            `UPDATE users SET two_factor_last_step = ?
+             WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+            [step, id, step]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Check whether any of the user's teams requires two-factor authentication
+     */
+    static async isTwoFactorRequired(id) {
+        const [rows] = await pool.query(
+            `SELECT 1 FROM team_members tm
+             JOIN teams t ON tm.team_id = t.id
+             WHERE tm.user_id = ? AND t.require_two_factor = TRUE AND t.deleted_at IS NULL
+             LIMIT 1`,
+            [id]
+        );
+        return rows.length > 0;
+    }
+
     /**
      * Get user with password (for auth only)
      */
@@ -240,10 +355,6 @@ class UserModel {
             updates.push('online_visibility = ?');
             params.push(online_visibility);
         }
-        if (two_factor_enabled !== undefined) {
-            updates.push('two_factor_enabled = ?');
-            params.push(two_factor_enabled);
-        }
 
         if (updates.length === 0) return false;
 
@@ -11,6 +11,8 @@ router.post('/register/resend-otp', AuthController.resendOtp);
 // Legacy register (backward compatibility)
 router.post('/register', AuthController.register);
 router.post('/login', AuthController.login);
+router.post('/login/2fa', AuthController.verifyTwoFactorLogin);
+router.post('/refresh', AuthController.refresh);
 
 // Forgot Password flow
 router.post('/forgot-password', AuthController.forgotPassword);
@@ -22,4 +24,15 @@ router.post('/logout', authenticate, AuthController.logout);
 router.get('/me', authenticate, AuthController.me);
 router.post('/change-password', authenticate, AuthController.changePassword);
 
+// Two-factor authentication (authenticator app)
+router.post('/2fa/setup', authenticate, AuthController.setupTwoFactor);
+router.post('/2fa/enable', authenticate, AuthController.enableTwoFactor);
+router.post('/2fa/disable', authenticate, AuthController.disableTwoFactor);
+router.post('/2fa/backup-codes', authenticate, AuthController.regenerateBackupCodes);
+
+// Sessions (one per logged-in device)
+router.get('/sessions', authenticate, AuthController.getSessions);
+router.delete('/sessions', authenticate, AuthController.revokeAllSessions);
+router.delete('/sessions/:id', authenticate, AuthController.revokeSession);
+
 module.exports = router;
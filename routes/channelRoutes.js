@@ -24,5 +24,10 @@ router.get('/:id/members', ChannelController.getMembers);
 // Channel messages
 router.post('/:id/messages', ChannelController.sendMessage);
 router.get('/:id/messages', ChannelController.getMessages);
+router.put('/:id/messages/:messageId', ChannelController.editMessage);
+router.delete('/:id/messages/:messageId', ChannelController.deleteMessage);
+router.get('/:id/messages/:messageId/revisions', ChannelController.getMessageRevisions);
+router.get('/:id/messages/:messageId/thread', ChannelController.getThread);
+router.put('/:id/messages/:messageId/thread/follow', ChannelController.followThread);
 
 module.exports = router;
@@ -15,6 +15,9 @@ router.post('/private/send', ChatController.sendPrivateMessage);
 
 // Chat message operations
 router.get('/:chatId/messages', ChatController.getMessages);
+router.put('/:chatId/messages/:messageId', ChatController.editMessage);
+router.delete('/:chatId/messages/:messageId', ChatController.deleteMessage);
+router.get('/:chatId/messages/:messageId/revisions', ChatController.getMessageRevisions);
 router.get('/:chatId/media', ChatController.getChatMedia);
 router.put('/:chatId/seen', ChatController.markAsSeen);
 
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const FileController = require('../controllers/fileController');
+const FileAccessService = require('../services/fileAccessService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Accept a signed URL in place of the Authorization header (for <img>, <audio> and <video> tags)
+ */
+const authenticateOrSignedUrl = (req, res, next) => {
+    if (req.query.signature === undefined) {
+        return authenticate(req, res, next);
+    }
+
+    if (!FileAccessService.verifySignature(parseInt(req.params.id), req.query.expires, req.query.signature)) {
+        return res.status(403).json({
+            success: false,
+            message: 'File link is invalid or has expired'
+        });
+    }
+
+    req.signedUrl = true;
+    next();
+};
+
+// File routes
+router.post('/signed-urls', authenticate, FileController.getSignedUrls);
+router.get('/:id/signed-url', authenticate, FileController.getSignedUrl);
+router.get('/:id', authenticateOrSignedUrl, FileController.download);
+
+module.exports = router;
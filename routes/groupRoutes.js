@@ -26,6 +26,11 @@ router.put('/:id/permissions', GroupController.updatePermissions);
 // Group messages
 router.post('/:id/messages', GroupController.sendMessage);
 router.get('/:id/messages', GroupController.getMessages);
+router.put('/:id/messages/:messageId', GroupController.editMessage);
+router.delete('/:id/messages/:messageId', GroupController.deleteMessage);
+router.get('/:id/messages/:messageId/revisions', GroupController.getMessageRevisions);
+router.get('/:id/messages/:messageId/thread', GroupController.getThread);
+router.put('/:id/messages/:messageId/thread/follow', GroupController.followThread);
 
 // Group media
 router.get('/:groupId/media', GroupController.getGroupMedia);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const MessageController = require('../controllers/messageController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Reactions (any chat, group or channel message)
+router.get('/:messageId/reactions', MessageController.getReactions);
+router.post('/:messageId/reactions', MessageController.addReaction);
+router.delete('/:messageId/reactions/:reaction', MessageController.removeReaction);
+
+// Delivery and read receipts (per recipient)
+router.get('/:messageId/receipts', MessageController.getReceipts);
+
+// Acknowledgement-required messages (acknowledge by adding the "acknowledged" reaction)
+router.get('/:messageId/acknowledgements', MessageController.getAcknowledgements);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const SearchController = require('../controllers/searchController');
+const { authenticate } = require('../middleware/auth');
+const { loadTeamContext } = require('../middleware/teamAuth');
+
+// All routes require authentication; team context scopes channel results
+router.use(authenticate);
+router.use(loadTeamContext);
+
+// Message search
+router.get('/messages', SearchController.searchMessages);
+
+module.exports = router;
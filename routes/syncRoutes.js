@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const SyncController = require('../controllers/syncController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Offline catch-up
+router.get('/', SyncController.sync);
+
+module.exports = router;
@@ -12,4 +12,11 @@ router.post('/user-profile', uploadUserProfile.single('file'), UploadController.
 router.post('/chat-media', uploadChatMedia.single('file'), UploadController.uploadChatMedia);
 router.post('/group-image', uploadGroupImage.single('file'), UploadController.uploadGroupImage);
 
+// Resumable chat media uploads
+router.post('/sessions', UploadController.initiateSession);
+router.get('/sessions/:id', UploadController.getSession);
+router.put('/sessions/:id/chunks', UploadController.uploadChunk);
+router.post('/sessions/:id/complete', UploadController.completeSession);
+router.delete('/sessions/:id', UploadController.abortSession);
+
 module.exports = router;
@@ -21,6 +21,7 @@ router.get('/search', UserController.search);
 // User CRUD
 router.get('/', UserController.getAll);
 router.get('/:id', UserController.getById);
+router.get('/:id/presence', UserController.getPresence);
 router.put('/:id', UserController.update);
 router.put('/:id/status', UserController.updateStatus);
 router.delete('/:id', UserController.delete);
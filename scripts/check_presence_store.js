@@ -0,0 +1,127 @@
+/**
+ * Check the presence stores (services/presenceStore.js) behave the same: the in-memory store
+ * always, and the Redis store against REDIS_URL when it is set.
+ *
+ * Usage:
+ *   REDIS_URL=redis://localhost:6379 npm run presence:check
+ *
+ * Uses user IDs from 900000001 up and removes their keys afterwards, but point REDIS_URL at a
+ * local or scratch server rather than the one live API instances share.
+ * Exits with 1 when a check fails.
+ */
+require('dotenv').config();
+const assert = require('assert');
+const { createClient } = require('redis');
+const { MemoryPresenceStore, RedisPresenceStore } = require('../services/presenceStore');
+
+const USER = 900000001;
+const OTHER_USER = 900000002;
+const STALE_USER = 900000003;
+
+const checks = [
+  ['counts each connection of a user', async (store) => {
+    assert.strictEqual(await store.addConnection(USER, 'socket-a'), 1);
+    assert.strictEqual(await store.addConnection(USER, 'socket-b'), 2);
+    assert.strictEqual(await store.addConnection(OTHER_USER, 'socket-c'), 1);
+    assert.strictEqual(await store.isOnline(USER), true);
+
+    const online = await store.getOnlineUserIds();
+    assert.ok(online.includes(USER) && online.includes(OTHER_USER));
+  }],
+
+  ['goes offline when the last connection closes', async (store) => {
+    assert.strictEqual(await store.removeConnection(USER, 'socket-a'), 1);
+    assert.strictEqual(await store.isOnline(USER), true);
+    assert.strictEqual(await store.removeConnection(USER, 'socket-b'), 0);
+    assert.strictEqual(await store.isOnline(USER), false);
+    assert.strictEqual(await store.removeConnection(OTHER_USER, 'socket-c'), 0);
+    assert.ok(!(await store.getOnlineUserIds()).includes(USER));
+  }],
+
+  ['stays online while an offline announcement is pending', async (store) => {
+    const expiresAt = Date.now() + 60 * 1000;
+    await store.markPendingOffline(USER, expiresAt);
+    assert.strictEqual(await store.isOnline(USER), true);
+    assert.ok((await store.getOnlineUserIds()).includes(USER));
+
+    assert.strictEqual(await store.finishPendingOffline(USER, expiresAt - 1), false);
+    assert.strictEqual(await store.finishPendingOffline(USER, expiresAt), true);
+    assert.strictEqual(await store.isOnline(USER), false);
+  }],
+
+  ['cancels the announcement on reconnect', async (store) => {
+    const expiresAt = Date.now() + 60 * 1000;
+    await store.markPendingOffline(USER, expiresAt);
+    await store.addConnection(USER, 'socket-d');
+    assert.strictEqual(await store.finishPendingOffline(USER, expiresAt), false);
+    assert.strictEqual(await store.clearPendingOffline(USER), true);
+    assert.strictEqual(await store.clearPendingOffline(USER), false);
+
+    await store.refreshConnections([{ userId: USER, socketId: 'socket-d' }]);
+    assert.strictEqual(await store.isOnline(USER), true);
+    assert.strictEqual(await store.removeConnection(USER, 'socket-d'), 0);
+  }],
+
+  ['ignores connections left by a crashed instance', async (store, client) => {
+    if (!client) return 'skipped (in-memory entries never expire)';
+
+    const expired = Date.now() - 1000;
+    await client.zAdd(store.userKey(STALE_USER), { score: expired, value: 'socket-gone' });
+    await client.zAdd('presence:online', { score: expired, value: String(STALE_USER) });
+    assert.strictEqual(await store.isOnline(STALE_USER), false);
+    assert.ok(!(await store.getOnlineUserIds()).includes(STALE_USER));
+    assert.strictEqual(await store.addConnection(STALE_USER, 'socket-e'), 1);
+    assert.strictEqual(await store.removeConnection(STALE_USER, 'socket-e'), 0);
+  }]
+];
+
+const run = async (name, store, client = null) => {
+  let failed = 0;
+  console.log(`${name} store:`);
+
+  for (const [description, check] of checks) {
+    try {
+      const note = await check(store, client);
+      console.log(`  ✅ ${description}${note ? ` - ${note}` : ''}`);
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ ${description}: ${error.message}`);
+    }
+  }
+  return failed;
+};
+
+const cleanUp = async (store, client) => {
+  const ids = [USER, OTHER_USER, STALE_USER];
+  await client.del(ids.map(id => store.userKey(id)));
+  await client.zRem('presence:online', ids.map(String));
+  await client.zRem('presence:pending', ids.map(String));
+};
+
+(async () => {
+  let failed = await run('Memory', new MemoryPresenceStore());
+
+  if (!process.env.REDIS_URL) {
+    console.warn('⚠️ REDIS_URL not set - Redis store not checked');
+  } else {
+    // Fail instead of retrying when the server can't be reached
+    const client = createClient({ url: process.env.REDIS_URL, socket: { reconnectStrategy: false } });
+    client.on('error', () => {});
+
+    try {
+      await client.connect();
+      const store = new RedisPresenceStore(client);
+      await cleanUp(store, client);
+      failed += await run(`Redis (${process.env.REDIS_URL})`, store, client);
+      await cleanUp(store, client);
+    } catch (error) {
+      failed++;
+      console.error('Redis check failed:', error.message || error);
+    } finally {
+      if (client.isOpen) await client.quit();
+    }
+  }
+
+  console.log(failed ? `${failed} check(s) failed` : 'All checks passed');
+  process.exit(failed ? 1 : 0);
+})();
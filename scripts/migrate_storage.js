@@ -0,0 +1,85 @@
+/**
+ * Copy uploaded files from one storage backend to another (see config/storage.js).
+ * Stored paths don't depend on the backend, so no database rows change - switch
+ * STORAGE_DRIVER once the copy is done.
+ *
+ * Usage:
+ *   npm run storage:migrate -- --from local --to s3 [--prefix chats/] [--delete-source] [--dry-run]
+ *
+ *   --prefix         only files under this folder
+ *   --delete-source  delete each file from the source once its copy is verified (a move)
+ *   --dry-run        list what would be copied without copying
+ *
+ * Files already in the target with the same size are skipped, so an interrupted run can be repeated.
+ */
+require('dotenv').config();
+const mime = require('mime-types');
+const { createStorage } = require('../config/storage');
+
+const parseArgs = (argv) => {
+  const args = { prefix: '', deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--prefix': args.prefix = argv[++i] || ''; break;
+      case '--delete-source': args.deleteSource = true; break;
+      case '--dry-run': args.dryRun = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.from || !args.to) throw new Error('--from and --to are required (local or s3)');
+  if (args.from === args.to) throw new Error('--from and --to must be different backends');
+  return args;
+};
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const source = createStorage(args.from);
+    const target = createStorage(args.to);
+    const counts = { copied: 0, skipped: 0, failed: 0 };
+
+    console.log(`Copying uploads from ${source.name} to ${target.name}${args.dryRun ? ' (dry run)' : ''}...`);
+
+    for await (const key of source.list(args.prefix)) {
+      try {
+        const sourceStat = await source.stat(key);
+        if (!sourceStat) continue;
+
+        const targetStat = await target.stat(key);
+        if (targetStat && targetStat.size === sourceStat.size) {
+          counts.skipped++;
+        } else if (args.dryRun) {
+          console.log(`  would copy ${key} (${sourceStat.size} bytes)`);
+          counts.copied++;
+          continue;
+        } else {
+          await target.put(key, await source.createReadStream(key), {
+            contentType: sourceStat.contentType || mime.lookup(key) || undefined
+          });
+
+          const copied = await target.stat(key);
+          if (!copied || copied.size !== sourceStat.size) {
+            throw new Error(`size mismatch after copy (${copied ? copied.size : 'missing'} vs ${sourceStat.size})`);
+          }
+          console.log(`  copied ${key}`);
+          counts.copied++;
+        }
+
+        if (args.deleteSource && !args.dryRun) {
+          await source.delete(key);
+        }
+      } catch (e) {
+        console.error(`  failed ${key}: ${e.message}`);
+        counts.failed++;
+      }
+    }
+
+    console.log(`Done: ${counts.copied} copied, ${counts.skipped} already present, ${counts.failed} failed.`);
+    if (counts.failed > 0) process.exit(1);
+  } catch (e) {
+    console.error('Storage migration failed:', e.message);
+    process.exit(1);
+  }
+})();
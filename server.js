@@ -2,12 +2,18 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const { Server } = require('socket.io');
-const path = require('path');
 require('dotenv').config();
 
 const { testConnection, initializeDatabase } = require('./config/db');
-const { initializeSocket } = require('./services/socketHandler');
+const { initializeSocket, enableClustering } = require('./services/socketHandler');
 const { initializeEmail } = require('./config/email');
+const { initializeRedis } = require('./config/redis');
+const { startAckEscalation } = require('./services/ackEscalationService');
+const EventLogService = require('./services/eventLogService');
+const AuthThrottleService = require('./services/authThrottleService');
+const UploadSessionService = require('./services/uploadSessionService');
+const MalwareScanService = require('./services/malwareScanService');
+const CallService = require('./services/callService');
 const OtpModel = require('./models/otpModel');
 
 // Import routes
@@ -19,6 +25,11 @@ const groupRoutes = require('./routes/groupRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const FileController = require('./controllers/fileController');
 
 // SaaS Routes
 const teamRoutes = require('./routes/teamRoutes');
@@ -30,6 +41,13 @@ const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer or reverse proxy, trust its X-Forwarded-For so req.ip is the client
+// (per-IP login throttling and session IPs depend on it), e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Socket.IO setup
 const io = new Server(server, {
     cors: {
@@ -59,8 +77,13 @@ app.options('*', cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static files from uploads folder
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Profile pictures and group covers are public; chat files are downloaded through /api/files/:id,
+// which checks the caller can see the conversation. SERVE_PUBLIC_UPLOADS=true restores the old
+// unauthenticated access to every upload (only for clients that haven't moved over yet).
+if (process.env.SERVE_PUBLIC_UPLOADS === 'true') {
+    console.warn('⚠️ SERVE_PUBLIC_UPLOADS is on - every uploaded file is downloadable without logging in');
+}
+app.get('/uploads/*', FileController.servePublicUpload);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -77,6 +100,10 @@ app.use('/api/groups', groupRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/files', fileRoutes);
 
 // SaaS Routes
 app.use('/api/teams', teamRoutes);
@@ -103,14 +130,24 @@ app.get('/', (req, res) => {
             auth: {
                 register: 'POST /api/auth/register',
                 login: 'POST /api/auth/login',
+                loginTwoFactor: 'POST /api/auth/login/2fa',
+                refresh: 'POST /api/auth/refresh',
                 logout: 'POST /api/auth/logout',
                 me: 'GET /api/auth/me',
-                changePassword: 'POST /api/auth/change-password'
+                changePassword: 'POST /api/auth/change-password',
+                setupTwoFactor: 'POST /api/auth/2fa/setup',
+                enableTwoFactor: 'POST /api/auth/2fa/enable',
+                disableTwoFactor: 'POST /api/auth/2fa/disable',
+                regenerateBackupCodes: 'POST /api/auth/2fa/backup-codes',
+                getSessions: 'GET /api/auth/sessions',
+                revokeSession: 'DELETE /api/auth/sessions/:id',
+                revokeAllSessions: 'DELETE /api/auth/sessions?includeCurrent='
             },
             users: {
                 getAll: 'GET /api/users',
                 search: 'GET /api/users/search?q=',
                 getById: 'GET /api/users/:id',
+                getPresence: 'GET /api/users/:id/presence',
                 update: 'PUT /api/users/:id',
                 updateStatus: 'PUT /api/users/:id/status',
                 delete: 'DELETE /api/users/:id'
@@ -125,7 +162,10 @@ app.get('/', (req, res) => {
                 getAll: 'GET /api/chats',
                 getPrivate: 'GET /api/chats/private/:userId',
                 sendPrivate: 'POST /api/chats/private/send',
-                getMessages: 'GET /api/chats/:chatId/messages',
+                getMessages: 'GET /api/chats/:chatId/messages?before=&after=',
+                editMessage: 'PUT /api/chats/:chatId/messages/:messageId',
+                deleteMessage: 'DELETE /api/chats/:chatId/messages/:messageId?scope=me|everyone',
+                getMessageRevisions: 'GET /api/chats/:chatId/messages/:messageId/revisions',
                 getMedia: 'GET /api/chats/:chatId/media',
                 markSeen: 'PUT /api/chats/:chatId/seen'
             },
@@ -141,15 +181,44 @@ app.get('/', (req, res) => {
                 getPermissions: 'GET /api/groups/:id/permissions',
                 updatePermissions: 'PUT /api/groups/:id/permissions',
                 sendMessage: 'POST /api/groups/:id/messages',
+                getMessages: 'GET /api/groups/:id/messages?before=&after=',
+                editMessage: 'PUT /api/groups/:id/messages/:messageId',
+                deleteMessage: 'DELETE /api/groups/:id/messages/:messageId?scope=me|everyone',
+                getMessageRevisions: 'GET /api/groups/:id/messages/:messageId/revisions',
+                getThread: 'GET /api/groups/:id/messages/:messageId/thread',
+                followThread: 'PUT /api/groups/:id/messages/:messageId/thread/follow',
                 getMedia: 'GET /api/groups/:groupId/media'
             },
+            messages: {
+                getReactions: 'GET /api/messages/:messageId/reactions',
+                addReaction: 'POST /api/messages/:messageId/reactions',
+                removeReaction: 'DELETE /api/messages/:messageId/reactions/:reaction',
+                getReceipts: 'GET /api/messages/:messageId/receipts',
+                getAcknowledgements: 'GET /api/messages/:messageId/acknowledgements'
+            },
+            search: {
+                messages: 'GET /api/search/messages?q=&senderId=&from=&to=&messageType=&chatId=&groupId=&cursor='
+            },
+            sync: {
+                changesSince: 'GET /api/sync?since=<cursor>'
+            },
             upload: {
                 userProfile: 'POST /api/upload/user-profile',
                 chatMedia: 'POST /api/upload/chat-media',
-                groupImage: 'POST /api/upload/group-image'
+                groupImage: 'POST /api/upload/group-image',
+                startResumable: 'POST /api/upload/sessions',
+                uploadChunk: 'PUT /api/upload/sessions/:id/chunks?offset=',
+                getResumableProgress: 'GET /api/upload/sessions/:id',
+                completeResumable: 'POST /api/upload/sessions/:id/complete',
+                cancelResumable: 'DELETE /api/upload/sessions/:id'
+            },
+            files: {
+                download: 'GET /api/files/:id?variant=thumbnail|preview (Bearer token or ?expires=&signature=, supports Range)',
+                getSignedUrl: 'GET /api/files/:id/signed-url',
+                getSignedUrls: 'POST /api/files/signed-urls'
             },
             notifications: {
-                getAll: 'GET /api/notifications',
+                getAll: 'GET /api/notifications?priority=routine|important|urgent',
                 markAsRead: 'PUT /api/notifications/:id/read',
                 markAllAsRead: 'PUT /api/notifications/read-all',
                 delete: 'DELETE /api/notifications/:id'
@@ -162,14 +231,35 @@ app.get('/', (req, res) => {
                 events: [
                     'send_message',
                     'receive_message',
+                    'channel_message',
                     'typing',
                     'stop_typing',
                     'message_seen',
+                    'message_edited',
+                    'message_deleted',
+                    'thread_updated',
+                    'reaction_added',
+                    'reaction_removed',
+                    'acknowledgement_updated',
                     'user_online',
                     'user_offline',
                     'join_group',
                     'leave_group',
-                    'notification'
+                    'notification',
+                    'file_scanned',
+                    'call_invite',
+                    'call_incoming',
+                    'call_ringing',
+                    'call_accept',
+                    'call_accepted',
+                    'call_decline',
+                    'call_declined',
+                    'call_hangup',
+                    'call_participant_left',
+                    'call_ended',
+                    'call_signal',
+                    'replay_complete',
+                    'error'
                 ]
             },
             health: 'GET /health'
@@ -197,6 +287,14 @@ app.use((err, req, res, next) => {
         });
     }
 
+    // Uploads rejected while being processed (e.g. an image that can't be decoded)
+    if (err.status === 400) {
+        return res.status(400).json({
+            success: false,
+            message: err.message
+        });
+    }
+
     res.status(500).json({
         success: false,
         message: err.message || 'Internal server error'
@@ -219,9 +317,33 @@ const startServer = async () => {
         // Initialize email transporter
         initializeEmail();
 
+        // Share socket rooms and presence across instances when Redis is configured
+        const redis = await initializeRedis();
+        if (redis) {
+            enableClustering(io, redis);
+        }
+
         // Test database connection
         await testConnection();
 
+        // Re-notify and escalate overdue acknowledgement-required messages
+        startAckEscalation(io);
+
+        // Delete socket events past the replay retention period
+        EventLogService.startPruning();
+
+        // Forget stale failed-login and OTP attempt counters
+        AuthThrottleService.startCleanup();
+
+        // Remove abandoned resumable uploads and their staged chunks
+        UploadSessionService.startCleanup();
+
+        // End calls left ringing or active by a restart or a crashed instance
+        CallService.startReconciliation(io);
+
+        // Scan uploaded chat files for malware (and retry scans left pending)
+        MalwareScanService.start(io);
+
         server.listen(PORT, () => {
             console.log(`\n🚀 ClinxChat API is running on http://localhost:${PORT}`);
             console.log(`📋 API Documentation: http://localhost:${PORT}/`);
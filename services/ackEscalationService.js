@@ -0,0 +1,115 @@
+const MessageAckModel = require('../models/messageAckModel');
+const NotificationModel = require('../models/notificationModel');
+const GroupModel = require('../models/groupModel');
+const MessageService = require('./messageService');
+const EventLogService = require('./eventLogService');
+
+// How often overdue acknowledgements are checked
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.ACK_CHECK_INTERVAL_SECONDS) || 60;
+
+// Minutes between the re-notification and escalation to the fallback user / group admins
+const ESCALATION_GRACE_MINUTES = process.env.ACK_ESCALATION_GRACE_MINUTES !== undefined
+    ? parseInt(process.env.ACK_ESCALATION_GRACE_MINUTES)
+    : 15;
+
+let timer = null;
+let running = false;
+
+/**
+ * Create a notification and push it to the user's socket room
+ */
+const notify = async (io, userId, notificationData) => {
+    const notification = await NotificationModel.create({ userId, ...notificationData });
+    await EventLogService.emitToUsers(io, [userId], 'notification', notification);
+};
+
+/**
+ * Who an unacknowledged message escalates to: the named fallback user,
+ * otherwise the group's admins, otherwise back to the sender
+ */
+const getEscalationTargets = async (row) => {
+    if (row.fallback_user_id) return [row.fallback_user_id];
+
+    if (row.group_id) {
+        const admins = (await GroupModel.getMembers(row.group_id))
+            .filter(member => member.role === 'admin' && member.id !== row.user_id)
+            .map(member => member.id);
+        if (admins.length > 0) return admins;
+    }
+
+    return [row.sender_id];
+};
+
+/**
+ * Re-notify recipients past the deadline, then escalate those who still have not acknowledged
+ */
+const processOverdue = async (io) => {
+    if (running) return;
+    running = true;
+
+    try {
+        const changed = new Map();
+
+        for (const row of await MessageAckModel.findDueReminders()) {
+            if (!(await MessageAckModel.markReminded(row.message_id, row.user_id))) continue;
+
+            await notify(io, row.user_id, {
+                type: 'ack_reminder',
+                title: 'Acknowledgement Overdue',
+                message: `${row.sender_name} is waiting for you to acknowledge their message`,
+                data: { messageId: row.message_id, chatId: row.chat_id, groupId: row.group_id }
+            });
+            changed.set(row.message_id, row.sender_id);
+        }
+
+        for (const row of await MessageAckModel.findDueEscalations(ESCALATION_GRACE_MINUTES)) {
+            if (!(await MessageAckModel.markEscalated(row.message_id, row.user_id))) continue;
+
+            for (const targetId of await getEscalationTargets(row)) {
+                await notify(io, targetId, {
+                    type: 'ack_escalation',
+                    title: 'Unacknowledged Message',
+                    message: `${row.recipient_name} has not acknowledged a message from ${row.sender_name}`,
+                    data: {
+                        messageId: row.message_id,
+                        chatId: row.chat_id,
+                        groupId: row.group_id,
+                        recipientId: row.user_id
+                    }
+                });
+            }
+            changed.set(row.message_id, row.sender_id);
+        }
+
+        for (const [messageId, senderId] of changed) {
+            await MessageService.emitAckStatus(io, messageId, senderId);
+        }
+    } catch (error) {
+        console.error('Acknowledgement escalation error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start checking for overdue acknowledgements
+ */
+const startAckEscalation = (io) => {
+    if (timer) return;
+    timer = setInterval(() => processOverdue(io), CHECK_INTERVAL_SECONDS * 1000);
+    timer.unref();
+};
+
+/**
+ * Stop checking for overdue acknowledgements
+ */
+const stopAckEscalation = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    startAckEscalation,
+    stopAckEscalation,
+    processOverdue
+};
@@ -0,0 +1,159 @@
+const AuthThrottleModel = require('../models/authThrottleModel');
+const UserModel = require('../models/userModel');
+const { sendAccountLockedEmail } = require('../config/email');
+
+// Failures allowed before each further attempt has to wait, for an account and for a client IP
+// (an IP may be a shared NAT with many users behind it, so it gets far more)
+const FREE_ATTEMPTS = parseInt(process.env.AUTH_THROTTLE_FREE_ATTEMPTS) || 3;
+const IP_FREE_ATTEMPTS = parseInt(process.env.AUTH_IP_THROTTLE_FREE_ATTEMPTS) || 25;
+
+// Longest wait between attempts (the wait doubles with every failure)
+const MAX_DELAY_SECONDS = parseInt(process.env.AUTH_THROTTLE_MAX_DELAY_SECONDS) || 60;
+
+// Failures are counted until none has happened for this long
+const WINDOW_MINUTES = parseInt(process.env.AUTH_THROTTLE_WINDOW_MINUTES) || 15;
+
+// Failures that lock an account, and failures that block a client IP (which may try many accounts)
+const ACCOUNT_LOCKOUT_THRESHOLD = parseInt(process.env.AUTH_LOCKOUT_THRESHOLD) || 10;
+const IP_LOCKOUT_THRESHOLD = parseInt(process.env.AUTH_IP_LOCKOUT_THRESHOLD) || 50;
+
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+
+const CLEANUP_INTERVAL_MINUTES = 60;
+
+let cleanupTimer = null;
+
+/**
+ * Auth Throttle Service - Brute-force protection for login and one-time codes.
+ *
+ * Failures are counted per action for both the client IP and the account (email) tried.
+ * After a few failures of an account (many more for an IP) every further attempt must
+ * wait, twice as long each time, and
+ * enough failures lock the account (or block the IP) for a while - even the right
+ * password is refused until the lock ends. Locked accounts get a security email.
+ *
+ * Actions:
+ *   login     password and two-factor steps of a login
+ *   otp       verifying an emailed code
+ *   otp_send  sending an emailed code (every send counts)
+ */
+class AuthThrottleService {
+
+    /**
+     * Throttle keys of an attempt
+     */
+    static keys(action, ipAddress, account) {
+        return {
+            ip: `${action}:ip:${ipAddress || 'unknown'}`,
+            account: account ? `${action}:account:${String(account).trim().toLowerCase()}` : null
+        };
+    }
+
+    /**
+     * Check whether an attempt may go ahead
+     * @returns {Promise<Object|null>} - null when allowed, otherwise { retryAfter (seconds), locked }
+     */
+    static async check(action, ipAddress, account) {
+        const { ip, account: accountKey } = this.keys(action, ipAddress, account);
+        const rows = await AuthThrottleModel.findByKeys([ip, accountKey].filter(Boolean));
+        const now = Date.now();
+
+        let result = null;
+        for (const row of rows) {
+            const freeAttempts = row.throttle_key === ip ? IP_FREE_ATTEMPTS : FREE_ATTEMPTS;
+            let waitMs = 0;
+            let locked = false;
+
+            if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+                waitMs = new Date(row.locked_until).getTime() - now;
+                locked = true;
+            } else if (row.failures >= freeAttempts && row.last_failure_at) {
+                const delaySeconds = Math.min(2 ** (row.failures - freeAttempts + 1), MAX_DELAY_SECONDS);
+                waitMs = new Date(row.last_failure_at).getTime() + delaySeconds * 1000 - now;
+            }
+
+            if (waitMs > 0 && (!result || waitMs > result.retryAfter * 1000)) {
+                result = { retryAfter: Math.ceil(waitMs / 1000), locked };
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Count a failed attempt, locking the account or IP once it reaches its threshold
+     */
+    static async recordFailure(action, ipAddress, account) {
+        const { ip, account: accountKey } = this.keys(action, ipAddress, account);
+
+        const ipFailures = await AuthThrottleModel.recordFailure(ip, WINDOW_MINUTES);
+        if (ipFailures >= IP_LOCKOUT_THRESHOLD) {
+            await AuthThrottleModel.lock(ip, LOCKOUT_MINUTES);
+            console.warn(`🚫 Blocked ${ipAddress} for ${LOCKOUT_MINUTES} minutes after ${ipFailures} failed ${action} attempts`);
+        }
+
+        if (!accountKey) return;
+
+        const accountFailures = await AuthThrottleModel.recordFailure(accountKey, WINDOW_MINUTES);
+        if (accountFailures >= ACCOUNT_LOCKOUT_THRESHOLD) {
+            const lockedUntil = await AuthThrottleModel.lock(accountKey, LOCKOUT_MINUTES);
+            console.warn(`🚫 Locked ${action} for ${account} until ${new Date(lockedUntil).toISOString()} after ${accountFailures} failures`);
+
+            if (action === 'login') {
+                this.notifyAccountLocked(account, lockedUntil, ipAddress);
+            }
+        }
+    }
+
+    /**
+     * Forget an account's failures after a successful attempt (the IP's count is kept,
+     * so one valid account doesn't reset an attacker's budget)
+     */
+    static async recordSuccess(action, account) {
+        const { account: accountKey } = this.keys(action, null, account);
+        if (accountKey) {
+            await AuthThrottleModel.clear(accountKey);
+        }
+    }
+
+    /**
+     * Email the account owner that their account was locked (nothing is sent for unknown emails)
+     */
+    static async notifyAccountLocked(email, lockedUntil, ipAddress) {
+        try {
+            const user = await UserModel.findByEmail(email);
+            if (user) {
+                await sendAccountLockedEmail(user.email, { lockedUntil, ipAddress });
+            }
+        } catch (e) {
+            console.error('Failed to send account locked email:', e.message || e);
+        }
+    }
+
+    /**
+     * Start deleting throttle rows that no longer matter
+     */
+    static startCleanup() {
+        if (cleanupTimer) return;
+
+        cleanupTimer = setInterval(async () => {
+            try {
+                await AuthThrottleModel.deleteStale(WINDOW_MINUTES);
+            } catch (e) {
+                console.error('Failed to clean up auth throttles:', e.message || e);
+            }
+        }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+        cleanupTimer.unref();
+    }
+
+    /**
+     * Stop cleanup (for graceful shutdown)
+     */
+    static stopCleanup() {
+        if (cleanupTimer) {
+            clearInterval(cleanupTimer);
+            cleanupTimer = null;
+        }
+    }
+}
+
+module.exports = AuthThrottleService;
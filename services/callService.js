@@ -0,0 +1,420 @@
+const ChatModel = require('../models/chatModel');
+const GroupModel = require('../models/groupModel');
+const CallModel = require('../models/callModel');
+const MessageModel = require('../models/messageModel');
+const NotificationService = require('./notificationService');
+const EventLogService = require('./eventLogService');
+
+// Seconds an unanswered call rings before it is recorded as missed
+const RING_TIMEOUT_SECONDS = parseInt(process.env.CALL_RING_TIMEOUT_SECONDS) || 45;
+
+// Largest call, including the caller (group calls are a full mesh of peer connections)
+const MAX_PARTICIPANTS = parseInt(process.env.CALL_MAX_PARTICIPANTS) || 8;
+
+const CALL_TYPES = ['voice', 'video'];
+
+// Ring timers of calls started on this instance (call ID -> timeout)
+const ringTimers = new Map();
+
+// How often ongoing calls are checked against the sockets still connected
+const RECONCILE_INTERVAL_SECONDS = 60;
+
+let reconcileTimer = null;
+
+/**
+ * Build a failed call result
+ */
+const fail = (code, message) => ({ error: { code, message } });
+
+/**
+ * Call Service - WebRTC call signaling for private chats and small groups.
+ * The server only relays signaling (SDP offers/answers and ICE candidates) between participants'
+ * sockets and records each call's participants, duration and outcome; media flows peer to peer.
+ *
+ * Methods resolve to a result object or { error: { code, message } }.
+ */
+class CallService {
+
+    /**
+     * Emit an event to every device of the call's participants
+     */
+    static async emitToParticipants(io, callId, event, payload) {
+        const participants = await CallModel.getParticipants(callId);
+        io.to(participants.map(participant => `user:${participant.user_id}`)).emit(event, payload);
+    }
+
+    /**
+     * Start a call and ring the other members of the chat
+     * @param {Object} io - Socket.IO server
+     * @param {Object} user - Calling user
+     * @param {string} socketId - Caller's socket (signaling for the caller goes here)
+     * @param {Object} data - { chatId | groupId | receiverId, callType }
+     */
+    static async invite(io, user, socketId, data) {
+        const { chatId, groupId, receiverId } = data;
+        const callType = data.callType || 'voice';
+        if (!CALL_TYPES.includes(callType)) {
+            return fail('VALIDATION_ERROR', 'callType must be voice or video');
+        }
+
+        let chat = null;
+        if (groupId) {
+            chat = await ChatModel.findByGroupId(groupId);
+        } else if (chatId) {
+            chat = await ChatModel.findById(chatId);
+        } else if (receiverId) {
+            const existing = await ChatModel.findPrivateChat(user.id, receiverId);
+            chat = existing ? await ChatModel.findById(existing.id) : null;
+        } else {
+            return fail('VALIDATION_ERROR', 'chatId, groupId or receiverId is required');
+        }
+        if (!chat || (chat.type !== 'private' && !chat.group_id)) {
+            return fail('NOT_FOUND', 'Chat not found');
+        }
+
+        // Everyone else in the conversation is rung
+        let inviteeIds;
+        if (chat.group_id) {
+            if (!(await GroupModel.isMember(chat.group_id, user.id))) {
+                return fail('NOT_A_MEMBER', 'You are not a member of this group');
+            }
+            inviteeIds = (await GroupModel.getMembers(chat.group_id)).map(member => member.id);
+        } else {
+            if (!(await ChatModel.isParticipant(chat.id, user.id))) {
+                return fail('FORBIDDEN', 'You do not have access to this chat');
+            }
+            inviteeIds = (await ChatModel.getParticipants(chat.id)).map(participant => participant.id);
+        }
+        inviteeIds = inviteeIds.filter(id => id !== user.id);
+
+        if (inviteeIds.length === 0) {
+            return fail('VALIDATION_ERROR', 'There is nobody else to call in this chat');
+        }
+        if (inviteeIds.length + 1 > MAX_PARTICIPANTS) {
+            return fail('CALL_TOO_LARGE', `Calls are limited to ${MAX_PARTICIPANTS} participants`);
+        }
+
+        // One call per chat - clients should offer to join the ongoing one
+        const ongoing = await CallModel.findOngoingByChatId(chat.id);
+        if (ongoing) {
+            return { ...fail('CALL_IN_PROGRESS', 'A call is already in progress in this chat'), callId: ongoing.id };
+        }
+
+        const call = await CallModel.create({
+            chatId: chat.id,
+            groupId: chat.group_id,
+            initiatorId: user.id,
+            callType,
+            socketId,
+            inviteeIds
+        });
+
+        io.to(inviteeIds.map(id => `user:${id}`)).emit('call_incoming', {
+            callId: call.id,
+            chatId: chat.id,
+            groupId: chat.group_id || undefined,
+            callType,
+            from: { id: user.id, name: user.name, profile_picture: user.profile_picture },
+            participantIds: [user.id, ...inviteeIds]
+        });
+
+        const timer = setTimeout(() => {
+            ringTimers.delete(call.id);
+            this.finish(io, call.id, 'missed').catch((e) => {
+                console.error('Failed to end unanswered call:', e.message || e);
+            });
+        }, RING_TIMEOUT_SECONDS * 1000);
+        timer.unref();
+        ringTimers.set(call.id, timer);
+
+        return { call };
+    }
+
+    /**
+     * A callee's device is ringing - let the caller know
+     */
+    static async ringing(io, user, callId) {
+        const call = await CallModel.findById(callId);
+        const participant = call ? await CallModel.getParticipant(call.id, user.id) : null;
+        if (!participant) {
+            return fail('NOT_FOUND', 'Call not found');
+        }
+        if (call.status !== 'ringing' && call.status !== 'active') {
+            return fail('CALL_ENDED', 'This call has ended');
+        }
+
+        io.to(`user:${call.initiator_id}`).emit('call_ringing', { callId: call.id, userId: user.id });
+        return { call };
+    }
+
+    /**
+     * Answer a call (or rejoin an ongoing one) from this socket
+     */
+    static async accept(io, user, socketId, callId) {
+        const call = await CallModel.findById(callId);
+        const participant = call ? await CallModel.getParticipant(call.id, user.id) : null;
+        if (!participant) {
+            return fail('NOT_FOUND', 'Call not found');
+        }
+        if (call.status !== 'ringing' && call.status !== 'active') {
+            return fail('CALL_ENDED', 'This call has ended');
+        }
+        if (participant.status === 'joined') {
+            return fail('ALREADY_JOINED', 'You have already joined this call');
+        }
+
+        await CallModel.join(call.id, user.id, socketId);
+        if (await CallModel.markAnswered(call.id)) {
+            this.clearRingTimer(call.id);
+        }
+
+        // Other devices of the same user stop ringing; participants already in the call send offers
+        await this.emitToParticipants(io, call.id, 'call_accepted', {
+            callId: call.id,
+            userId: user.id,
+            name: user.name
+        });
+
+        return { call: await CallModel.findById(call.id), participants: await CallModel.getParticipants(call.id) };
+    }
+
+    /**
+     * Decline a ringing call; a call nobody can still answer ends as declined
+     */
+    static async decline(io, user, callId) {
+        const call = await CallModel.findById(callId);
+        const participant = call ? await CallModel.getParticipant(call.id, user.id) : null;
+        if (!participant) {
+            return fail('NOT_FOUND', 'Call not found');
+        }
+        if (participant.status !== 'invited') {
+            return fail('VALIDATION_ERROR', 'Only a ringing call can be declined');
+        }
+        if (call.status !== 'ringing' && call.status !== 'active') {
+            return fail('CALL_ENDED', 'This call has ended');
+        }
+
+        await CallModel.setParticipantStatus(call.id, user.id, 'declined');
+        await this.emitToParticipants(io, call.id, 'call_declined', { callId: call.id, userId: user.id });
+
+        if (call.status === 'ringing') {
+            const participants = await CallModel.getParticipants(call.id);
+            if (!participants.some(p => p.status === 'invited')) {
+                await this.finish(io, call.id, 'declined');
+            }
+        }
+
+        return { call };
+    }
+
+    /**
+     * Leave a call. The caller hanging up before anyone answers cancels it;
+     * an answered call ends when fewer than two participants remain.
+     */
+    static async hangup(io, user, callId) {
+        const call = await CallModel.findById(callId);
+        const participant = call ? await CallModel.getParticipant(call.id, user.id) : null;
+        if (!participant) {
+            return fail('NOT_FOUND', 'Call not found');
+        }
+        if (call.status !== 'ringing' && call.status !== 'active') {
+            return fail('CALL_ENDED', 'This call has ended');
+        }
+
+        // Hanging up on a call still ringing for you is declining it
+        if (participant.status === 'invited') {
+            return await this.decline(io, user, callId);
+        }
+        if (participant.status !== 'joined') {
+            return fail('VALIDATION_ERROR', 'You are not in this call');
+        }
+
+        if (call.status === 'ringing') {
+            await this.finish(io, call.id, 'cancelled');
+            return { call };
+        }
+
+        await CallModel.setParticipantStatus(call.id, user.id, 'left');
+        await this.emitToParticipants(io, call.id, 'call_participant_left', { callId: call.id, userId: user.id });
+
+        const participants = await CallModel.getParticipants(call.id);
+        if (participants.filter(p => p.status === 'joined').length < 2) {
+            await this.finish(io, call.id, 'completed');
+        }
+
+        return { call };
+    }
+
+    /**
+     * Relay an SDP offer/answer or ICE candidate to another participant's call socket
+     * @param {Object} data - { callId, toUserId, signal }
+     */
+    static async relaySignal(io, user, data) {
+        const { callId, toUserId, signal } = data;
+        if (!callId || !toUserId || !signal) {
+            return fail('VALIDATION_ERROR', 'callId, toUserId and signal are required');
+        }
+
+        const call = await CallModel.findById(callId);
+        const sender = call ? await CallModel.getParticipant(call.id, user.id) : null;
+        if (!sender) {
+            return fail('NOT_FOUND', 'Call not found');
+        }
+        if (call.status !== 'ringing' && call.status !== 'active') {
+            return fail('CALL_ENDED', 'This call has ended');
+        }
+
+        const target = await CallModel.getParticipant(call.id, toUserId);
+        if (sender.status !== 'joined' || !target || target.status !== 'joined') {
+            return fail('FORBIDDEN', 'Both users must have joined the call');
+        }
+
+        io.to(target.socket_id).emit('call_signal', { callId: call.id, fromUserId: user.id, signal });
+        return { call };
+    }
+
+    /**
+     * Hang up the calls a closed socket was taking part in
+     */
+    static async handleDisconnect(io, user, socketId) {
+        const callIds = await CallModel.findOngoingBySocketId(socketId);
+        for (const callId of callIds) {
+            await this.hangup(io, user, callId);
+        }
+    }
+
+    /**
+     * End calls left behind by a restart or a crashed instance (ring timers and sockets live in
+     * memory): calls still ringing after the ring timeout are missed, joined participants whose
+     * socket is gone (on every instance) leave, and calls left with fewer than two joined
+     * participants end.
+     */
+    static async reconcile(io) {
+        for (const call of await CallModel.findOngoing()) {
+            if (call.status === 'ringing' && call.age_seconds >= RING_TIMEOUT_SECONDS) {
+                await this.finish(io, call.id, 'missed');
+                continue;
+            }
+
+            const joined = (await CallModel.getParticipants(call.id)).filter(p => p.status === 'joined');
+            let connected = 0;
+            for (const participant of joined) {
+                const sockets = participant.socket_id ? await io.in(participant.socket_id).fetchSockets() : [];
+                if (sockets.length > 0) {
+                    connected++;
+                    continue;
+                }
+
+                await CallModel.setParticipantStatus(call.id, participant.user_id, 'left');
+                await this.emitToParticipants(io, call.id, 'call_participant_left', {
+                    callId: call.id,
+                    userId: participant.user_id
+                });
+            }
+
+            // A ringing call whose caller is gone is cancelled (its ring timer may be gone too)
+            if (call.status === 'ringing' && connected === 0) {
+                await this.finish(io, call.id, 'cancelled');
+            } else if (call.status === 'active' && connected < 2) {
+                await this.finish(io, call.id, 'completed');
+            }
+        }
+    }
+
+    /**
+     * Reconcile ongoing calls now and then periodically
+     */
+    static startReconciliation(io) {
+        if (reconcileTimer) return;
+
+        const reconcile = async () => {
+            try {
+                await this.reconcile(io);
+            } catch (e) {
+                console.error('Failed to reconcile ongoing calls:', e.message || e);
+            }
+        };
+
+        reconcile();
+        reconcileTimer = setInterval(reconcile, RECONCILE_INTERVAL_SECONDS * 1000);
+        reconcileTimer.unref();
+    }
+
+    /**
+     * Stop reconciliation (for graceful shutdown)
+     */
+    static stopReconciliation() {
+        if (reconcileTimer) {
+            clearInterval(reconcileTimer);
+            reconcileTimer = null;
+        }
+    }
+
+    /**
+     * Stop a call's ring timer
+     */
+    static clearRingTimer(callId) {
+        const timer = ringTimers.get(callId);
+        if (timer) {
+            clearTimeout(timer);
+            ringTimers.delete(callId);
+        }
+    }
+
+    /**
+     * End a call with its outcome and tell every participant.
+     * Calls nobody answered leave a missed-call entry in the chat.
+     */
+    static async finish(io, callId, status) {
+        this.clearRingTimer(callId);
+        if (!(await CallModel.end(callId, status))) return;
+
+        const call = await CallModel.findById(callId);
+        await this.emitToParticipants(io, call.id, 'call_ended', {
+            callId: call.id,
+            status: call.status,
+            durationSeconds: call.duration_seconds
+        });
+
+        if (status === 'missed' || status === 'cancelled') {
+            try {
+                await this.postMissedCall(io, call);
+            } catch (e) {
+                console.error('Failed to post missed call message:', e.message || e);
+            }
+        }
+    }
+
+    /**
+     * Post a missed-call system message into the chat and notify the users who missed it
+     */
+    static async postMissedCall(io, call) {
+        const content = `Missed ${call.call_type} call`;
+        const message = await MessageModel.create({
+            chatId: call.chat_id,
+            senderId: call.initiator_id,
+            messageType: 'system',
+            content
+        });
+
+        const participants = await CallModel.getParticipants(call.id);
+        await EventLogService.emitToUsers(io, participants.map(p => p.user_id), 'receive_message', {
+            groupId: call.group_id || undefined,
+            chatId: call.chat_id,
+            message
+        });
+
+        for (const participant of participants) {
+            if (participant.status !== 'missed') continue;
+
+            await NotificationService.notifyMessage(io, participant.user_id, {
+                type: 'missed_call',
+                title: content,
+                message: `${call.initiator_name} tried to call you`,
+                data: { chatId: call.chat_id, groupId: call.group_id, callId: call.id, messageId: message.id }
+            });
+        }
+    }
+}
+
+module.exports = CallService;
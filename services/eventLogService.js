@@ -0,0 +1,164 @@
+const SocketEventModel = require('../models/socketEventModel');
+
+// Hours events are kept for replay
+const RETENTION_HOURS = parseInt(process.env.EVENT_LOG_RETENTION_HOURS) || 72;
+
+// How often expired events are deleted
+const PRUNE_INTERVAL_MINUTES = 60;
+
+// Events sent per replay query
+const REPLAY_BATCH_SIZE = 500;
+
+// Server-side event other API instances deliver logged events to their own sockets with
+const DELIVER_EVENT = 'event_log:deliver';
+
+let pruneTimer = null;
+let clustered = false;
+
+/**
+ * Send a logged event to this instance's sockets of its recipients. Sockets still catching up
+ * hold it until their replay has finished (see EventLogService.catchUp).
+ */
+const deliverLocal = (io, recipients, event, payload) => {
+    for (const userId of recipients) {
+        const socketIds = io.sockets.adapter.rooms.get(`user:${userId}`);
+        if (!socketIds) continue;
+
+        for (const socketId of socketIds) {
+            const socket = io.sockets.sockets.get(socketId);
+            if (!socket) continue;
+
+            if (socket.data.heldEvents) {
+                socket.data.heldEvents.push([event, payload]);
+            } else {
+                socket.emit(event, payload);
+            }
+        }
+    }
+};
+
+/**
+ * Event Log Service - Delivers real-time events that clients must not miss while offline.
+ * Every event is logged per recipient and carries a `seq`; clients reconnect with the last
+ * seq they processed (handshake auth `lastSeq`) and get the missed events replayed in order,
+ * before any live event.
+ */
+class EventLogService {
+
+    /**
+     * Log an event for each recipient and emit it to their user rooms
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Array<number>} userIds - Recipients
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload (`seq` is added)
+     */
+    static async emitToUsers(io, userIds, event, payload) {
+        const recipients = [...new Set(userIds.filter(Boolean).map(id => parseInt(id)))];
+        if (recipients.length === 0) return;
+
+        // Live delivery still goes out if logging fails; those events just can't be replayed
+        let seq = null;
+        try {
+            seq = await SocketEventModel.create(event, payload, recipients);
+        } catch (e) {
+            console.error(`Failed to log ${event} event:`, e.message || e);
+        }
+
+        if (io) {
+            deliverLocal(io, recipients, event, { ...payload, seq });
+            if (clustered) {
+                io.serverSideEmit(DELIVER_EVENT, recipients, event, { ...payload, seq });
+            }
+        }
+    }
+
+    /**
+     * Deliver logged events through the other API instances too (Redis adapter)
+     */
+    static useClustering(io) {
+        if (clustered) return;
+        clustered = true;
+        io.on(DELIVER_EVENT, (recipients, event, payload) => deliverLocal(io, recipients, event, payload));
+    }
+
+    /**
+     * Join a new socket to its user's room and bring it up to date: events after lastSeq are
+     * replayed first, then `replay_complete`, then the live events that arrived meanwhile (held
+     * back until now, skipping those already replayed). Without lastSeq nothing is replayed.
+     * @param {number|null} lastSeq - Last seq the client processed
+     * @returns {Promise<number>} - Seq of the last replayed event (the latest one without lastSeq)
+     */
+    static async catchUp(socket, userId, lastSeq) {
+        socket.data.heldEvents = [];
+        socket.join(`user:${userId}`);
+
+        let seq = null;
+        try {
+            seq = lastSeq === null
+                ? await SocketEventModel.getLatestSeq(userId)
+                : await this.replay(socket, userId, lastSeq);
+            socket.emit('replay_complete', { lastSeq: seq });
+        } finally {
+            const held = socket.data.heldEvents;
+            socket.data.heldEvents = null;
+            for (const [event, payload] of held) {
+                if (seq === null || payload.seq === null || payload.seq > seq) {
+                    socket.emit(event, payload);
+                }
+            }
+        }
+        return seq;
+    }
+
+    /**
+     * Send a socket the user's events after lastSeq, oldest first
+     * @returns {Promise<number>} - Sequence number of the last event sent (lastSeq when none)
+     */
+    static async replay(socket, userId, lastSeq) {
+        let seq = lastSeq;
+
+        for (;;) {
+            const events = await SocketEventModel.findSince(userId, seq, REPLAY_BATCH_SIZE);
+            for (const { seq: eventSeq, event, payload } of events) {
+                socket.emit(event, { ...payload, seq: eventSeq, replayed: true });
+                seq = eventSeq;
+            }
+            if (events.length < REPLAY_BATCH_SIZE) return seq;
+        }
+    }
+
+    /**
+     * Start deleting events older than the retention period
+     */
+    static startPruning() {
+        if (pruneTimer) return;
+
+        const prune = async () => {
+            try {
+                const deleted = await SocketEventModel.deleteOlderThan(RETENTION_HOURS);
+                if (deleted > 0) {
+                    console.log(`🧹 Pruned ${deleted} socket events older than ${RETENTION_HOURS}h`);
+                }
+            } catch (e) {
+                console.error('Failed to prune socket events:', e.message || e);
+            }
+        };
+
+        prune();
+        pruneTimer = setInterval(prune, PRUNE_INTERVAL_MINUTES * 60 * 1000);
+        pruneTimer.unref();
+        console.log(`✅ Socket event log pruning started (retention ${RETENTION_HOURS}h)`);
+    }
+
+    /**
+     * Stop pruning (for graceful shutdown)
+     */
+    static stopPruning() {
+        if (pruneTimer) {
+            clearInterval(pruneTimer);
+            pruneTimer = null;
+        }
+    }
+}
+
+module.exports = EventLogService;
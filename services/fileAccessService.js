@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const ChatModel = require('../models/chatModel');
+const GroupModel = require('../models/groupModel');
+const MessageModel = require('../models/messageModel');
+const MessageService = require('./messageService');
+
+// Seconds a signed file URL stays valid
+const SIGNED_URL_EXPIRES_SECONDS = parseInt(process.env.FILE_URL_EXPIRES_SECONDS) || 300;
+
+// Profile pictures and group covers are shown to anyone signed in
+const PUBLIC_FILE_TYPES = ['profile', 'group_cover'];
+
+/**
+ * Key signed URLs are signed with (a dedicated secret, or one derived from the JWT secret)
+ */
+const signingKey = () => process.env.FILE_URL_SECRET
+    || crypto.createHash('sha256').update(`file-url:${process.env.JWT_SECRET}`).digest();
+
+/**
+ * Signature of a file ID and expiry time
+ */
+const sign = (fileId, expires) => crypto
+    .createHmac('sha256', signingKey())
+    .update(`${fileId}:${expires}`)
+    .digest('hex');
+
+/**
+ * File Access Service - Who may download an uploaded file, and signed download URLs.
+ *
+ * A file is visible to its uploader and to everyone who can see the conversation it belongs
+ * to: the message it was sent with, otherwise the chat or group it was uploaded to. Files
+ * awaiting their malware scan are withheld from everyone but the uploader, and infected files
+ * from everyone (see MalwareScanService).
+ * Signed URLs (`/api/files/:id?expires=&signature=`) let clients load a file without an
+ * Authorization header (e.g. `<img>` and `<audio>` tags); they are only handed out after
+ * the access check and expire after a few minutes.
+ */
+class FileAccessService {
+
+    /**
+     * Check whether a user may download a file
+     * @param {Object} file - files row
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>}
+     */
+    static async canAccess(file, userId) {
+        // Quarantined until the malware scan is clean (the uploader can still see a file that is
+        // pending or couldn't be scanned)
+        if (file.scan_status !== 'clean') {
+            return file.scan_status !== 'infected' && file.user_id === userId;
+        }
+
+        if (file.user_id === userId) return true;
+        if (PUBLIC_FILE_TYPES.includes(file.file_type)) return true;
+
+        if (file.message_id) {
+            const message = await MessageModel.findById(file.message_id);
+            return message ? await MessageService.canAccess(message, userId) : false;
+        }
+
+        if (file.chat_id) {
+            const chat = await ChatModel.findById(file.chat_id);
+            if (!chat) return false;
+
+            if (chat.group_id) {
+                return !!(await GroupModel.isMember(chat.group_id, userId));
+            }
+            return await ChatModel.isParticipant(chat.id, userId);
+        }
+
+        if (file.group_id) {
+            return !!(await GroupModel.isMember(file.group_id, userId));
+        }
+
+        return false;
+    }
+
+    /**
+     * Create a short-lived download URL for a file
+     * @returns {Object} - { url, expiresAt }
+     */
+    static createSignedUrl(fileId) {
+        const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_EXPIRES_SECONDS;
+        return {
+            url: `/api/files/${fileId}?expires=${expires}&signature=${sign(fileId, expires)}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check a signed URL's expiry and signature
+     * @returns {boolean}
+     */
+    static verifySignature(fileId, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return false;
+
+        const expected = Buffer.from(sign(fileId, expiresAt), 'hex');
+        const presented = Buffer.from(signature, 'hex');
+        return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    }
+}
+
+module.exports = FileAccessService;
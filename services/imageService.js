@@ -0,0 +1,193 @@
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { storage, toStoredPath, variantKey } = require('../config/storage');
+
+// Image types the server can clean and resize
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'];
+
+// Leading bytes identifying each processable format (WebP: "RIFF", 4 size bytes, "WEBP")
+const SIGNATURES = [
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: 'image/gif', bytes: Buffer.from('GIF8') },
+    { type: 'image/webp', bytes: Buffer.from('RIFF'), then: { offset: 8, bytes: Buffer.from('WEBP') } }
+];
+
+// Bytes of an upload read to recognise its format
+const SNIFF_LENGTH = 12;
+
+/**
+ * Check whether a buffer has the given bytes at an offset
+ */
+const hasBytes = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && Buffer.from(bytes).equals(buffer.subarray(offset, offset + bytes.length));
+
+// Longest edge of each resized copy, in pixels
+const VARIANT_SIZES = {
+    thumbnail: 256,
+    preview: 1280
+};
+
+// Re-encoding quality of cleaned JPEG originals (kept high - these are clinical photos)
+const JPEG_QUALITY = 92;
+
+// Quality of the WebP thumbnail and preview
+const VARIANT_QUALITY = 80;
+
+// Blurhash detail (components across and down) and the size it is computed from
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+const BLURHASH_SAMPLE_SIZE = 32;
+
+/**
+ * Image Service - Cleans uploaded images and prepares what galleries and chat bubbles need.
+ *
+ * Before an image is stored, it is turned upright (using its EXIF orientation) and re-encoded
+ * without metadata, so EXIF data such as GPS location, device and capture time never reaches
+ * storage; the colour profile is kept. For chat media the service also stores WebP thumbnail
+ * and preview copies next to the original and computes the width, height and a blurhash
+ * placeholder clients can paint while the image loads.
+ */
+class ImageService {
+
+    /**
+     * Check whether an upload is an image the service can process
+     */
+    static isProcessable(mimetype) {
+        return PROCESSABLE_TYPES.includes(mimetype);
+    }
+
+    /**
+     * Recognise a processable image from its first bytes, whatever type the client claimed
+     * @returns {string|null} - The image's MIME type
+     */
+    static detectType(head) {
+        const match = SIGNATURES.find(({ bytes, then }) =>
+            hasBytes(head, bytes) && (!then || hasBytes(head, then.bytes, then.offset)));
+        return match ? match.type : null;
+    }
+
+    /**
+     * Read the start of an upload to recognise images (uploads sent as e.g. application/octet-stream
+     * must not skip cleaning)
+     * @param {Readable} source - Upload contents
+     * @returns {Promise<Object>} - { imageType (or null), stream (the whole upload, from the start) }
+     */
+    static sniff(source) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+            let ended = false;
+
+            const finish = () => {
+                source.off('data', onData);
+                source.off('end', onEnd);
+                source.off('error', reject);
+                source.pause();
+
+                const head = Buffer.concat(chunks);
+                const stream = Readable.from((async function* () {
+                    if (head.length > 0) yield head;
+                    if (!ended) yield* source;
+                })());
+                resolve({ imageType: this.detectType(head), stream });
+            };
+            const onData = (chunk) => {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length >= SNIFF_LENGTH) finish();
+            };
+            const onEnd = () => {
+                ended = true;
+                finish();
+            };
+
+            source.on('data', onData);
+            source.once('end', onEnd);
+            source.once('error', reject);
+        });
+    }
+
+    /**
+     * Remove metadata from an image, keeping its format (animated GIF/WebP keep every frame)
+     * @returns {Promise<Object>} - { data (Buffer), width, height }
+     */
+    static async clean(buffer) {
+        const metadata = await sharp(buffer).metadata();
+        const animated = (metadata.pages || 1) > 1;
+
+        let image = sharp(buffer, { animated }).rotate().keepIccProfile();
+        if (metadata.format === 'jpeg') {
+            image = image.jpeg({ quality: JPEG_QUALITY });
+        }
+
+        const { data, info } = await image.toBuffer({ resolveWithObject: true });
+        return {
+            data,
+            width: info.width,
+            height: info.pageHeight || info.height
+        };
+    }
+
+    /**
+     * Compute a blurhash placeholder for an image
+     */
+    static async blurhash(buffer) {
+        const { data, info } = await sharp(buffer)
+            .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        return encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y);
+    }
+
+    /**
+     * Resize an image to fit a square (never enlarging it) as WebP
+     */
+    static async resize(buffer, size) {
+        return await sharp(buffer)
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: VARIANT_QUALITY })
+            .toBuffer();
+    }
+
+    /**
+     * Clean an uploaded image and store it, optionally with its thumbnail and preview
+     * @param {string} key - Storage key of the original
+     * @param {Buffer} buffer - Uploaded image
+     * @param {Object} options - { contentType, variants } (variants: also store resized copies and a blurhash)
+     * @returns {Promise<Object>} - { size, width, height, blurhash, thumbnailPath, previewPath }
+     */
+    static async store(key, buffer, { contentType, variants = false } = {}) {
+        let cleaned;
+        try {
+            cleaned = await this.clean(buffer);
+        } catch (error) {
+            throw Object.assign(new Error('Invalid or unsupported image file'), { status: 400 });
+        }
+
+        const result = {
+            size: cleaned.data.length,
+            width: cleaned.width,
+            height: cleaned.height,
+            blurhash: null,
+            thumbnailPath: null,
+            previewPath: null
+        };
+
+        if (variants) {
+            for (const [variant, size] of Object.entries(VARIANT_SIZES)) {
+                const resizedKey = variantKey(key, variant);
+                await storage.put(resizedKey, await this.resize(cleaned.data, size), { contentType: 'image/webp' });
+                result[`${variant}Path`] = toStoredPath(resizedKey);
+            }
+            result.blurhash = await this.blurhash(cleaned.data);
+        }
+
+        await storage.put(key, cleaned.data, { contentType });
+        return result;
+    }
+}
+
+module.exports = ImageService;
@@ -0,0 +1,217 @@
+const FileModel = require('../models/fileModel');
+const MessageModel = require('../models/messageModel');
+const TeamModel = require('../models/teamModel');
+const MessageService = require('./messageService');
+const EventLogService = require('./eventLogService');
+const NotificationService = require('./notificationService');
+const { scanner } = require('../config/scanner');
+const { storage, toStorageKey, removeUpload } = require('../config/storage');
+
+// Minutes a file may stay pending before the sweep scans it again (missed or failed scans)
+const RETRY_AFTER_MINUTES = 5;
+
+// How often pending files are swept
+const SWEEP_INTERVAL_MINUTES = 5;
+
+// Files picked up per sweep
+const SWEEP_BATCH_SIZE = 100;
+
+// Failed scans of a file before giving up on it (it stays withheld as 'failed')
+const MAX_ATTEMPTS = parseInt(process.env.MALWARE_SCAN_MAX_ATTEMPTS) || 5;
+
+// Files too large for the scanner: 'reject' keeps them withheld as 'failed', 'allow' releases them unscanned
+const OVERSIZE_POLICY = process.env.MALWARE_SCAN_OVERSIZE === 'allow' ? 'allow' : 'reject';
+
+let io = null;
+let sweepTimer = null;
+
+// Files waiting for a scan, scanned one at a time
+const queue = [];
+const queued = new Set();
+let draining = false;
+
+/**
+ * Malware Scan Service - Scans uploaded chat files with the configured scanner (config/scanner).
+ *
+ * New uploads are stored with scan status 'pending' and queued here. Until their scan comes back
+ * clean only the uploader can fetch them; clean files are released to the conversation and a
+ * `file_scanned` event tells clients to show them. Infected files are deleted from storage, their
+ * record is kept as 'infected' (downloads answer 410) and the uploader and their team's admins
+ * are notified. A file whose scan fails (e.g. clamd down) stays pending and withheld; the sweep
+ * retries it up to MALWARE_SCAN_MAX_ATTEMPTS times before marking it 'failed'. Files larger than
+ * the scanner accepts are handled by MALWARE_SCAN_OVERSIZE.
+ */
+class MalwareScanService {
+
+    /**
+     * Queue a file for scanning
+     */
+    static enqueue(fileId) {
+        if (!fileId || queued.has(fileId)) return;
+        queued.add(fileId);
+        queue.push(fileId);
+        this.drain();
+    }
+
+    /**
+     * Scan queued files until the queue is empty
+     */
+    static async drain() {
+        if (draining) return;
+        draining = true;
+
+        try {
+            while (queue.length > 0) {
+                const fileId = queue.shift();
+                try {
+                    await this.scanFile(fileId);
+                } catch (e) {
+                    console.error(`Failed to scan file ${fileId}:`, e.message || e);
+                } finally {
+                    queued.delete(fileId);
+                }
+            }
+        } finally {
+            draining = false;
+        }
+    }
+
+    /**
+     * Scan a pending file and act on the result
+     * @returns {Promise<string|null>} - The file's new scan status, or null if it wasn't pending
+     */
+    static async scanFile(fileId) {
+        const file = await FileModel.findById(fileId);
+        if (!file || file.scan_status !== 'pending') return null;
+
+        let result;
+        try {
+            const stream = await storage.createReadStream(toStorageKey(file.file_path));
+            result = await scanner.scan(stream, { size: file.file_size });
+        } catch (error) {
+            return await this.handleScanError(file, error);
+        }
+        const { clean, signature } = result;
+
+        if (clean) {
+            if (!await FileModel.setScanResult(file.id, 'clean')) return null;
+            await this.announce(file, 'clean');
+            return 'clean';
+        }
+
+        await removeUpload(file.file_path);
+        if (!await FileModel.setScanResult(file.id, 'infected', String(signature).slice(0, 255))) return null;
+
+        console.warn(`🦠 Malware found in file ${file.id} uploaded by user ${file.user_id}: ${signature}`);
+        await this.announce(file, 'infected');
+        await this.notifyInfected(file, signature);
+        return 'infected';
+    }
+
+    /**
+     * Deal with a file that couldn't be scanned: oversized files follow MALWARE_SCAN_OVERSIZE,
+     * others are retried by the sweep until they run out of attempts
+     * @returns {Promise<string|null>} - The file's new scan status, or null while it stays pending
+     */
+    static async handleScanError(file, error) {
+        let status;
+        if (error.code === 'SCAN_SIZE_LIMIT') {
+            status = OVERSIZE_POLICY === 'allow' ? 'clean' : 'failed';
+            console.warn(`⚠️ File ${file.id} (${file.file_size} bytes) is too large to scan - ${status === 'clean' ? 'released unscanned' : 'withheld'}`);
+        } else if (file.scan_attempts + 1 >= MAX_ATTEMPTS) {
+            status = 'failed';
+            console.error(`Giving up scanning file ${file.id} after ${MAX_ATTEMPTS} attempts:`, error.message || error);
+        } else {
+            await FileModel.addScanAttempt(file.id);
+            throw error;
+        }
+
+        if (!await FileModel.setScanResult(file.id, status)) return null;
+        await this.announce(file, status);
+        return status;
+    }
+
+    /**
+     * Tell the conversation a file's message can now be shown (or not), or just the uploader
+     * if the file isn't attached to a message yet
+     */
+    static async announce(file, status) {
+        const payload = { fileId: file.id, messageId: file.message_id, status };
+
+        const message = file.message_id ? await MessageModel.findById(file.message_id) : null;
+        if (message) {
+            await MessageService.emitToConversation(io, message, 'file_scanned', payload);
+        } else {
+            await EventLogService.emitToUsers(io, [file.user_id], 'file_scanned', payload);
+        }
+    }
+
+    /**
+     * Notify the uploader and their team admins that an infected file was removed
+     */
+    static async notifyInfected(file, signature) {
+        const message = file.message_id ? await MessageModel.findById(file.message_id) : null;
+        const data = { fileId: file.id, messageId: file.message_id, signature };
+        const name = file.original_name || 'A file';
+
+        await NotificationService.notifyMessage(io, file.user_id, {
+            type: 'malware_detected',
+            title: 'Upload removed',
+            message: `${name} you uploaded contained malware (${signature}) and was deleted`,
+            data
+        }, 'important');
+
+        // Admins of the channel's team, or of every team the uploader belongs to
+        const teamIds = message && message.team_id
+            ? [message.team_id]
+            : (await TeamModel.findByUserId(file.user_id)).map(team => team.id);
+
+        const adminIds = new Set();
+        for (const teamId of teamIds) {
+            (await TeamModel.getAdminIds(teamId)).forEach(id => adminIds.add(id));
+        }
+        adminIds.delete(file.user_id);
+
+        for (const adminId of adminIds) {
+            await NotificationService.notifyMessage(io, adminId, {
+                type: 'malware_detected',
+                title: 'Malware upload blocked',
+                message: `${name} uploaded by user ${file.user_id} contained malware (${signature}) and was deleted`,
+                data: { ...data, uploaderId: file.user_id }
+            }, 'important');
+        }
+    }
+
+    /**
+     * Start scanning: keeps io for events and periodically re-queues files left pending
+     */
+    static start(socketIo) {
+        io = socketIo;
+        if (sweepTimer) return;
+
+        const sweep = async () => {
+            try {
+                const fileIds = await FileModel.findPendingScanIds(RETRY_AFTER_MINUTES, SWEEP_BATCH_SIZE);
+                fileIds.forEach(id => this.enqueue(id));
+            } catch (e) {
+                console.error('Failed to sweep pending file scans:', e.message || e);
+            }
+        };
+
+        sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+        sweepTimer.unref();
+        console.log(`🦠 Malware scanning with ${scanner.name} scanner`);
+    }
+
+    /**
+     * Stop the sweep (for graceful shutdown)
+     */
+    static stop() {
+        if (sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    }
+}
+
+module.exports = MalwareScanService;
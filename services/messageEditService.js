@@ -0,0 +1,95 @@
+const MessageModel = require('../models/messageModel');
+const FileModel = require('../models/fileModel');
+const { getRelativeUploadPath, removeUpload } = require('../config/multerConfig');
+const MessageService = require('./messageService');
+
+/**
+ * Build a failed edit/delete result
+ */
+const fail = (status, code, message) => ({ error: { status, code, message } });
+
+/**
+ * Message Edit Service - Edits and deletes existing messages of any conversation
+ * (private chat, group or team channel) and tells the conversation about it.
+ *
+ * Callers check the user can see the conversation and that the message belongs to it;
+ * methods resolve to { message } or { error: { status, code, message } }.
+ */
+class MessageEditService {
+
+    /**
+     * Replace the content of the user's own text message (the old content is kept as a revision)
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Object} user - Editing user
+     * @param {Object} message - Message row
+     * @param {*} content - New content from the request
+     */
+    static async edit(io, user, message, content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            return fail(400, 'VALIDATION_ERROR', 'Message content is required');
+        }
+
+        if (message.sender_id !== user.id) {
+            return fail(403, 'FORBIDDEN', 'You can only edit your own messages');
+        }
+
+        if (message.deleted_at) {
+            return fail(400, 'VALIDATION_ERROR', 'Deleted messages cannot be edited');
+        }
+
+        if (message.message_type !== 'text') {
+            return fail(400, 'VALIDATION_ERROR', 'Only text messages can be edited');
+        }
+
+        const updated = await MessageModel.edit(message.id, user.id, content);
+
+        await MessageService.emitToConversation(io, updated, 'message_edited', { message: updated });
+        return { message: updated };
+    }
+
+    /**
+     * Delete a message for everyone, leaving a tombstone and removing its file.
+     * Senders can do so within the delete window, moderators at any time.
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Object} user - Deleting user
+     * @param {Object} message - Message row
+     * @param {Object} options - { isModerator } whether the user may remove others' messages
+     */
+    static async deleteForEveryone(io, user, message, { isModerator = false } = {}) {
+        const isSender = message.sender_id === user.id;
+
+        if (!isSender && !isModerator) {
+            return fail(403, 'FORBIDDEN', 'You can only delete your own messages');
+        }
+
+        if (!isModerator && !MessageModel.isWithinDeleteWindow(message)) {
+            return fail(400, 'VALIDATION_ERROR', 'This message can no longer be deleted for everyone');
+        }
+
+        const original = await MessageModel.deleteForEveryone(message.id, user.id, isSender ? 'sender' : 'moderator');
+        if (!original) {
+            return fail(400, 'VALIDATION_ERROR', 'Message already deleted');
+        }
+
+        // Remove the attached file
+        if (original.file_path) {
+            try {
+                await FileModel.deleteByMessage(message.id, getRelativeUploadPath(original.file_path));
+                await removeUpload(original.file_path);
+            } catch (fileError) {
+                console.error('Failed to remove deleted message file:', fileError);
+            }
+        }
+
+        const tombstone = await MessageModel.findById(message.id);
+
+        await MessageService.emitToConversation(io, tombstone, 'message_deleted', {
+            messageId: message.id,
+            scope: 'everyone',
+            message: tombstone
+        });
+        return { message: tombstone };
+    }
+}
+
+module.exports = MessageEditService;
@@ -0,0 +1,418 @@
+const ChatModel = require('../models/chatModel');
+const GroupModel = require('../models/groupModel');
+const ChannelModel = require('../models/channelModel');
+const MessageModel = require('../models/messageModel');
+const MessageAckModel = require('../models/messageAckModel');
+const UserModel = require('../models/userModel');
+const FileModel = require('../models/fileModel');
+const { getRelativeUploadPath } = require('../config/multerConfig');
+const MessageService = require('./messageService');
+const NotificationService = require('./notificationService');
+const EventLogService = require('./eventLogService');
+
+const MAX_CLIENT_MSG_ID_LENGTH = 64;
+
+/**
+ * Build a failed send result
+ */
+const fail = (status, code, message) => ({ error: { status, code, message } });
+
+/**
+ * Message Send Service - Validates, stores and fans out new messages.
+ * Shared by the REST send endpoints and the socket `send_message` event.
+ *
+ * Every method takes the sender and a payload of
+ * { content, messageType, filePath, duration, replyTo, priority,
+ *   requiresAck, ackDeadline, ackFallbackUserId, clientMsgId }
+ * and resolves to { message, duplicate } or { error: { status, code, message } }.
+ * A repeated clientMsgId returns the originally stored message with duplicate = true
+ * and nothing is re-sent.
+ */
+class MessageSendService {
+
+    /**
+     * Validation shared by every kind of send
+     * @param {Object} options - { groupId } for group messages
+     * @returns {Promise<Object>} - { ackOptions } or { error }
+     */
+    static async validate(sender, data, { groupId = null } = {}) {
+        if (!data.content && !data.filePath) {
+            return fail(400, 'VALIDATION_ERROR', 'Message content or file is required');
+        }
+        if (data.content && typeof data.content !== 'string') {
+            return fail(400, 'VALIDATION_ERROR', 'Message content must be a string');
+        }
+
+        // System messages (e.g. missed calls) are only posted by the server
+        if (data.messageType === 'system') {
+            return fail(400, 'VALIDATION_ERROR', 'System messages cannot be sent');
+        }
+        if (data.messageType !== undefined && data.messageType !== null && !MessageModel.isSendableType(data.messageType)) {
+            return fail(400, 'VALIDATION_ERROR', 'Message type must be text, image, pdf, voice or video');
+        }
+
+        // A file must be the sender's own upload (POST /api/upload/chat-media or a resumable upload)
+        if (data.filePath) {
+            const file = typeof data.filePath === 'string'
+                ? await FileModel.findByPath(getRelativeUploadPath(data.filePath))
+                : null;
+            if (!file || file.user_id !== sender.id || file.scan_status === 'infected') {
+                return fail(400, 'VALIDATION_ERROR', 'File not found - upload it before sending');
+            }
+        }
+
+        if (data.priority && !MessageModel.isValidPriority(data.priority)) {
+            return fail(400, 'VALIDATION_ERROR', 'Priority must be routine, important or urgent');
+        }
+
+        if (data.clientMsgId !== undefined && data.clientMsgId !== null &&
+            (typeof data.clientMsgId !== 'string' || !data.clientMsgId || data.clientMsgId.length > MAX_CLIENT_MSG_ID_LENGTH)) {
+            return fail(400, 'VALIDATION_ERROR', `clientMsgId must be a string of at most ${MAX_CLIENT_MSG_ID_LENGTH} characters`);
+        }
+
+        // Acknowledgement-required messages need a deadline
+        const ackOptions = await MessageService.parseAckOptions(data, sender.id, { groupId });
+        if (ackOptions && ackOptions.error) {
+            return fail(400, 'VALIDATION_ERROR', ackOptions.error);
+        }
+
+        return { ackOptions };
+    }
+
+    /**
+     * Look up a message already stored under this client ID
+     */
+    static async findDuplicate(senderId, clientMsgId) {
+        if (!clientMsgId) return null;
+        return await MessageModel.findByClientMsgId(senderId, clientMsgId);
+    }
+
+    /**
+     * Store a message; a concurrent retry with the same client ID resolves to the stored message
+     */
+    static async store(messageData) {
+        try {
+            const message = await MessageModel.create(messageData);
+
+            // The sender's upload now belongs to this conversation (see FileAccessService);
+            // reload so the message carries the file's ID and image details
+            if (message.file_path) {
+                const fileId = await FileModel.attachToMessage(
+                    message.id, message.sender_id, getRelativeUploadPath(message.file_path)
+                );
+                if (fileId) {
+                    return { message: await MessageModel.findById(message.id), duplicate: false };
+                }
+            }
+            return { message, duplicate: false };
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY' && messageData.clientMsgId) {
+                const message = await MessageModel.findByClientMsgId(messageData.senderId, messageData.clientMsgId);
+                return { message, duplicate: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a private message (the chat is created on first message)
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Object} sender - Sending user
+     * @param {Object} data - Payload, plus receiverId
+     */
+    static async sendPrivate(io, sender, data) {
+        const receiverId = parseInt(data.receiverId);
+        if (!receiverId) {
+            return fail(400, 'VALIDATION_ERROR', 'Receiver ID is required');
+        }
+
+        const validation = await this.validate(sender, data);
+        if (validation.error) return validation;
+        const { ackOptions } = validation;
+
+        const existing = await this.findDuplicate(sender.id, data.clientMsgId);
+        if (existing) return { message: existing, duplicate: true };
+
+        // Check if receiver exists
+        const receiver = await UserModel.findById(receiverId);
+        if (!receiver) {
+            return fail(404, 'NOT_FOUND', 'Receiver not found');
+        }
+
+        // Get or create chat
+        const chatId = await ChatModel.getOrCreatePrivateChat(sender.id, receiverId);
+
+        // Replies always attach to the thread's root message, which must be in the same chat
+        let parentMessageId = null;
+        if (data.replyTo) {
+            const parent = await MessageModel.findById(data.replyTo);
+            if (!parent || parent.chat_id !== chatId) {
+                return fail(400, 'VALIDATION_ERROR', 'Replied-to message not found in this chat');
+            }
+            parentMessageId = parent.parent_message_id || parent.id;
+        }
+
+        const stored = await this.store({
+            chatId,
+            senderId: sender.id,
+            messageType: data.messageType || 'text',
+            content: data.content,
+            filePath: data.filePath,
+            duration: data.duration,
+            parentMessageId,
+            priority: data.priority,
+            clientMsgId: data.clientMsgId
+        });
+        if (stored.duplicate) return stored;
+        const { message } = stored;
+
+        if (ackOptions) {
+            const ackRequest = await MessageAckModel.create({
+                messageId: message.id,
+                chatId,
+                senderId: sender.id,
+                deadlineAt: ackOptions.deadlineAt,
+                fallbackUserId: ackOptions.fallbackUserId,
+                recipientIds: [receiverId]
+            });
+            message.ack_deadline_at = ackRequest.deadline_at;
+        }
+
+        // Receiver and the sender's other devices, replayed to those offline
+        await EventLogService.emitToUsers(io, [receiverId, sender.id], 'receive_message', {
+            chatId,
+            message
+        });
+
+        // Create in-app notification for the receiver (subject to their Do Not Disturb status)
+        try {
+            await NotificationService.notifyMessage(io, receiverId, {
+                type: ackOptions ? 'ack_request' : 'message',
+                title: `${ackOptions ? 'Acknowledgement Required' : 'New Message'} from ${sender.name}`,
+                message: message.message_type === 'text' ? message.content : `Sent a ${message.message_type}`,
+                data: { chatId, senderId: sender.id, messageId: message.id }
+            }, message.priority);
+        } catch (notifError) {
+            console.error('Failed to create message notification:', notifError);
+        }
+
+        return { message, duplicate: false };
+    }
+
+    /**
+     * Send a message to a group
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Object} sender - Sending user
+     * @param {number} groupId - Group ID
+     * @param {Object} data - Payload
+     */
+    static async sendToGroup(io, sender, groupId, data) {
+        // Check membership
+        const membership = await GroupModel.isMember(groupId, sender.id);
+        if (!membership) {
+            return fail(403, 'NOT_A_MEMBER', 'You are not a member of this group');
+        }
+
+        // Check permissions
+        const permissions = await GroupModel.getPermissions(groupId);
+        if (permissions && !permissions.send_message && membership.role === 'member') {
+            return fail(403, 'FORBIDDEN', 'Members cannot send messages in this group');
+        }
+
+        const validation = await this.validate(sender, data, { groupId });
+        if (validation.error) return validation;
+        const { ackOptions } = validation;
+
+        const existing = await this.findDuplicate(sender.id, data.clientMsgId);
+        if (existing) return { message: existing, duplicate: true };
+
+        // Get group chat
+        const chat = await ChatModel.findByGroupId(groupId);
+        if (!chat) {
+            return fail(404, 'NOT_FOUND', 'Group chat not found');
+        }
+
+        // Replies always attach to the thread's root message
+        let parentMessageId = null;
+        if (data.replyTo) {
+            const parent = await MessageModel.findById(data.replyTo);
+            if (!parent || parent.chat_id !== chat.id) {
+                return fail(400, 'VALIDATION_ERROR', 'Replied-to message not found in this group');
+            }
+            parentMessageId = parent.parent_message_id || parent.id;
+        }
+
+        const stored = await this.store({
+            chatId: chat.id,
+            senderId: sender.id,
+            messageType: data.messageType || 'text',
+            content: data.content,
+            filePath: data.filePath,
+            duration: data.duration,
+            parentMessageId,
+            priority: data.priority,
+            clientMsgId: data.clientMsgId
+        });
+        if (stored.duplicate) return stored;
+        const { message } = stored;
+        const memberIds = (await GroupModel.getMembers(groupId)).map(member => member.id);
+
+        // Every other member must acknowledge
+        if (ackOptions) {
+            const ackRequest = await MessageAckModel.create({
+                messageId: message.id,
+                chatId: chat.id,
+                groupId,
+                senderId: sender.id,
+                deadlineAt: ackOptions.deadlineAt,
+                fallbackUserId: ackOptions.fallbackUserId,
+                recipientIds: memberIds.filter(id => id !== sender.id)
+            });
+            message.ack_deadline_at = ackRequest.deadline_at;
+        }
+
+        // Every member (including the sender's other devices), replayed to those offline
+        await EventLogService.emitToUsers(io, memberIds, 'receive_message', {
+            groupId,
+            chatId: chat.id,
+            message
+        });
+
+        if (io && parentMessageId) {
+            const parent = await MessageModel.findById(parentMessageId);
+            io.to(`group:${groupId}`).emit('thread_updated', {
+                groupId,
+                chatId: chat.id,
+                messageId: parentMessageId,
+                reply_count: parent.reply_count,
+                last_reply_at: parent.last_reply_at
+            });
+        }
+
+        // Create in-app notifications - thread replies only go to the thread's followers
+        // unless every member has to acknowledge them
+        try {
+            const group = await GroupModel.findById(groupId);
+            const recipientIds = parentMessageId && !ackOptions
+                ? await MessageModel.getThreadFollowers(parentMessageId)
+                : memberIds;
+            const preview = message.message_type === 'text' ? message.content : `Sent a ${message.message_type}`;
+
+            for (const recipientId of recipientIds) {
+                if (recipientId !== sender.id) {
+                    await NotificationService.notifyMessage(io, recipientId, {
+                        type: ackOptions ? 'ack_request' : (parentMessageId ? 'thread_reply' : 'message'),
+                        title: ackOptions ? `${group.name} - Acknowledgement Required` : group.name,
+                        message: `${sender.name}${parentMessageId ? ' replied' : ''}: ${preview}`,
+                        data: { groupId, chatId: chat.id, senderId: sender.id, messageId: message.id, parentMessageId }
+                    }, message.priority);
+                }
+            }
+        } catch (notifError) {
+            console.error('Failed to create group message notifications:', notifError);
+        }
+
+        return { message, duplicate: false };
+    }
+
+    /**
+     * Send a message to a team channel
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Object} sender - Sending user
+     * @param {number} channelId - Channel ID
+     * @param {Object} data - Payload
+     */
+    static async sendToChannel(io, sender, channelId, data) {
+        // Verify user is channel member
+        const isMember = await ChannelModel.isMember(channelId, sender.id);
+        if (!isMember) {
+            return fail(403, 'NOT_A_MEMBER', 'You must join this channel to send messages');
+        }
+
+        const validation = await this.validate(sender, data);
+        if (validation.error) return validation;
+
+        const existing = await this.findDuplicate(sender.id, data.clientMsgId);
+        if (existing) return { message: existing, duplicate: true };
+
+        const channel = await ChannelModel.findById(channelId);
+        if (!channel) {
+            return fail(404, 'NOT_FOUND', 'Channel not found');
+        }
+
+        // Replies always attach to the thread's root message
+        let parentMessageId = null;
+        if (data.replyTo) {
+            const parent = await MessageModel.findById(data.replyTo);
+            if (!parent || parent.channel_id !== channelId) {
+                return fail(400, 'VALIDATION_ERROR', 'Replied-to message not found in this channel');
+            }
+            parentMessageId = parent.parent_message_id || parent.id;
+        }
+
+        const chatId = await ChannelModel.getOrCreateChatId(channelId);
+
+        const stored = await this.store({
+            chatId,
+            channelId,
+            teamId: channel.team_id,
+            senderId: sender.id,
+            messageType: data.messageType || 'text',
+            content: data.content,
+            filePath: data.filePath,
+            duration: data.duration,
+            parentMessageId,
+            priority: data.priority,
+            clientMsgId: data.clientMsgId
+        });
+        if (stored.duplicate) return stored;
+        const { message } = stored;
+
+        const members = await ChannelModel.getMembers(channelId);
+        await EventLogService.emitToUsers(io, members.map(member => member.id), 'channel_message', {
+            channelId,
+            message
+        });
+
+        if (io && parentMessageId) {
+            const parent = await MessageModel.findById(parentMessageId);
+            io.to(`channel_${channelId}`).emit('thread_updated', {
+                channelId,
+                messageId: parentMessageId,
+                reply_count: parent.reply_count,
+                last_reply_at: parent.last_reply_at
+            });
+        }
+
+        // Notify thread followers about replies; important and urgent top-level
+        // messages notify the channel (important ones respect mute)
+        try {
+            let recipientIds = [];
+            if (parentMessageId) {
+                recipientIds = await MessageModel.getThreadFollowers(parentMessageId);
+            } else if (message.priority !== 'routine') {
+                recipientIds = members
+                    .filter(member => message.priority === 'urgent' || !member.is_muted)
+                    .map(member => member.id);
+            }
+            const preview = message.message_type === 'text' ? message.content : `Sent a ${message.message_type}`;
+
+            for (const recipientId of recipientIds) {
+                if (recipientId === sender.id) continue;
+
+                await NotificationService.notifyMessage(io, recipientId, {
+                    type: parentMessageId ? 'thread_reply' : 'channel_message',
+                    title: `#${channel.name}`,
+                    message: `${sender.name}${parentMessageId ? ' replied' : ''}: ${preview}`,
+                    data: { channelId, teamId: channel.team_id, senderId: sender.id, messageId: message.id, parentMessageId }
+                }, message.priority);
+            }
+        } catch (notifError) {
+            console.error('Failed to create channel message notifications:', notifError);
+        }
+
+        return { message, duplicate: false };
+    }
+}
+
+module.exports = MessageSendService;
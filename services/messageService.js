@@ -0,0 +1,153 @@
+const ChatModel = require('../models/chatModel');
+const GroupModel = require('../models/groupModel');
+const ChannelModel = require('../models/channelModel');
+const UserModel = require('../models/userModel');
+const MessageAckModel = require('../models/messageAckModel');
+
+/**
+ * Message Service - Resolves which conversation a message belongs to
+ * (private chat, group or team channel) for access checks and socket delivery,
+ * and reports acknowledgement status
+ */
+class MessageService {
+
+    /**
+     * Check whether a user can see the conversation a message belongs to
+     * @param {Object} message - Message row (needs chat_id and channel_id)
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>}
+     */
+    static async canAccess(message, userId) {
+        if (message.channel_id) {
+            return await ChannelModel.isMember(message.channel_id, userId);
+        }
+
+        const chat = await ChatModel.findById(message.chat_id);
+        if (!chat) return false;
+
+        if (chat.group_id) {
+            return !!(await GroupModel.isMember(chat.group_id, userId));
+        }
+        return await ChatModel.isParticipant(chat.id, userId);
+    }
+
+    /**
+     * Emit a socket event to everyone in a message's conversation
+     * Channels use the channel room, groups the group room, private chats each participant's user room
+     * @param {Object} io - Socket.IO server
+     * @param {Object} message - Message row (needs chat_id and channel_id)
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload (conversation IDs are added)
+     */
+    static async emitToConversation(io, message, event, payload) {
+        if (!io) return;
+
+        if (message.channel_id) {
+            io.to(`channel_${message.channel_id}`).emit(event, {
+                channelId: message.channel_id,
+                ...payload
+            });
+            return;
+        }
+
+        const chat = await ChatModel.findById(message.chat_id);
+        if (!chat) return;
+
+        if (chat.group_id) {
+            io.to(`group:${chat.group_id}`).emit(event, {
+                chatId: chat.id,
+                groupId: chat.group_id,
+                ...payload
+            });
+            return;
+        }
+
+        const participants = await ChatModel.getParticipants(chat.id);
+        participants.forEach(p => {
+            io.to(`user:${p.id}`).emit(event, { chatId: chat.id, ...payload });
+        });
+    }
+
+    /**
+     * Validate the acknowledgement options of a send request
+     * Body: { requiresAck, ackDeadline (ISO date), ackFallbackUserId }
+     * Escalations carry the message, so the fallback user must be a member of the group it is sent
+     * to, or for private messages share a team, group or chat with the sender.
+     * @param {Object} options - { groupId } for group messages
+     * @returns {Promise<Object|null>} - null when no acknowledgement is required,
+     *   { error } when invalid, otherwise { deadlineAt, fallbackUserId }
+     */
+    static async parseAckOptions(body, senderId, { groupId = null } = {}) {
+        if (!body.requiresAck) return null;
+
+        const deadlineAt = new Date(body.ackDeadline);
+        if (!body.ackDeadline || isNaN(deadlineAt.getTime())) {
+            return { error: 'A valid ackDeadline is required for acknowledgement-required messages' };
+        }
+        if (deadlineAt.getTime() <= Date.now()) {
+            return { error: 'ackDeadline must be in the future' };
+        }
+
+        let fallbackUserId = null;
+        if (body.ackFallbackUserId) {
+            fallbackUserId = parseInt(body.ackFallbackUserId);
+            const fallbackUser = await UserModel.findById(fallbackUserId);
+            if (!fallbackUser || fallbackUserId === senderId) {
+                return { error: 'Fallback user not found' };
+            }
+
+            const reachable = groupId
+                ? !!(await GroupModel.isMember(groupId, fallbackUserId))
+                : (await UserModel.findRelatedUserIds(senderId)).includes(fallbackUserId);
+            if (!reachable) {
+                return { error: groupId
+                    ? 'Fallback user must be a member of this group'
+                    : 'Fallback user must share a team, group or chat with you' };
+            }
+        }
+
+        return { deadlineAt, fallbackUserId };
+    }
+
+    /**
+     * Get live per-recipient acknowledgement status for a message
+     * @returns {Promise<Object|null>} - null if the message does not require acknowledgement
+     */
+    static async getAckStatus(messageId) {
+        const request = await MessageAckModel.findByMessageId(messageId);
+        if (!request) return null;
+
+        const overdue = new Date(request.deadline_at).getTime() <= Date.now();
+        const recipients = (await MessageAckModel.getRecipients(messageId)).map(recipient => {
+            let status = overdue ? 'overdue' : 'pending';
+            if (recipient.acknowledged_at) status = 'acknowledged';
+            else if (recipient.escalated_at) status = 'escalated';
+            else if (recipient.reminded_at) status = 'reminded';
+            return { ...recipient, status };
+        });
+
+        return {
+            messageId: request.message_id,
+            chatId: request.chat_id,
+            groupId: request.group_id,
+            deadline_at: request.deadline_at,
+            completed_at: request.completed_at,
+            fallback_user_id: request.fallback_user_id,
+            fallback_user_name: request.fallback_user_name,
+            acknowledged: recipients.filter(r => r.acknowledged_at).length,
+            total: recipients.length,
+            recipients
+        };
+    }
+
+    /**
+     * Push the latest acknowledgement status to the sender
+     */
+    static async emitAckStatus(io, messageId, senderId) {
+        if (!io) return;
+        const status = await this.getAckStatus(messageId);
+        io.to(`user:${senderId}`).emit('acknowledgement_updated', status);
+    }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,40 @@
+const NotificationModel = require('../models/notificationModel');
+const UserModel = require('../models/userModel');
+const EventLogService = require('./eventLogService');
+
+/**
+ * Notification Service - Delivers message notifications according to message priority
+ */
+class NotificationService {
+
+    /**
+     * Create and push a notification about a new message
+     * Routine messages are not notified to users in Do Not Disturb, except acknowledgement
+     * requests (the recipient must still learn they have to acknowledge by the deadline);
+     * urgent messages always are, with the distinct 'urgent_message' type
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {number} userId - Recipient
+     * @param {Object} notificationData - { type, title, message, data }
+     * @param {string} priority - 'routine' | 'important' | 'urgent'
+     * @returns {Promise<Object|null>} - The notification, or null if suppressed
+     */
+    static async notifyMessage(io, userId, notificationData, priority = 'routine') {
+        if (priority === 'routine' && notificationData.type !== 'ack_request') {
+            const user = await UserModel.findById(userId);
+            if (user && user.active_status === 'dnd') return null;
+        }
+
+        const notification = await NotificationModel.create({
+            ...notificationData,
+            userId,
+            type: priority === 'urgent' ? 'urgent_message' : notificationData.type,
+            priority,
+            data: { ...notificationData.data, priority }
+        });
+
+        await EventLogService.emitToUsers(io, [userId], 'notification', notification);
+        return notification;
+    }
+}
+
+module.exports = NotificationService;
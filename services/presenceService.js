@@ -0,0 +1,98 @@
+const UserModel = require('../models/userModel');
+const { MemoryPresenceStore, CONNECTION_TTL_SECONDS } = require('./presenceStore');
+
+// Seconds a user keeps showing as online after their last connection closes (covers reconnects and page reloads)
+const OFFLINE_GRACE_SECONDS = process.env.PRESENCE_OFFLINE_GRACE_SECONDS !== undefined
+    ? parseInt(process.env.PRESENCE_OFFLINE_GRACE_SECONDS)
+    : 10;
+
+// In-memory until a shared store is configured
+let store = new MemoryPresenceStore();
+
+// Connections open on this instance (socket ID -> user ID), refreshed in a shared store
+const localSockets = new Map();
+let refreshTimer = null;
+
+/**
+ * Switch to a shared store so presence is consistent across API instances
+ */
+const useStore = (sharedStore) => {
+    store = sharedStore;
+
+    if (!refreshTimer) {
+        refreshTimer = setInterval(() => {
+            const entries = Array.from(localSockets, ([socketId, userId]) => ({ userId, socketId }));
+            store.refreshConnections(entries).catch((e) => {
+                console.error('Failed to refresh presence:', e.message || e);
+            });
+        }, (CONNECTION_TTL_SECONDS / 3) * 1000);
+        refreshTimer.unref();
+    }
+};
+
+/**
+ * Register a new connection
+ * @returns {Promise<boolean>} - true when the user has just come online (first connection, not reconnecting within the grace period)
+ */
+const addConnection = async (userId, socketId) => {
+    localSockets.set(socketId, userId);
+
+    const reconnected = await store.clearPendingOffline(userId);
+    const count = await store.addConnection(userId, socketId);
+
+    return count === 1 && !reconnected;
+};
+
+/**
+ * Unregister a closed connection
+ * When it was the user's last one, last_seen_at is stored and onOffline(lastSeenAt) runs
+ * after the grace period unless the user reconnects first (on any instance)
+ */
+const removeConnection = async (userId, socketId, onOffline) => {
+    localSockets.delete(socketId);
+
+    const remaining = await store.removeConnection(userId, socketId);
+    if (remaining > 0) return;
+
+    const lastSeenAt = new Date();
+    const expiresAt = lastSeenAt.getTime() + OFFLINE_GRACE_SECONDS * 1000;
+    await store.markPendingOffline(userId, expiresAt);
+
+    try {
+        await UserModel.updateLastSeen(userId, lastSeenAt);
+    } catch (e) {
+        console.error('Failed to store last seen time:', e.message || e);
+    }
+
+    setTimeout(async () => {
+        try {
+            if (await store.finishPendingOffline(userId, expiresAt)) {
+                onOffline(lastSeenAt);
+            }
+        } catch (e) {
+            console.error('Failed to finish offline presence:', e.message || e);
+        }
+    }, OFFLINE_GRACE_SECONDS * 1000);
+};
+
+/**
+ * Check if user is online (connected, or within the grace period after disconnecting)
+ */
+const isOnline = async (userId) => {
+    return await store.isOnline(userId);
+};
+
+/**
+ * Get IDs of all online users
+ */
+const getOnlineUserIds = async () => {
+    return await store.getOnlineUserIds();
+};
+
+module.exports = {
+    useStore,
+    addConnection,
+    removeConnection,
+    isOnline,
+    getOnlineUserIds
+};
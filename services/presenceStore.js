@@ -0,0 +1,169 @@
+/**
+ * Presence Stores - Where open connections and pending offline announcements are kept.
+ * MemoryPresenceStore serves a single process; RedisPresenceStore is shared by every API instance.
+ *
+ * Both implement:
+ *   addConnection(userId, socketId)      -> number of live connections
+ *   removeConnection(userId, socketId)   -> number of live connections left
+ *   refreshConnections(entries)          -> keep this instance's connections alive
+ *   markPendingOffline(userId, expiresAt)
+ *   clearPendingOffline(userId)          -> true if an offline announcement was pending
+ *   finishPendingOffline(userId, expiresAt) -> true if that announcement is still due
+ *   isOnline(userId)
+ *   getOnlineUserIds()
+ */
+
+/**
+ * Single-process store
+ */
+class MemoryPresenceStore {
+    constructor() {
+        // Open socket IDs per user - one per connected device/tab
+        this.connections = new Map();
+        // Users whose last connection closed, with when the grace period ends
+        this.pending = new Map();
+    }
+
+    async addConnection(userId, socketId) {
+        if (!this.connections.has(userId)) {
+            this.connections.set(userId, new Set());
+        }
+        const sockets = this.connections.get(userId);
+        sockets.add(socketId);
+        return sockets.size;
+    }
+
+    async removeConnection(userId, socketId) {
+        const sockets = this.connections.get(userId);
+        if (!sockets) return 0;
+
+        sockets.delete(socketId);
+        if (sockets.size === 0) {
+            this.connections.delete(userId);
+        }
+        return sockets.size;
+    }
+
+    async refreshConnections() {
+        // Nothing expires in a single process
+    }
+
+    async markPendingOffline(userId, expiresAt) {
+        this.pending.set(userId, expiresAt);
+    }
+
+    async clearPendingOffline(userId) {
+        return this.pending.delete(userId);
+    }
+
+    async finishPendingOffline(userId, expiresAt) {
+        if (this.pending.get(userId) !== expiresAt || this.connections.has(userId)) {
+            return false;
+        }
+        this.pending.delete(userId);
+        return true;
+    }
+
+    async isOnline(userId) {
+        return this.connections.has(userId) || this.pending.has(userId);
+    }
+
+    async getOnlineUserIds() {
+        return Array.from(new Set([...this.connections.keys(), ...this.pending.keys()]));
+    }
+}
+
+// Seconds a connection entry lives without a refresh (covers instances that stop without cleaning up)
+const CONNECTION_TTL_SECONDS = 90;
+
+/**
+ * Shared store - sorted sets scored by expiry time so entries left by a crashed instance age out
+ *   presence:user:<id>   socket IDs of a user's connections
+ *   presence:online      users with at least one connection
+ *   presence:pending     users whose offline announcement is waiting out the grace period
+ */
+class RedisPresenceStore {
+    constructor(client) {
+        this.client = client;
+    }
+
+    userKey(userId) {
+        return `presence:user:${userId}`;
+    }
+
+    async liveCount(userId) {
+        await this.client.zRemRangeByScore(this.userKey(userId), '-inf', Date.now());
+        return await this.client.zCard(this.userKey(userId));
+    }
+
+    async addConnection(userId, socketId) {
+        const expiresAt = Date.now() + CONNECTION_TTL_SECONDS * 1000;
+        await this.client.multi()
+            .zAdd(this.userKey(userId), { score: expiresAt, value: socketId })
+            .zAdd('presence:online', { score: expiresAt, value: String(userId) })
+            .exec();
+        return await this.liveCount(userId);
+    }
+
+    async removeConnection(userId, socketId) {
+        await this.client.zRem(this.userKey(userId), socketId);
+        const count = await this.liveCount(userId);
+        if (count === 0) {
+            await this.client.zRem('presence:online', String(userId));
+        }
+        return count;
+    }
+
+    async refreshConnections(entries) {
+        if (entries.length === 0) return;
+
+        const expiresAt = Date.now() + CONNECTION_TTL_SECONDS * 1000;
+        const multi = this.client.multi();
+        for (const { userId, socketId } of entries) {
+            multi.zAdd(this.userKey(userId), { score: expiresAt, value: socketId });
+            multi.zAdd('presence:online', { score: expiresAt, value: String(userId) });
+        }
+        await multi.exec();
+    }
+
+    async markPendingOffline(userId, expiresAt) {
+        await this.client.zAdd('presence:pending', { score: expiresAt, value: String(userId) });
+    }
+
+    async clearPendingOffline(userId) {
+        const score = await this.client.zScore('presence:pending', String(userId));
+        await this.client.zRem('presence:pending', String(userId));
+        return score !== null && Number(score) > Date.now();
+    }
+
+    async finishPendingOffline(userId, expiresAt) {
+        const score = await this.client.zScore('presence:pending', String(userId));
+        if (score === null || Number(score) !== expiresAt || (await this.liveCount(userId)) > 0) {
+            return false;
+        }
+        await this.client.zRem('presence:pending', String(userId));
+        return true;
+    }
+
+    async isOnline(userId) {
+        if ((await this.liveCount(userId)) > 0) return true;
+
+        const score = await this.client.zScore('presence:pending', String(userId));
+        return score !== null && Number(score) > Date.now();
+    }
+
+    async getOnlineUserIds() {
+        const now = Date.now();
+        const [online, pending] = await Promise.all([
+            this.client.zRangeByScore('presence:online', now, '+inf'),
+            this.client.zRangeByScore('presence:pending', now, '+inf')
+        ]);
+        return Array.from(new Set([...online, ...pending])).map(id => parseInt(id));
+    }
+}
+
+module.exports = {
+    MemoryPresenceStore,
+    RedisPresenceStore,
+    CONNECTION_TTL_SECONDS
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SessionModel = require('../models/sessionModel');
+const UserModel = require('../models/userModel');
+
+// Lifetime of access tokens (JWT, sent as the Bearer token and the socket auth token)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Days a session survives without being refreshed
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * Hash a refresh token's secret for storage
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Build a failed session result
+ */
+const fail = (status, message) => ({ error: { status, message } });
+
+/**
+ * Session Service - Login sessions with short-lived access tokens and rotating refresh tokens.
+ *
+ * Each login creates a session, tied to the user's device when the client names one
+ * (a new login on the same device replaces its previous session). Access tokens carry the
+ * session ID (`sid`) and are rejected by `authenticate` and the socket middleware once the
+ * session is revoked. Refresh tokens (`<sessionId>.<secret>`, only the secret's hash is stored)
+ * are single use: every refresh returns a new one, and presenting an already-rotated token
+ * revokes the session. Live sockets join a `session:<id>` room so revoking a session disconnects them.
+ */
+class SessionService {
+
+    /**
+     * Sign an access token for a session
+     */
+    static signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { id: user.id, email: user.email, role: user.role, sid: sessionId },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+        );
+    }
+
+    /**
+     * Generate a refresh token secret
+     */
+    static generateSecret() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Expiry of a session refreshed now
+     */
+    static refreshExpiry() {
+        return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Start a session for a user who has just logged in or registered
+     * @param {Object} io - Socket.IO server (optional)
+     * @param {Object} user - Authenticated user
+     * @param {Object} req - Request; body may name the device { device_name, device_type, push_token }
+     * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+     */
+    static async create(io, user, req) {
+        const { device_name, device_type, push_token } = req.body || {};
+
+        let deviceId = null;
+        if (device_name) {
+            const device = await UserModel.registerDevice(user.id, {
+                device_name,
+                device_type: device_type || 'phone',
+                push_token
+            });
+            deviceId = device.id;
+
+            // One session per device
+            await this.revoke(io, await SessionModel.findActiveIds(user.id, deviceId), 'replaced');
+        }
+
+        const secret = this.generateSecret();
+        const sessionId = await SessionModel.create({
+            userId: user.id,
+            deviceId,
+            refreshTokenHash: hashSecret(secret),
+            ipAddress: req.ip,
+            userAgent: (req.headers['user-agent'] || '').slice(0, 255),
+            expiresAt: this.refreshExpiry()
+        });
+
+        return {
+            token: this.signAccessToken(user, sessionId),
+            refreshToken: `${sessionId}.${secret}`,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            sessionId
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and refresh token
+     * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId } or { error: { status, message } }
+     */
+    static async refresh(io, refreshToken, ipAddress) {
+        const [sessionPart, secret] = String(refreshToken).split('.');
+        const sessionId = parseInt(sessionPart);
+        const session = sessionId && secret ? await SessionModel.findById(sessionId) : null;
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            return fail(401, 'Session expired, please log in again');
+        }
+
+        const presentedHash = hashSecret(secret);
+
+        // An old token coming back means it was copied - end the session for both holders
+        if (presentedHash === session.previous_token_hash) {
+            await this.revoke(io, [session.id], 'refresh_token_reuse');
+            console.warn(`🚫 Refresh token reuse detected for session ${session.id} (user ${session.user_id})`);
+            return fail(401, 'Session expired, please log in again');
+        }
+        if (presentedHash !== session.refresh_token_hash) {
+            return fail(401, 'Invalid refresh token');
+        }
+
+        const user = await UserModel.findById(session.user_id);
+        if (!user || !user.is_active) {
+            await this.revoke(io, [session.id], 'user_inactive');
+            return fail(401, 'User not found or inactive');
+        }
+
+        const newSecret = this.generateSecret();
+        const rotated = await SessionModel.rotate(
+            session.id, presentedHash, hashSecret(newSecret), this.refreshExpiry(), ipAddress
+        );
+        if (!rotated) {
+            return fail(401, 'Invalid refresh token');
+        }
+
+        return {
+            token: this.signAccessToken(user, session.id),
+            refreshToken: `${session.id}.${newSecret}`,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            sessionId: session.id
+        };
+    }
+
+    /**
+     * Revoke sessions and disconnect their sockets
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    static async revoke(io, sessionIds, reason) {
+        if (sessionIds.length === 0) return 0;
+
+        const revoked = await SessionModel.revoke(sessionIds, reason);
+        if (io) {
+            io.in(sessionIds.map(id => `session:${id}`)).disconnectSockets(true);
+        }
+        return revoked;
+    }
+
+    /**
+     * Revoke all of a user's sessions, optionally keeping one (the caller's)
+     */
+    static async revokeAll(io, userId, reason, exceptSessionId = null) {
+        const ids = (await SessionModel.findActiveIds(userId)).filter(id => id !== exceptSessionId);
+        return await this.revoke(io, ids, reason);
+    }
+
+    /**
+     * Revoke the sessions on one of a user's devices
+     */
+    static async revokeDevice(io, userId, deviceId, reason) {
+        return await this.revoke(io, await SessionModel.findActiveIds(userId, deviceId), reason);
+    }
+}
+
+module.exports = SessionService;
@@ -1,9 +1,35 @@
 const jwt = require('jsonwebtoken');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const UserModel = require('../models/userModel');
 const GroupModel = require('../models/groupModel');
+const ChannelModel = require('../models/channelModel');
+const MessageModel = require('../models/messageModel');
+const SessionModel = require('../models/sessionModel');
+const MessageService = require('./messageService');
+const MessageSendService = require('./messageSendService');
+const CallService = require('./callService');
+const SocketPermissionService = require('./socketPermissionService');
+const PresenceService = require('./presenceService');
+const EventLogService = require('./eventLogService');
+const { RedisPresenceStore } = require('./presenceStore');
 
-// Store online users
-const onlineUsers = new Map();
+/**
+ * Send a presence event to the users who share a team, group or chat with the subject.
+ * Nothing is sent while the subject hides their online status.
+ */
+const broadcastPresence = async (io, subjectId, event, payload) => {
+    try {
+        const subject = await UserModel.findPresence(subjectId);
+        if (!subject || !subject.online_visibility) return;
+
+        const audience = await UserModel.findRelatedUserIds(subjectId);
+        if (audience.length === 0) return;
+
+        io.to(audience.map(id => `user:${id}`)).emit(event, payload);
+    } catch (e) {
+        console.error(`Failed to broadcast ${event}:`, e.message || e);
+    }
+};
 
 /**
  * Socket Handler - Real-time communication
@@ -22,11 +48,21 @@ const initializeSocket = (io) => {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             const user = await UserModel.findById(decoded.id);
 
-            if (!user) {
+            if (!user || !user.is_active) {
                 return next(new Error('User not found'));
             }
 
+            // The login session must still be valid; revoking it later disconnects this socket
+            if (!decoded.sid || !(await SessionModel.isActive(decoded.sid, user.id))) {
+                return next(new Error('Session expired'));
+            }
+
+            if (!user.two_factor_enabled && (await UserModel.isTwoFactorRequired(user.id))) {
+                return next(new Error('Two-factor authentication setup required'));
+            }
+
             socket.user = user;
+            socket.sessionId = decoded.sid;
             next();
         } catch (error) {
             next(new Error('Invalid token'));
@@ -37,101 +73,186 @@ const initializeSocket = (io) => {
         const userId = socket.user.id;
         console.log(`🔌 User connected: ${socket.user.name} (${userId})`);
 
-        // Add to online users
-        onlineUsers.set(userId, socket.id);
+        // Join the session's room so revoking the session disconnects this socket
+        socket.join(`session:${socket.sessionId}`);
 
-        // Join user's personal room
-        socket.join(`user:${userId}`);
-
-        // Join all group rooms user is part of
-        const groups = await GroupModel.findByUserId(userId);
-        groups.forEach(group => {
-            socket.join(`group:${group.id}`);
+        // Track this connection - other devices (on any instance) may already be online
+        const presenceReady = PresenceService.addConnection(userId, socket.id).catch((e) => {
+            console.error('Failed to track presence:', e.message || e);
+            return false;
         });
 
-        // Broadcast online status
-        socket.broadcast.emit('user_online', {
-            userId,
-            name: socket.user.name
+        // Registered before any await so a socket that drops during setup still leaves presence
+        socket.on('disconnect', async () => {
+            console.log(`🔌 User disconnected: ${socket.user.name} (${userId})`);
+
+            // Leave any call this device was in
+            try {
+                await CallService.handleDisconnect(io, socket.user, socket.id);
+            } catch (e) {
+                console.error('Failed to end calls on disconnect:', e.message || e);
+            }
+
+            // Broadcast offline status once the user's last device has been gone for the grace period
+            try {
+                await presenceReady;
+                await PresenceService.removeConnection(userId, socket.id, (lastSeenAt) => {
+                    broadcastPresence(io, userId, 'user_offline', {
+                        userId,
+                        name: socket.user.name,
+                        lastSeenAt
+                    });
+                });
+            } catch (e) {
+                console.error('Failed to update presence:', e.message || e);
+            }
         });
 
-        // Handle send message (for real-time updates)
-        socket.on('send_message', async (data) => {
-            const { chatId, receiverId, groupId, message } = data;
+        try {
+            // Join user's personal room. Reconnecting clients send the last event seq they processed
+            // (auth.lastSeq): missed events are replayed in order before any live event reaches this
+            // socket. Clients should skip events with a seq they already have.
+            const lastSeq = parseInt(socket.handshake.auth.lastSeq);
+            try {
+                await EventLogService.catchUp(socket, userId, Number.isInteger(lastSeq) && lastSeq >= 0 ? lastSeq : null);
+            } catch (e) {
+                console.error('Failed to replay socket events:', e.message || e);
+            }
 
-            const messageData = {
-                ...message,
-                sender_name: socket.user.name,
-                sender_picture: socket.user.profile_picture
-            };
+            // Join all group rooms user is part of, and rooms for the user's channels in every team
+            const groups = await GroupModel.findByUserId(userId);
+            const channelIds = await ChannelModel.getIdsByUserId(userId);
 
-            if (groupId) {
-                // Group message - use io.to to include sender's other devices if they are in the group
-                io.to(`group:${groupId}`).emit('receive_message', {
-                    groupId,
-                    chatId,
-                    message: messageData
+            // Rooms joined after a disconnect would never be left
+            if (socket.connected) {
+                groups.forEach(group => {
+                    socket.join(`group:${group.id}`);
+                });
+                channelIds.forEach(channelId => {
+                    socket.join(`channel_${channelId}`);
+                });
+            }
+
+            // Announce the user to their teams, groups and chats when this is their first device
+            if (await presenceReady && socket.connected) {
+                broadcastPresence(io, userId, 'user_online', {
+                    userId,
+                    name: socket.user.name
                 });
+            }
+        } catch (e) {
+            console.error('Failed to set up socket connection:', e.message || e);
+        }
 
+        // Reject an event the user may not perform - logged for security review
+        const rejectEvent = (event, error, details) => {
+            console.warn(`🚫 Socket event denied: ${event} by user ${userId} (${error.code}) ${JSON.stringify(details || {})}`);
+            socket.emit('error', { event, code: error.code, message: error.message });
+        };
 
-                // Create persistent notifications for other members
-                try {
-                    const NotificationModel = require('../models/notificationModel');
-                    const members = await GroupModel.getMembers(groupId);
-                    const group = await GroupModel.findById(groupId);
-
-                    for (const member of members) {
-                        if (member.id !== userId) {
-                            const notification = await NotificationModel.create({
-                                userId: member.id,
-                                type: 'message',
-                                title: group.name,
-                                message: `${socket.user.name}: ${message.message_type === 'text' ? message.content : `Sent a ${message.message_type}`}`,
-                                data: { groupId, chatId, senderId: userId }
-                            });
-                            io.to(`user:${member.id}`).emit('notification', notification);
-                        }
-                    }
-                } catch (e) {
-                    console.error('Failed to create group socket notification:', e);
+        // Check every conversation an event names before acting on it
+        const authorizeEvent = async (event, targets) => {
+            try {
+                const error = await SocketPermissionService.authorize(userId, targets);
+                if (error) {
+                    rejectEvent(event, error, targets);
+                    return false;
                 }
-            } else if (receiverId) {
-                // Private message - emit to both receiver and sender (for multi-device sync)
-                io.to(`user:${receiverId}`).to(`user:${userId}`).emit('receive_message', {
-                    chatId,
-                    message: messageData
+                return true;
+            } catch (e) {
+                console.error(`Failed to authorize ${event}:`, e.message || e);
+                socket.emit('error', { event, code: 'SERVER_ERROR', message: 'Failed to process event' });
+                return false;
+            }
+        };
+
+        // Handle send message - validated and stored exactly like the REST endpoints.
+        // Replies through the acknowledgement callback with the stored message or an error;
+        // resending the same client_msg_id returns the original message instead of a duplicate.
+        socket.on('send_message', async (data, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+
+            if (!data || typeof data !== 'object') {
+                return reply({
+                    success: false,
+                    error: { code: 'VALIDATION_ERROR', message: 'Message payload is required' }
                 });
+            }
 
+            try {
+                const { receiverId, groupId, channelId } = data;
+                // Older clients nest the message fields under `message`
+                const message = data.message || {};
+                const payload = {
+                    content: data.content ?? message.content,
+                    messageType: data.messageType ?? message.message_type,
+                    filePath: data.filePath ?? message.file_path,
+                    duration: data.duration ?? message.duration,
+                    replyTo: data.replyTo,
+                    priority: data.priority,
+                    requiresAck: data.requiresAck,
+                    ackDeadline: data.ackDeadline,
+                    ackFallbackUserId: data.ackFallbackUserId,
+                    clientMsgId: data.client_msg_id ?? data.clientMsgId
+                };
+
+                let result;
+                if (channelId) {
+                    result = await MessageSendService.sendToChannel(io, socket.user, parseInt(channelId), payload);
+                } else if (groupId) {
+                    result = await MessageSendService.sendToGroup(io, socket.user, parseInt(groupId), payload);
+                } else if (receiverId) {
+                    result = await MessageSendService.sendPrivate(io, socket.user, { ...payload, receiverId });
+                } else {
+                    return reply({
+                        success: false,
+                        error: { code: 'VALIDATION_ERROR', message: 'receiverId, groupId or channelId is required' }
+                    });
+                }
 
-                // Create persistent notification for receiver
-                try {
-                    const NotificationModel = require('../models/notificationModel');
-                    const notification = await NotificationModel.create({
-                        userId: receiverId,
-                        type: 'message',
-                        title: `New Message from ${socket.user.name}`,
-                        message: message.message_type === 'text' ? message.content : `Sent a ${message.message_type}`,
-                        data: { chatId, senderId: userId }
+                if (result.error) {
+                    if (result.error.status === 403) {
+                        console.warn(`🚫 Socket event denied: send_message by user ${userId} (${result.error.code}) ${JSON.stringify({ receiverId, groupId, channelId })}`);
+                    }
+                    return reply({
+                        success: false,
+                        error: { code: result.error.code, message: result.error.message }
                     });
-                    io.to(`user:${receiverId}`).emit('notification', notification);
-                } catch (e) {
-                    console.error('Failed to create private socket notification:', e);
                 }
+
+                reply({ success: true, message: result.message, duplicate: result.duplicate });
+            } catch (e) {
+                console.error('Failed to send socket message:', e);
+                reply({
+                    success: false,
+                    error: { code: 'SERVER_ERROR', message: 'Failed to send message' }
+                });
             }
         });
 
         // Handle typing indicator
-        socket.on('typing', (data) => {
-            const { chatId, receiverId, groupId } = data;
+        socket.on('typing', async (data) => {
+            const { chatId, receiverId, groupId, channelId } = data || {};
+            if (!channelId && !groupId && !receiverId) {
+                return rejectEvent('typing', { code: 'VALIDATION_ERROR', message: 'channelId, groupId or receiverId is required' }, data);
+            }
+            const targets = channelId ? { channelId } : (groupId ? { chatId, groupId } : { chatId, receiverId });
+            if (!(await authorizeEvent('typing', targets))) return;
 
-            if (groupId) {
+            if (channelId) {
+                socket.to(`channel_${channelId}`).emit('typing', {
+                    channelId,
+                    userId,
+                    name: socket.user.name
+                });
+            } else if (groupId) {
                 socket.to(`group:${groupId}`).emit('typing', {
                     chatId,
                     groupId,
                     userId,
                     name: socket.user.name
                 });
-            } else if (receiverId) {
+            } else {
                 socket.to(`user:${receiverId}`).emit('typing', {
                     chatId,
                     userId,
@@ -141,16 +262,26 @@ const initializeSocket = (io) => {
         });
 
         // Handle stop typing
-        socket.on('stop_typing', (data) => {
-            const { chatId, receiverId, groupId } = data;
+        socket.on('stop_typing', async (data) => {
+            const { chatId, receiverId, groupId, channelId } = data || {};
+            if (!channelId && !groupId && !receiverId) {
+                return rejectEvent('stop_typing', { code: 'VALIDATION_ERROR', message: 'channelId, groupId or receiverId is required' }, data);
+            }
+            const targets = channelId ? { channelId } : (groupId ? { chatId, groupId } : { chatId, receiverId });
+            if (!(await authorizeEvent('stop_typing', targets))) return;
 
-            if (groupId) {
+            if (channelId) {
+                socket.to(`channel_${channelId}`).emit('stop_typing', {
+                    channelId,
+                    userId
+                });
+            } else if (groupId) {
                 socket.to(`group:${groupId}`).emit('stop_typing', {
                     chatId,
                     groupId,
                     userId
                 });
-            } else if (receiverId) {
+            } else {
                 socket.to(`user:${receiverId}`).emit('stop_typing', {
                     chatId,
                     userId
@@ -160,42 +291,75 @@ const initializeSocket = (io) => {
 
         // Handle message seen
         socket.on('message_seen', async (data) => {
-            const { chatId, receiverId, groupId } = data;
+            const { chatId, receiverId, groupId, channelId } = data || {};
+            if (!chatId && !channelId) {
+                return rejectEvent('message_seen', { code: 'VALIDATION_ERROR', message: 'chatId or channelId is required' }, data);
+            }
+            if (!(await authorizeEvent('message_seen', channelId ? { channelId } : { chatId, groupId, receiverId }))) return;
 
             try {
-                // Mark messages as seen in DB for this chat
-                const MessageModel = require('../models/messageModel');
-                await MessageModel.markAsSeen(chatId, userId);
+                // Channels track a read position per member, chats mark messages as seen
+                if (channelId) {
+                    await ChannelModel.updateLastRead(channelId, userId);
+                } else {
+                    await MessageModel.markAsSeen(chatId, userId);
+                }
             } catch (e) {
                 console.error('Failed to mark messages as seen:', e.message || e);
             }
 
-            if (groupId) {
-                socket.to(`group:${groupId}`).emit('message_seen', {
-                    chatId,
-                    groupId,
-                    userId,
-                    name: socket.user.name
-                });
-            } else if (receiverId) {
-                socket.to(`user:${receiverId}`).emit('message_seen', {
-                    chatId,
-                    userId
-                });
+            // Tell the other members (replayed to those offline) - unless the reader keeps read receipts private
+            try {
+                if (!(await MessageModel.sharesReadReceipts(userId))) return;
+
+                if (channelId) {
+                    const members = await ChannelModel.getMembers(channelId);
+                    await EventLogService.emitToUsers(io, members.map(member => member.id).filter(id => id !== userId), 'message_seen', {
+                        channelId,
+                        userId,
+                        name: socket.user.name
+                    });
+                } else if (groupId) {
+                    const members = await GroupModel.getMembers(groupId);
+                    await EventLogService.emitToUsers(io, members.map(member => member.id).filter(id => id !== userId), 'message_seen', {
+                        chatId,
+                        groupId,
+                        userId,
+                        name: socket.user.name
+                    });
+                } else if (receiverId) {
+                    await EventLogService.emitToUsers(io, [receiverId], 'message_seen', {
+                        chatId,
+                        userId
+                    });
+                }
+            } catch (e) {
+                console.error('Failed to send message seen:', e.message || e);
             }
         });
 
         // Handle message received (delivery ack from recipient)
         socket.on('message_received', async (data) => {
-            const { messageId, chatId, senderId } = data;
+            const { messageId } = data || {};
             try {
-                const MessageModel = require('../models/messageModel');
-                const updated = await MessageModel.setDelivered(messageId);
-                if (updated) {
-                    // Notify sender that message was delivered
-                    if (senderId) {
-                        socket.to(`user:${senderId}`).emit('message_delivered', { messageId, chatId });
-                    }
+                const message = messageId ? await MessageModel.findById(messageId) : null;
+                if (!message) {
+                    return rejectEvent('message_received', { code: 'NOT_FOUND', message: 'Message not found' }, data);
+                }
+                // Only recipients can confirm delivery
+                if (message.sender_id === userId || !(await MessageService.canAccess(message, userId))) {
+                    return rejectEvent('message_received', { code: 'FORBIDDEN', message: 'You cannot confirm delivery of this message' }, data);
+                }
+
+                const firstDelivery = await MessageModel.setDelivered(message.id, userId);
+                if (firstDelivery) {
+                    // Notify sender that message was delivered to this recipient
+                    await EventLogService.emitToUsers(io, [message.sender_id], 'message_delivered', {
+                        messageId: message.id,
+                        chatId: message.chat_id,
+                        channelId: message.channel_id || undefined,
+                        userId
+                    });
                 }
             } catch (e) {
                 console.error('Failed to set message delivered:', e.message || e);
@@ -203,7 +367,12 @@ const initializeSocket = (io) => {
         });
 
         // Handle join group room
-        socket.on('join_group', (groupId) => {
+        socket.on('join_group', async (groupId) => {
+            if (!groupId) {
+                return rejectEvent('join_group', { code: 'VALIDATION_ERROR', message: 'groupId is required' });
+            }
+            if (!(await authorizeEvent('join_group', { groupId }))) return;
+
             socket.join(`group:${groupId}`);
             console.log(`User ${userId} joined group:${groupId}`);
         });
@@ -215,7 +384,12 @@ const initializeSocket = (io) => {
         });
 
         // Handle join chat room
-        socket.on('join_chat', (chatId) => {
+        socket.on('join_chat', async (chatId) => {
+            if (!chatId) {
+                return rejectEvent('join_chat', { code: 'VALIDATION_ERROR', message: 'chatId is required' });
+            }
+            if (!(await authorizeEvent('join_chat', { chatId }))) return;
+
             socket.join(`chat:${chatId}`);
             console.log(`User ${userId} joined chat:${chatId}`);
         });
@@ -226,50 +400,107 @@ const initializeSocket = (io) => {
             console.log(`User ${userId} left chat:${chatId}`);
         });
 
-        // Handle get online users
-        socket.on('get_online_users', () => {
-            socket.emit('online_users', Array.from(onlineUsers.keys()));
-        });
-
-        // Handle disconnect
-        socket.on('disconnect', () => {
-            console.log(`🔌 User disconnected: ${socket.user.name} (${userId})`);
-            onlineUsers.delete(userId);
+        // Call signaling - each event replies through the acknowledgement callback
+        // with { success: true, ... } or { success: false, error: { code, message } }
+        const onCallEvent = (event, handler) => {
+            socket.on(event, async (data, callback) => {
+                const reply = typeof callback === 'function' ? callback : () => {};
+                if (!data || typeof data !== 'object') {
+                    return reply({
+                        success: false,
+                        error: { code: 'VALIDATION_ERROR', message: 'Call payload is required' }
+                    });
+                }
 
-            // Broadcast offline status
-            socket.broadcast.emit('user_offline', {
-                userId,
-                name: socket.user.name
+                try {
+                    const { error, ...result } = await handler(data);
+                    if (error) {
+                        rejectEvent(event, error, { callId: data.callId, chatId: data.chatId, groupId: data.groupId });
+                        return reply({ success: false, error, ...result });
+                    }
+                    reply({ success: true, ...result });
+                } catch (e) {
+                    console.error(`Failed to handle ${event}:`, e);
+                    reply({
+                        success: false,
+                        error: { code: 'SERVER_ERROR', message: 'Failed to process call event' }
+                    });
+                }
             });
+        };
+
+        // Start a call in a private chat or group: { chatId | groupId | receiverId, callType }
+        onCallEvent('call_invite', data => CallService.invite(io, socket.user, socket.id, data));
+
+        // A callee's device is ringing: { callId }
+        onCallEvent('call_ringing', data => CallService.ringing(io, socket.user, data.callId));
+
+        // Answer or rejoin a call on this device: { callId }
+        onCallEvent('call_accept', data => CallService.accept(io, socket.user, socket.id, data.callId));
+
+        // Decline a ringing call: { callId }
+        onCallEvent('call_decline', data => CallService.decline(io, socket.user, data.callId));
+
+        // Leave a call: { callId }
+        onCallEvent('call_hangup', data => CallService.hangup(io, socket.user, data.callId));
+
+        // Relay SDP offers/answers and ICE candidates: { callId, toUserId, signal }
+        onCallEvent('call_signal', data => CallService.relaySignal(io, socket.user, data));
+
+        // Handle get online users - limited to users sharing a team, group or chat
+        // who show their online status
+        socket.on('get_online_users', async () => {
+            try {
+                const related = new Set(await UserModel.findRelatedUserIds(userId));
+                const online = (await PresenceService.getOnlineUserIds()).filter(id => related.has(id));
+                socket.emit('online_users', await UserModel.filterOnlineVisible(online));
+            } catch (e) {
+                console.error('Failed to get online users:', e.message || e);
+                socket.emit('online_users', []);
+            }
         });
     });
 
     return io;
 };
 
+/**
+ * Share rooms and presence with other API instances through Redis
+ * Emits from any instance (including controllers using req.app.get('io')) then reach sockets on every node
+ * @param {Object} io - Socket.IO server
+ * @param {Object} redis - { pubClient, subClient } from initializeRedis
+ */
+const enableClustering = (io, redis) => {
+    io.adapter(createAdapter(redis.pubClient, redis.subClient));
+    EventLogService.useClustering(io);
+    PresenceService.useStore(new RedisPresenceStore(redis.pubClient));
+    console.log('✅ Socket.IO clustering enabled (Redis adapter)');
+};
+
 /**
  * Check if user is online
  */
-const isUserOnline = (userId) => {
-    return onlineUsers.has(userId);
+const isUserOnline = async (userId) => {
+    return await PresenceService.isOnline(userId);
 };
 
 /**
  * Get online users list
  */
-const getOnlineUsers = () => {
-    return Array.from(onlineUsers.keys());
+const getOnlineUsers = async () => {
+    return await PresenceService.getOnlineUserIds();
 };
 
 /**
  * Send notification to specific user
  */
-const sendNotification = (io, userId, notification) => {
-    io.to(`user:${userId}`).emit('notification', notification);
+const sendNotification = async (io, userId, notification) => {
+    await EventLogService.emitToUsers(io, [userId], 'notification', notification);
 };
 
 module.exports = {
     initializeSocket,
+    enableClustering,
     isUserOnline,
     getOnlineUsers,
     sendNotification
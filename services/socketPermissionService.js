@@ -0,0 +1,74 @@
+const ChatModel = require('../models/chatModel');
+const GroupModel = require('../models/groupModel');
+const ChannelModel = require('../models/channelModel');
+
+/**
+ * Build a denial
+ */
+const deny = (code, message) => ({ code, message });
+
+/**
+ * Socket Permission Service - Server-side checks for the IDs clients send with socket events
+ */
+class SocketPermissionService {
+
+    /**
+     * Check whether a user may access a chat
+     * Group chats follow group membership, other chats need a participant row
+     */
+    static async canAccessChat(chat, userId) {
+        if (chat.group_id) {
+            return !!(await GroupModel.isMember(chat.group_id, userId));
+        }
+        return await ChatModel.isParticipant(chat.id, userId);
+    }
+
+    /**
+     * Authorize every target an event names
+     * @param {number} userId - Acting user
+     * @param {Object} targets - { chatId, groupId, channelId, receiverId } (any subset)
+     * @returns {Promise<Object|null>} - null when allowed, otherwise { code, message }
+     */
+    static async authorize(userId, targets) {
+        const { chatId, groupId, channelId, receiverId } = targets;
+
+        if (groupId !== undefined && groupId !== null) {
+            if (!(await GroupModel.isMember(groupId, userId))) {
+                return deny('NOT_A_MEMBER', 'You are not a member of this group');
+            }
+        }
+
+        if (channelId !== undefined && channelId !== null) {
+            if (!(await ChannelModel.isMember(channelId, userId))) {
+                return deny('NOT_A_MEMBER', 'You are not a member of this channel');
+            }
+        }
+
+        let chat = null;
+        if (chatId !== undefined && chatId !== null) {
+            chat = await ChatModel.findById(chatId);
+            if (!chat) {
+                return deny('NOT_FOUND', 'Chat not found');
+            }
+            if (!(await this.canAccessChat(chat, userId))) {
+                return deny('FORBIDDEN', 'You do not have access to this chat');
+            }
+            // A group event must name the group the chat belongs to
+            if (groupId && chat.group_id !== parseInt(groupId)) {
+                return deny('FORBIDDEN', 'Chat does not belong to this group');
+            }
+        }
+
+        // Private events only go to someone the user already has a chat with
+        if (receiverId !== undefined && receiverId !== null) {
+            const privateChat = await ChatModel.findPrivateChat(userId, receiverId);
+            if (!privateChat || (chat && chat.id !== privateChat.id)) {
+                return deny('FORBIDDEN', 'You do not have a chat with this user');
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = SocketPermissionService;
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const UserModel = require('../models/userModel');
+const BackupCodeModel = require('../models/backupCodeModel');
+
+// Name shown next to the account in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ClinxChat';
+
+// RFC 6238 parameters (the defaults every authenticator app supports)
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+// Time steps either side of now that are still accepted (clock drift)
+const WINDOW = 1;
+
+// Lifetime of the token linking the password step of a login to the code step
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding) - the format authenticator apps expect
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decode a base32 secret
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Normalise a backup code as typed (case and separators don't matter) and hash it
+ */
+const hashBackupCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+/**
+ * Two-Factor Service - TOTP (authenticator app) second factor with one-time backup codes
+ */
+class TwoFactorService {
+
+    /**
+     * Generate a new TOTP secret (160 bits, base32)
+     */
+    static generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Build the otpauth:// URI authenticator apps import (usually via QR code)
+     */
+    static buildOtpauthUrl(email, secret) {
+        const label = encodeURIComponent(`${ISSUER}:${email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: ISSUER,
+            algorithm: 'SHA1',
+            digits: String(DIGITS),
+            period: String(PERIOD_SECONDS)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Render an otpauth URI as a QR code image (data URL)
+     */
+    static async generateQrCode(otpauthUrl) {
+        return await QRCode.toDataURL(otpauthUrl);
+    }
+
+    /**
+     * Compute the code for a time step
+     */
+    static generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+        return String(binary).padStart(DIGITS, '0');
+    }
+
+    /**
+     * Check a code against the secret
+     * @param {number|null} lastStep - Step of the last accepted code; it and earlier ones can't be reused
+     * @returns {number|null} - The matching time step, or null
+     */
+    static verifyCode(secret, code, lastStep = null) {
+        const normalised = String(code || '').replace(/\s/g, '');
+        if (!secret || !/^\d+$/.test(normalised) || normalised.length !== DIGITS) return null;
+
+        const currentStep = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+        for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+            if (lastStep !== null && step <= lastStep) continue;
+
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalised))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verify a user's second factor - an authenticator code or an unused backup code.
+     * Accepted codes are used up: a TOTP code can't be replayed and a backup code works once.
+     * @param {Object} user - { id }
+     * @param {Object} factor - { code } or { backupCode }
+     * @returns {Promise<boolean>}
+     */
+    static async verifyUser(user, { code, backupCode }) {
+        const twoFactor = await UserModel.findTwoFactor(user.id);
+        if (!twoFactor || !twoFactor.two_factor_secret) return false;
+
+        if (backupCode) {
+            return await BackupCodeModel.consume(user.id, hashBackupCode(backupCode));
+        }
+
+        const step = this.verifyCode(twoFactor.two_factor_secret, code, twoFactor.two_factor_last_step);
+        if (step === null) return false;
+
+        // Concurrent logins with the same code: only the first wins
+        return await UserModel.updateTwoFactorLastStep(user.id, step);
+    }
+
+    /**
+     * Replace a user's backup codes
+     * @returns {Promise<Array<string>>} - The new codes (shown once, only hashes are stored)
+     */
+    static async regenerateBackupCodes(userId) {
+        const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+        await BackupCodeModel.replaceForUser(userId, codes.map(hashBackupCode));
+        return codes;
+    }
+
+    /**
+     * Issue the token a client presents with the code to finish logging in
+     */
+    static createChallengeToken(user) {
+        return jwt.sign(
+            { id: user.id, purpose: CHALLENGE_PURPOSE },
+            process.env.JWT_SECRET,
+            { expiresIn: CHALLENGE_EXPIRES_IN }
+        );
+    }
+
+    /**
+     * Read a challenge token
+     * @returns {number|null} - User ID, or null when invalid or expired
+     */
+    static verifyChallengeToken(token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = TwoFactorService;
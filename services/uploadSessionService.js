@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const UploadSessionModel = require('../models/uploadSessionModel');
+const FileModel = require('../models/fileModel');
+const ImageService = require('./imageService');
+const MalwareScanService = require('./malwareScanService');
+const { storage, toStoredPath, removeUpload } = require('../config/storage');
+const { chatMediaKey, getChatMediaFileType, CHAT_MEDIA_TYPES, MAX_FILE_SIZE } = require('../config/multerConfig');
+
+// Largest chunk accepted in one request
+const CHUNK_MAX_SIZE = parseInt(process.env.UPLOAD_CHUNK_MAX_SIZE) || 8 * 1024 * 1024;
+
+// Hours a session survives without receiving a chunk (completed sessions are forgotten after this too)
+const SESSION_EXPIRES_HOURS = parseInt(process.env.UPLOAD_SESSION_EXPIRES_HOURS) || 24;
+
+const CLEANUP_INTERVAL_MINUTES = 60;
+
+let cleanupTimer = null;
+
+/**
+ * Build a failed upload session result
+ */
+const fail = (status, code, message, extra = {}) => ({ error: { status, code, message, ...extra } });
+
+/**
+ * Folder staged chunks of a session are kept in
+ */
+const chunkPrefix = (sessionId) => `upload_sessions/${sessionId}/`;
+
+/**
+ * Expiry of a session that received data now
+ */
+const sessionExpiry = () => new Date(Date.now() + SESSION_EXPIRES_HOURS * 60 * 60 * 1000);
+
+/**
+ * Upload Session Service - Resumable chunked uploads of chat media.
+ *
+ * A client initiates a session with the file's name, type and size, then sends the file in
+ * chunks, each starting at the offset where the received bytes end. After a dropped connection
+ * it asks for the session's progress and carries on from there. Chunks are staged in storage
+ * under `upload_sessions/<id>/`; completing the session joins them into the final file, checks
+ * its SHA-256 checksum and creates the same `files` record as a single-request chat media upload
+ * (images are cleaned and resized the same way too, and the file is queued for a malware scan).
+ * Sessions that stop receiving chunks expire and are cleaned up with their staged chunks.
+ */
+class UploadSessionService {
+
+    /**
+     * Progress of a session as returned to its client
+     */
+    static toProgress(session) {
+        return {
+            sessionId: session.id,
+            status: session.status,
+            chatId: session.chat_id,
+            fileName: session.file_name,
+            mimeType: session.mime_type,
+            totalSize: Number(session.total_size),
+            receivedSize: Number(session.received_size),
+            chunkMaxSize: CHUNK_MAX_SIZE,
+            expiresAt: session.expires_at,
+            fileId: session.file_id
+        };
+    }
+
+    /**
+     * Find a session belonging to a user
+     */
+    static async findOwn(user, sessionId) {
+        const session = await UploadSessionModel.findById(sessionId);
+        return session && session.user_id === user.id ? session : null;
+    }
+
+    /**
+     * Start an upload session
+     * @param {Object} data - { chatId, fileName, mimeType, totalSize }
+     * @returns {Promise<Object>} - { session } (progress) or { error }
+     */
+    static async initiate(user, { chatId, fileName, mimeType, totalSize }) {
+        const size = Number(totalSize);
+
+        if (!parseInt(chatId)) {
+            return fail(400, 'VALIDATION_ERROR', 'Chat ID is required');
+        }
+        if (!fileName || String(fileName).length > 255) {
+            return fail(400, 'VALIDATION_ERROR', 'File name is required (at most 255 characters)');
+        }
+        if (!CHAT_MEDIA_TYPES.includes(mimeType)) {
+            return fail(400, 'VALIDATION_ERROR', `File type ${mimeType} not allowed!`);
+        }
+        if (!Number.isInteger(size) || size <= 0) {
+            return fail(400, 'VALIDATION_ERROR', 'Total size must be a positive number of bytes');
+        }
+        if (size > MAX_FILE_SIZE) {
+            return fail(413, 'FILE_TOO_LARGE', 'File size too large');
+        }
+
+        const session = await UploadSessionModel.create({
+            id: uuidv4(),
+            userId: user.id,
+            chatId: parseInt(chatId),
+            fileName: String(fileName),
+            mimeType,
+            totalSize: size,
+            expiresAt: sessionExpiry()
+        });
+        return { session: this.toProgress(session) };
+    }
+
+    /**
+     * Store a chunk of a session
+     * @param {number} offset - Where the chunk starts in the file (must equal the bytes received so far)
+     * @param {Readable} body - Chunk bytes (the raw request body)
+     * @param {number} contentLength - Declared chunk size, if known
+     * @returns {Promise<Object>} - { session } (progress) or { error }
+     */
+    static async uploadChunk(user, sessionId, offset, body, contentLength) {
+        const session = await this.findOwn(user, sessionId);
+        if (!session) {
+            return fail(404, 'NOT_FOUND', 'Upload session not found');
+        }
+        if (session.status !== 'active') {
+            return fail(409, 'SESSION_CLOSED', `Upload session is ${session.status}`);
+        }
+
+        const receivedSize = Number(session.received_size);
+        const chunkOffset = Number(offset);
+        if (!Number.isInteger(chunkOffset) || chunkOffset !== receivedSize) {
+            return fail(409, 'OFFSET_MISMATCH', 'Chunk does not start where the upload left off', { receivedSize });
+        }
+
+        const maxBytes = Math.min(CHUNK_MAX_SIZE, Number(session.total_size) - receivedSize);
+        if (contentLength > maxBytes) {
+            return fail(413, 'CHUNK_TOO_LARGE', `Chunk can be at most ${maxBytes} bytes`);
+        }
+
+        let size = 0;
+        const limiter = new Transform({
+            transform(chunk, encoding, done) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    return done(Object.assign(new Error('Chunk too large'), { code: 'CHUNK_TOO_LARGE' }));
+                }
+                done(null, chunk);
+            }
+        });
+
+        const key = `${chunkPrefix(session.id)}${chunkOffset}-${uuidv4()}`;
+        try {
+            await storage.put(key, pipeline(body, limiter, () => {}), { contentType: 'application/octet-stream' });
+        } catch (error) {
+            await storage.delete(key).catch(() => {});
+            if (error.code === 'CHUNK_TOO_LARGE') {
+                return fail(413, 'CHUNK_TOO_LARGE', `Chunk can be at most ${maxBytes} bytes`);
+            }
+            throw error;
+        }
+
+        if (size === 0) {
+            await storage.delete(key);
+            return fail(400, 'VALIDATION_ERROR', 'Chunk is empty');
+        }
+
+        // A concurrent chunk for the same offset may have won
+        if (!(await UploadSessionModel.addChunk(session.id, chunkOffset, size, key, sessionExpiry()))) {
+            await storage.delete(key);
+            const current = await UploadSessionModel.findById(session.id);
+            return fail(409, 'OFFSET_MISMATCH', 'Chunk does not start where the upload left off', {
+                receivedSize: Number(current.received_size)
+            });
+        }
+
+        return { session: this.toProgress(await UploadSessionModel.findById(session.id)) };
+    }
+
+    /**
+     * Get a session's progress
+     * @returns {Promise<Object>} - { session } or { error }
+     */
+    static async getProgress(user, sessionId) {
+        const session = await this.findOwn(user, sessionId);
+        if (!session) {
+            return fail(404, 'NOT_FOUND', 'Upload session not found');
+        }
+        return { session: this.toProgress(session) };
+    }
+
+    /**
+     * Join a session's chunks into the final file, verify its checksum and record it.
+     * Completing an already completed session returns the same file.
+     * @param {string} checksum - SHA-256 of the whole file (hex)
+     * @returns {Promise<Object>} - { file } (as FileModel.create returns it) or { error }
+     */
+    static async complete(user, sessionId, checksum) {
+        const session = await this.findOwn(user, sessionId);
+        if (!session) {
+            return fail(404, 'NOT_FOUND', 'Upload session not found');
+        }
+
+        if (session.status === 'completed') {
+            const existing = await FileModel.findById(session.file_id);
+            if (existing) {
+                return {
+                    file: {
+                        id: existing.id,
+                        fileType: existing.file_type,
+                        filePath: existing.file_path,
+                        originalName: existing.original_name,
+                        fileSize: existing.file_size,
+                        width: existing.width,
+                        height: existing.height,
+                        blurhash: existing.blurhash,
+                        thumbnailPath: existing.thumbnail_path,
+                        previewPath: existing.preview_path,
+                        scanStatus: existing.scan_status
+                    }
+                };
+            }
+        }
+        if (session.status !== 'active') {
+            return fail(409, 'SESSION_CLOSED', `Upload session is ${session.status}`);
+        }
+
+        if (Number(session.received_size) !== Number(session.total_size)) {
+            return fail(409, 'INCOMPLETE', 'Not all of the file has been uploaded yet', {
+                receivedSize: Number(session.received_size)
+            });
+        }
+        if (!/^[a-f0-9]{64}$/i.test(String(checksum || ''))) {
+            return fail(400, 'VALIDATION_ERROR', 'checksum must be the SHA-256 of the file (hex)');
+        }
+
+        // Only one completion at a time
+        if (!(await UploadSessionModel.setStatus(session.id, 'active', 'completing'))) {
+            return fail(409, 'SESSION_CLOSED', 'Upload session is already being completed');
+        }
+
+        const key = chatMediaKey(session.chat_id, session.mime_type, session.file_name);
+        const expectedChecksum = String(checksum).toLowerCase();
+        let stored = false;
+
+        try {
+            const chunks = await UploadSessionModel.getChunks(session.id);
+            const hash = crypto.createHash('sha256');
+
+            const joined = Readable.from((async function* () {
+                for (const chunk of chunks) {
+                    for await (const data of await storage.createReadStream(chunk.storage_key)) {
+                        hash.update(data);
+                        yield data;
+                    }
+                }
+            })());
+
+            // Images are recognised by their content, whatever type the session was started with
+            const { imageType, stream: upload } = await ImageService.sniff(joined);
+            const contentType = imageType || session.mime_type;
+
+            let image = {};
+            let checksumMatches;
+            if (imageType || ImageService.isProcessable(session.mime_type)) {
+                // Images are cleaned and resized on the way into storage, so verify the uploaded bytes first
+                const buffers = [];
+                for await (const data of upload) {
+                    buffers.push(data);
+                }
+                checksumMatches = hash.digest('hex') === expectedChecksum;
+
+                if (checksumMatches) {
+                    try {
+                        image = await ImageService.store(key, Buffer.concat(buffers), {
+                            contentType,
+                            variants: true
+                        });
+                        stored = true;
+                    } catch (error) {
+                        if (error.status !== 400) throw error;
+
+                        await this.failSession(session.id);
+                        return fail(400, 'INVALID_IMAGE', error.message);
+                    }
+                }
+            } else {
+                await storage.put(key, upload, { contentType: session.mime_type });
+                stored = true;
+                checksumMatches = hash.digest('hex') === expectedChecksum;
+            }
+
+            if (!checksumMatches) {
+                if (stored) {
+                    await removeUpload(toStoredPath(key));
+                }
+                await this.failSession(session.id);
+                return fail(422, 'CHECKSUM_MISMATCH', 'File checksum does not match, please upload it again');
+            }
+
+            // Same record as a single-request chat media upload
+            const file = await FileModel.create({
+                userId: user.id,
+                chatId: session.chat_id,
+                fileType: getChatMediaFileType(contentType),
+                filePath: toStoredPath(key),
+                originalName: session.file_name,
+                fileSize: image.size || Number(session.total_size),
+                width: image.width,
+                height: image.height,
+                blurhash: image.blurhash,
+                thumbnailPath: image.thumbnailPath,
+                previewPath: image.previewPath
+            });
+
+            await UploadSessionModel.complete(session.id, file.id);
+            MalwareScanService.enqueue(file.id);
+            await this.deleteStagedChunks(session.id);
+            return { file };
+        } catch (error) {
+            // Leave the session as it was so the client can try completing again
+            if (stored) {
+                await removeUpload(toStoredPath(key)).catch(() => {});
+            }
+            await UploadSessionModel.setStatus(session.id, 'completing', 'active');
+            throw error;
+        }
+    }
+
+    /**
+     * Give up on a session whose upload can't be used, deleting its staged chunks
+     */
+    static async failSession(sessionId) {
+        await UploadSessionModel.setStatus(sessionId, 'completing', 'failed');
+        await this.deleteStagedChunks(sessionId);
+    }
+
+    /**
+     * Abandon a session, deleting what was uploaded
+     * @returns {Promise<Object>} - {} or { error }
+     */
+    static async abort(user, sessionId) {
+        const session = await this.findOwn(user, sessionId);
+        if (!session) {
+            return fail(404, 'NOT_FOUND', 'Upload session not found');
+        }
+        if (session.status === 'completing') {
+            return fail(409, 'SESSION_CLOSED', 'Upload session is being completed');
+        }
+
+        await this.remove(session.id);
+        return {};
+    }
+
+    /**
+     * Delete a session's staged chunks from storage
+     */
+    static async deleteStagedChunks(sessionId) {
+        for await (const key of storage.list(chunkPrefix(sessionId))) {
+            await storage.delete(key);
+        }
+    }
+
+    /**
+     * Delete a session and its staged chunks (a completed session's file is kept)
+     */
+    static async remove(sessionId) {
+        await this.deleteStagedChunks(sessionId);
+        await UploadSessionModel.delete(sessionId);
+    }
+
+    /**
+     * Start removing expired sessions
+     */
+    static startCleanup() {
+        if (cleanupTimer) return;
+
+        cleanupTimer = setInterval(async () => {
+            try {
+                const expired = await UploadSessionModel.findExpired();
+                for (const session of expired) {
+                    await this.remove(session.id);
+                }
+                if (expired.length > 0) {
+                    console.log(`🧹 Removed ${expired.length} expired upload sessions`);
+                }
+            } catch (e) {
+                console.error('Failed to clean up upload sessions:', e.message || e);
+            }
+        }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+        cleanupTimer.unref();
+    }
+
+    /**
+     * Stop cleanup (for graceful shutdown)
+     */
+    static stopCleanup() {
+        if (cleanupTimer) {
+            clearInterval(cleanupTimer);
+            cleanupTimer = null;
+        }
+    }
+}
+
+module.exports = UploadSessionService;